@@ -1,5 +1,21 @@
 import { build } from "bun";
 
+// Identifies this bundle in the HELLO / WELCOME handshake (BUILD_HASH env var, else the git commit, else the build time)
+function getBuildHash() {
+    if (process.env.BUILD_HASH) return process.env.BUILD_HASH;
+    try {
+        const git = Bun.spawnSync(['git', 'rev-parse', '--short', 'HEAD']);
+        const commit = git.stdout.toString().trim();
+        if (git.exitCode === 0 && commit) return commit;
+    } catch (e) {
+        // No git (e.g. Docker build) - fall through
+    }
+    return Date.now().toString(36);
+}
+
+const buildHash = getBuildHash();
+console.log(`Build hash: ${buildHash}`);
+
 await build({
     entrypoints: ['./src/main.js'],
     outdir: './dist',
@@ -7,8 +23,14 @@ await build({
     target: 'browser',
     splitting: true,
     sourcemap: 'none',
+    define: {
+        __BUILD_HASH__: JSON.stringify(buildHash),
+    },
 });
 
+// The server reads this to tell clients which build it is handing out
+await Bun.write('./dist/build-info.json', JSON.stringify({ buildHash }));
+
 // Copy index.html to dist
 await Bun.write(
     './dist/index.html',
@@ -0,0 +1,285 @@
+/**
+ * loadtest.js
+ *
+ * Headless bots for load testing server.js: opens N WebSocket clients that speak the same protocol
+ * as NetworkManager (HELLO, binary snapshots with SNAPSHOT_ACK, PLAYER_UPDATE inputs at 20Hz,
+ * PLAYER_JUMP, PROJECTILE_SPAWN, PING), then reports snapshot sizes, tick-to-receive latency,
+ * server CPU (from /stats) and dropped connections.
+ *
+ *   bun run loadtest.js --bots 50 --duration 60 --url ws://localhost:3000/ws --room lobby
+ *
+ * Exits with status 1 if any bot failed to connect or was disconnected.
+ */
+
+import { parseArgs } from 'node:util';
+import { decodeSnapshot, ENCODING_BINARY } from './src/utils/SnapshotCodec.js';
+import { PROTOCOL_VERSION, CAPABILITIES } from './src/utils/Protocol.js';
+import { ClockSync } from './src/utils/ClockSync.js';
+
+// Same rates as the real client (see Game.js / NetworkManager.js)
+const UPDATE_INTERVAL_MS = 50;
+const PING_INTERVAL_MS = 1000;
+const PROJECTILE_SPEED = 60;
+
+// How often a bot changes direction, jumps and shoots (randomized around these)
+const WANDER_INTERVAL_MS = 2000;
+const JUMP_INTERVAL_MS = 4000;
+const SHOOT_INTERVAL_MS = 1000;
+
+const { values: options } = parseArgs({
+    options: {
+        bots: { type: 'string', default: '50' },
+        duration: { type: 'string', default: '60' }, // Seconds, after the last bot has connected
+        url: { type: 'string', default: 'ws://localhost:3000/ws' },
+        room: { type: 'string', default: 'lobby' },
+        ramp: { type: 'string', default: '50' } // ms between bot connections
+    }
+});
+
+const botCount = Number(options.bots);
+const durationMs = Number(options.duration) * 1000;
+const rampMs = Number(options.ramp);
+const statsUrl = options.url.replace(/^ws/, 'http').replace(/\/ws$/, '/stats');
+
+const results = {
+    connectFailures: 0,
+    drops: [], // { bot, code, reason } for connections the server closed
+    fullSizes: [],
+    deltaSizes: [],
+    latencies: [], // ms from snapshot timestamp (server time) to receipt
+    sent: 0
+};
+
+class Bot {
+    constructor(index) {
+        this.index = index;
+        this.clockSync = new ClockSync();
+        this.sequence = 0;
+        this.movement = { forward: false, backward: false, left: false, right: false };
+        this.yaw = 0;
+        this.position = { x: 0, y: 5, z: 0 }; // Where the server last said we are
+        this.jumpQueued = false;
+        this.timers = [];
+        this.closing = false;
+    }
+
+    /**
+     * Connect and start playing
+     * @returns {Promise} Resolves once the server has given us a player, rejects if it never does
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const url = `${options.url}?encoding=${ENCODING_BINARY}&room=${encodeURIComponent(options.room)}`;
+            this.socket = new WebSocket(url);
+            this.socket.binaryType = 'arraybuffer';
+
+            this.socket.onopen = () => {
+                this.socket.send(JSON.stringify({
+                    type: 'HELLO',
+                    protocolVersion: PROTOCOL_VERSION,
+                    buildHash: 'loadtest',
+                    capabilities: Object.values(CAPABILITIES)
+                }));
+            };
+
+            this.socket.onmessage = (event) => {
+                if (typeof event.data !== 'string') {
+                    this.handleSnapshot(event.data);
+                    return;
+                }
+
+                const message = JSON.parse(event.data);
+                if (message.type === 'PLAYER_CONNECTED') {
+                    this.playerId = message.data.id;
+                    this.start();
+                    resolve();
+                } else if (message.type === 'PONG') {
+                    this.clockSync.addSample(message.timestamp, message.serverTime, Date.now());
+                }
+                // SERVER_PING needs no reply - any message counts as activity
+            };
+
+            this.socket.onclose = (event) => {
+                this.stop();
+                if (!this.playerId) {
+                    reject(new Error(`closed before joining (${event.code} ${event.reason})`));
+                } else if (!this.closing) {
+                    results.drops.push({ bot: this.index, code: event.code, reason: event.reason });
+                }
+            };
+        });
+    }
+
+    send(type, data = {}) {
+        if (this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(JSON.stringify({ type, ...data, timestamp: Date.now() }));
+        results.sent++;
+    }
+
+    start() {
+        const every = (ms, fn) => this.timers.push(setInterval(fn, ms));
+        // Stagger so the bots don't all send in the same millisecond
+        const jitter = ms => ms * (0.5 + Math.random());
+
+        every(UPDATE_INTERVAL_MS, () => this.sendUpdate());
+        every(PING_INTERVAL_MS, () => this.send('PING'));
+        every(jitter(WANDER_INTERVAL_MS), () => this.wander());
+        every(jitter(JUMP_INTERVAL_MS), () => {
+            this.jumpQueued = true;
+            this.send('PLAYER_JUMP');
+        });
+        every(jitter(SHOOT_INTERVAL_MS), () => this.shoot());
+
+        this.wander();
+        this.send('PING');
+    }
+
+    stop() {
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+    }
+
+    close() {
+        this.closing = true;
+        this.stop();
+        try { this.socket.close(1000, 'Load test finished'); } catch (closeErr) { }
+    }
+
+    // Pick a new heading, sometimes standing still
+    wander() {
+        const moving = Math.random() < 0.8;
+        this.movement = { forward: moving, backward: false, left: moving && Math.random() < 0.3, right: false };
+        this.yaw = (Math.random() * 2 - 1) * Math.PI;
+    }
+
+    // One PLAYER_UPDATE carrying the input for this interval, like the prediction system sends
+    sendUpdate() {
+        const input = { sequence: ++this.sequence, movement: this.movement, yaw: this.yaw };
+        if (this.jumpQueued) {
+            input.jump = true;
+            this.jumpQueued = false;
+        }
+
+        this.send('PLAYER_UPDATE', {
+            inputs: [input],
+            sequence: input.sequence,
+            rotation: { x: 0, y: this.yaw, z: 0 },
+            animation: this.movement.forward ? 'walkForward' : 'idle'
+        });
+    }
+
+    shoot() {
+        this.send('PROJECTILE_SPAWN', {
+            id: `bot${this.index}-${Date.now()}`,
+            position: { x: this.position.x, y: this.position.y + 0.5, z: this.position.z },
+            velocity: { x: -Math.sin(this.yaw) * PROJECTILE_SPEED, y: 0, z: -Math.cos(this.yaw) * PROJECTILE_SPEED },
+            ownerId: this.playerId,
+            viewTime: Date.now() + this.clockSync.getOffset(Date.now()) - 100
+        });
+    }
+
+    handleSnapshot(buffer) {
+        const now = Date.now();
+        const { type, data } = decodeSnapshot(buffer);
+
+        (type === 'GAME_STATE' ? results.fullSizes : results.deltaSizes).push(buffer.byteLength);
+        if (this.clockSync.synchronized) {
+            results.latencies.push(now + this.clockSync.getOffset(now) - data.timestamp);
+        }
+
+        const self = (type === 'GAME_STATE' ? data.players : data.playerDeltas)[this.playerId];
+        if (self && self.position) this.position = self.position;
+
+        // Acknowledge straight away so the server diffs against it (we don't need the reconstructed state)
+        if (data.sequence) this.send('SNAPSHOT_ACK', { sequence: data.sequence });
+    }
+}
+
+async function fetchStats() {
+    try {
+        const response = await fetch(statsUrl);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function describe(values, unit) {
+    if (values.length === 0) return 'none';
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const format = value => `${value.toFixed(unit === 'B' ? 0 : 1)}${unit}`;
+    return `mean ${format(mean)}, p50 ${format(percentile(sorted, 0.5))}, p95 ${format(percentile(sorted, 0.95))}, ` +
+        `p99 ${format(percentile(sorted, 0.99))}, max ${format(sorted[sorted.length - 1])}`;
+}
+
+function report(connectedCount, startStats, endStats, elapsedMs) {
+    console.log(`\n=== Load test: ${botCount} bots, room ${options.room}, ${(elapsedMs / 1000).toFixed(1)}s ===`);
+    console.log(`Connections: ${connectedCount} connected, ${results.connectFailures} failed to connect, ${results.drops.length} dropped by the server`);
+    for (const drop of results.drops) {
+        console.log(`  bot ${drop.bot}: ${drop.code} ${drop.reason || ''}`);
+    }
+
+    const snapshotCount = results.fullSizes.length + results.deltaSizes.length;
+    const totalBytes = [...results.fullSizes, ...results.deltaSizes].reduce((sum, size) => sum + size, 0);
+    console.log(`Snapshots: ${snapshotCount} received (${results.fullSizes.length} full, ${results.deltaSizes.length} delta), ` +
+        `${(totalBytes / 1024 / Math.max(1, connectedCount) / (elapsedMs / 1000)).toFixed(1)} KB/s per bot`);
+    console.log(`  full size:  ${describe(results.fullSizes, 'B')}`);
+    console.log(`  delta size: ${describe(results.deltaSizes, 'B')}`);
+    console.log(`Tick-to-receive latency: ${describe(results.latencies, 'ms')}`);
+    console.log(`Messages sent: ${results.sent} (${(results.sent / (elapsedMs / 1000)).toFixed(0)}/s)`);
+
+    if (!startStats || !endStats) {
+        console.log(`Server: ${statsUrl} not reachable - no CPU or counter figures`);
+        return;
+    }
+
+    const cpuMicros = (endStats.cpu.user + endStats.cpu.system) - (startStats.cpu.user + startStats.cpu.system);
+    const wallMicros = (endStats.time - startStats.time) * 1000;
+    const room = endStats.rooms.find(r => r.id === options.room);
+    console.log(`Server: CPU ${(cpuMicros / wallMicros * 100).toFixed(1)}% of one core, RSS ${(endStats.memory.rss / 1048576).toFixed(0)}MB, ` +
+        `${endStats.connections} connections, room ${options.room}: ${room ? room.players : 0} players`);
+    console.log(`  messages rejected: ${endStats.validation.rejected - startStats.validation.rejected}, ` +
+        `rate limited: ${endStats.rateLimits.dropped - startStats.rateLimits.dropped}, ` +
+        `disconnected for abuse: ${(endStats.validation.disconnects + endStats.rateLimits.disconnects) - (startStats.validation.disconnects + startStats.rateLimits.disconnects)}`);
+    if (endStats.rateLimits.dropped > startStats.rateLimits.dropped) {
+        console.log('  rate limited by type:', endStats.rateLimits.droppedByType);
+    }
+}
+
+const bots = [];
+let connectedCount = 0;
+for (let i = 0; i < botCount; i++) {
+    const bot = new Bot(i);
+    bots.push(bot);
+    bot.connect().then(() => connectedCount++, (error) => {
+        results.connectFailures++;
+        console.warn(`Bot ${i} could not connect: ${error.message}`);
+    });
+    await Bun.sleep(rampMs);
+}
+
+// Give the last connections a moment, then measure over the full duration only
+await Bun.sleep(1000);
+console.log(`${connectedCount}/${botCount} bots connected, running for ${durationMs / 1000}s...`);
+results.fullSizes = [];
+results.deltaSizes = [];
+results.latencies = [];
+results.sent = 0;
+
+const startStats = await fetchStats();
+const startTime = Date.now();
+await Bun.sleep(durationMs);
+const endStats = await fetchStats();
+const elapsedMs = Date.now() - startTime;
+
+bots.forEach(bot => bot.close());
+report(connectedCount, startStats, endStats, elapsedMs);
+
+await Bun.sleep(200);
+process.exit(results.connectFailures > 0 || results.drops.length > 0 ? 1 : 0);
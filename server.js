@@ -1,3 +1,29 @@
+import { loadAmmo } from './server/ServerPhysics.js';
+import { RoomManager, DEFAULT_ROOM_ID, sanitizeRoomId } from './server/RoomManager.js';
+import { DEFAULT_GAME_MODE, sanitizeGameMode } from './server/modes/GameModes.js';
+import { MessageValidator } from './server/MessageValidator.js';
+import { RateLimiter } from './server/RateLimiter.js';
+import { HANDSHAKE_TIMEOUT_MS, checkHello, buildWelcome } from './server/Handshake.js';
+import { INCOMPATIBLE_CLOSE_CODE } from './src/utils/Protocol.js';
+import { MAX_MESSAGE_BYTES } from './server/MessageSchemas.js';
+import { ENCODING_BINARY, ENCODING_JSON } from './src/utils/SnapshotCodec.js';
+
+// Load Ammo.js up front so a broken build fails at startup and rooms are created quickly
+await loadAmmo();
+
+// Every connection plays in a room (/ws?room=<id>, default lobby); each room has its own game state and tick loop
+const roomManager = new RoomManager();
+
+// Every client message is schema-checked here before any handler sees it
+const messageValidator = new MessageValidator();
+
+// ...and rate limited per connection and message type, so one client can't flood a room
+const rateLimiter = new RateLimiter();
+
+const STATS_LOG_INTERVAL_MS = 60000;
+
+const SPECTATOR_ROLE = 'spectator';
+
 const server = Bun.serve({
     hostname: "0.0.0.0",
     port: process.env.PORT || 3000,
@@ -9,46 +35,12 @@ const server = Bun.serve({
             try {
                 console.log(`WebSocket connection opened: ${ws.remoteAddress}`);
 
-                // Assign a unique ID to the player
-                const playerId = generatePlayerId();
-                ws.data = { playerId, lastPingTime: Date.now() }; // Store player ID and ping time
-
-                // Add player to the connected players with proper initialization
-                gameState.players[playerId] = {
-                    id: playerId,
-                    position: { x: 0, y: 5, z: 0 }, // Start slightly above ground
-                    rotation: { x: 0, y: 0, z: 0 },
-                    health: 100,
-                    isDead: false,
-                    isAttacking: false,
-                    isJumping: false, // *** Initialize isJumping ***
-                    animation: 'idle',
-                    lastProcessedInput: 0,
-                    connected: true
-                };
-
-                // Add the WebSocket to our connections map
-                gameState.connections[playerId] = ws;
-
-                // Notify the client of their ID
-                ws.send(JSON.stringify({
-                    type: 'PLAYER_CONNECTED',
-                    data: {
-                        id: playerId,
-                        position: gameState.players[playerId].position
-                    }
-                }));
-
-                // Log active connections after new connection
-                logConnectionStats(true);
+                ws.data = { ...ws.data, lastPingTime: Date.now() }; // Store ping time (keeps negotiated encoding, room and resume token)
 
-                // --- Temporarily delay the first broadcast --- 
-                // Broadcast state to all clients (might error if called too early?)
-                // Consider adding a small delay or ensuring state is ready
-                // broadcastGameState(); 
-                console.log(`[Open] Skipping immediate broadcast for ${playerId}`);
-                // The regular game loop will eventually broadcast the state.
-                // --- End temporary delay ---
+                // Nothing happens until the client's HELLO is accepted (see acceptHello)
+                ws.data.handshakeTimer = setTimeout(() => {
+                    refuseConnection(ws, 'No handshake received. Please refresh, the server was updated.');
+                }, HANDSHAKE_TIMEOUT_MS);
 
             } catch (err) {
                 // *** Log any error during open ***
@@ -61,7 +53,20 @@ const server = Bun.serve({
         // Define the message handler
         message(ws, message) {
             try {
-                const data = JSON.parse(message);
+                // Floods, invalid messages and messages over their type's rate limit are counted and
+                // dropped (repeat offenders get disconnected)
+                if (!rateLimiter.allowFrame(ws)) return;
+
+                const data = messageValidator.parse(ws, message);
+                if (!data) return;
+
+                if (!rateLimiter.allow(ws, data.type)) return;
+
+                // The first message must be an acceptable HELLO
+                if (!ws.data.handshakeComplete) {
+                    acceptHello(ws, data);
+                    return;
+                }
 
                 // Update last ping time for this connection for ANY message received
                 if (ws.data) {
@@ -70,7 +75,7 @@ const server = Bun.serve({
 
                 handleClientMessage(ws, data);
             } catch (error) {
-                console.error('[!!!] Critical Error parsing/handling WebSocket message:', error);
+                console.error('[!!!] Critical Error handling WebSocket message:', error);
                 console.error('Offending message content (raw):', message);
                 try { ws.close(1008, "Server error processing message"); } catch (closeErr) { }
             }
@@ -82,32 +87,21 @@ const server = Bun.serve({
             const playerId = ws.data?.playerId || 'Unknown Player ID'; // Get Player ID safely
             console.log(`WebSocket connection closed for Player: ${playerId} (${remoteAddr}) - Code: ${code}, Reason: ${reason || 'None'})`);
 
+            clearTimeout(ws.data?.handshakeTimer);
+
             // Clean up if player data exists
             if (ws.data && ws.data.playerId) {
-                const pid = ws.data.playerId; // Use local var for clarity
-
-                // Remove player from game state and connections map
-                if (gameState.players[pid]) {
-                    console.log(`Removing player ${pid} from gameState.players`);
-                    delete gameState.players[pid];
+                if (ws.data.room && ws.data.kicked) {
+                    // Disconnected for sending invalid messages or flooding - no resume
+                    console.log(`Removing player ${ws.data.playerId} from room ${ws.data.room.id}`);
+                    roomManager.leave(ws);
+                } else if (ws.data.room) {
+                    console.log(`Player ${ws.data.playerId} left room ${ws.data.room.id}, keeping them for a resume`);
+                    // The room broadcasts straight away so other clients see the player as reconnecting
+                    roomManager.disconnect(ws);
                 } else {
-                    console.log(`Player ${pid} not found in gameState.players during close`);
+                    console.log(`Player ${ws.data.playerId} was not in a room during close`);
                 }
-
-                if (gameState.connections[pid]) {
-                    console.log(`Removing player ${pid} from gameState.connections`);
-                    delete gameState.connections[pid];
-                } else {
-                    console.log(`Player ${pid} not found in gameState.connections during close`);
-                }
-
-                // Log active connections after disconnection
-                logConnectionStats(true);
-
-                // Notify other clients that a player disconnected (consider delaying slightly?)
-                // Use pid here
-                // TODO: Broadcasting here might cause issues if server is shutting down. Re-evaluate.
-                broadcastGameState(); // Let broadcast handle filtering disconnected players
             } else {
                 console.log(`Closing connection did not have associated player data.`);
             }
@@ -115,6 +109,9 @@ const server = Bun.serve({
 
         // Define ping interval to keep connections alive
         idleTimeout: 300, // Increased from 120 seconds to 300 seconds (5 minutes)
+
+        // Bun closes the socket on anything bigger; the validator rejects messages over MAX_MESSAGE_BYTES
+        maxPayloadLength: MAX_MESSAGE_BYTES * 4,
     },
     async fetch(req, server) {
         const url = new URL(req.url);
@@ -148,7 +145,42 @@ const server = Bun.serve({
             // Handle WebSocket upgrade requests
             if (url.pathname === "/ws") {
                 console.log("Received WebSocket upgrade request");
-                if (server.upgrade(req)) {
+                // Snapshots are JSON unless the client asks for binary (/ws?encoding=binary)
+                const encoding = url.searchParams.get('encoding') === ENCODING_BINARY ? ENCODING_BINARY : ENCODING_JSON;
+
+                // Room to join (/ws?room=<id>), the shared lobby if none is given
+                const requestedRoom = url.searchParams.get('room');
+                const roomId = requestedRoom === null ? DEFAULT_ROOM_ID : sanitizeRoomId(requestedRoom);
+                if (!roomId) {
+                    return new Response("Invalid room id", {
+                        status: 400,
+                        headers: corsHeaders
+                    });
+                }
+                if (!roomManager.canJoin(roomId)) {
+                    return new Response("Room limit reached", {
+                        status: 503,
+                        headers: corsHeaders
+                    });
+                }
+
+                // Game mode for the room if this connection creates it (/ws?mode=<id>), GAME_MODE otherwise
+                const requestedMode = url.searchParams.get('mode');
+                const mode = requestedMode === null ? DEFAULT_GAME_MODE : sanitizeGameMode(requestedMode);
+                if (!mode) {
+                    return new Response("Unknown game mode", {
+                        status: 400,
+                        headers: corsHeaders
+                    });
+                }
+
+                // Resume token from a previous connection (/ws?resume=<token>), checked in open()
+                const resumeToken = url.searchParams.get('resume');
+
+                // Watch without a player (/ws?role=spectator)
+                const spectator = url.searchParams.get('role') === SPECTATOR_ROLE;
+
+                if (server.upgrade(req, { data: { encoding, roomId, mode, resumeToken, spectator } })) {
                     console.log("WebSocket upgrade successful");
                     return;
                 }
@@ -159,6 +191,17 @@ const server = Bun.serve({
                 });
             }
 
+            // Process and room counters as JSON (the load test samples these - see loadtest.js)
+            if (url.pathname === "/stats") {
+                return new Response(JSON.stringify(getServerStats()), {
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Cache-Control": "no-store",
+                        ...corsHeaders
+                    }
+                });
+            }
+
             // Serve index.html for root path
             if (url.pathname === "/") {
                 console.log("Serving index.html");
@@ -368,1074 +411,204 @@ const server = Bun.serve({
     },
 });
 
-// Initialize server-side game state
-const gameState = {
-    players: {}, // Map of player IDs to player objects
-    connections: {}, // Map of player IDs to WebSocket connections
-    projectiles: [], // Array of active projectiles
-    enemies: [], // Array of enemies
-    lastUpdateTime: Date.now(),
-    lastStatsTime: Date.now(),
-    lastCleanupTime: Date.now(), // Initialize lastCleanupTime
-    gameLoopActive: false, // Flag to track if game loop is running
-    lastBroadcastState: null, // Store the state from the last broadcast for delta calculation
-    broadcastCounter: 0 // Counter for sending periodic full updates
-};
-
 // Function to generate a unique player ID
 function generatePlayerId() {
     return Math.random().toString(36).substring(2, 15) +
         Math.random().toString(36).substring(2, 15);
 }
 
-// Handle messages from clients
+// Handle messages from clients - room changes are handled here, everything else by the player's room
 function handleClientMessage(ws, data) {
     if (!ws.data || !ws.data.playerId) {
         console.log(`Received message from unregistered player:`, data);
         return;
     }
 
-    const playerId = ws.data.playerId;
-    const player = gameState.players[playerId]; // Get player object reference
-
-    // Check if player exists in gameState
-    if (!player) { // Use the reference
-        console.log(`Player ${playerId} not found in gameState, ignoring message type: ${data.type}`);
-        // Don't recreate player here, rely on open() handler
+    if (data.type === 'HELLO') {
+        console.warn(`Player ${ws.data.playerId} sent HELLO again, ignoring`);
         return;
     }
 
-    switch (data.type) {
-        case 'PLAYER_UPDATE':
-            try {
-                // Update player position, rotation, etc. with validation
-                if (data.position && typeof data.position === 'object') {
-                    // Ensure position has valid properties
-                    const position = {
-                        x: typeof data.position.x === 'number' ? data.position.x : player.position.x,
-                        y: typeof data.position.y === 'number' ? Math.max(0, data.position.y) : player.position.y, // Ensure Y is never negative
-                        z: typeof data.position.z === 'number' ? data.position.z : player.position.z
-                    };
-
-                    // Apply basic speed check to prevent teleporting/speedhacking
-                    const prevPos = player.position;
-                    const distance = Math.sqrt(
-                        Math.pow(position.x - prevPos.x, 2) +
-                        Math.pow(position.y - prevPos.y, 2) +
-                        Math.pow(position.z - prevPos.z, 2)
-                    );
-
-                    // If distance is too large, reject the update
-                    const MAX_MOVEMENT_PER_UPDATE = 15;
-                    if (distance > MAX_MOVEMENT_PER_UPDATE) {
-                        console.log(`Rejecting movement from ${playerId}: distance ${distance.toFixed(2)} exceeds limit`);
-                        // Keep previous position, do not update
-                    } else {
-                        player.position = position; // Apply the validated position
-                    }
-                }
-
-                if (data.rotation && typeof data.rotation === 'object') {
-                    // Ensure rotation has valid properties
-                    const rotation = {
-                        x: typeof data.rotation.x === 'number' ? data.rotation.x : player.rotation.x,
-                        y: typeof data.rotation.y === 'number' ? data.rotation.y : player.rotation.y,
-                        z: typeof data.rotation.z === 'number' ? data.rotation.z : player.rotation.z
-                    };
-                    player.rotation = rotation;
-                }
-
-                // --- Update Animation based on Client State (unless dead) --- 
-                // Server only overrides for death. Attack animation is initiated by PROJECTILE_SPAWN broadcast.
-                if (!player.isDead && data.animation) {
-                    // Directly use the animation sent by the client 
-                    if (player.animation !== data.animation) {
-                        player.animation = data.animation;
-                        // Log animation change initiated by client update
-                        if (Math.random() < 0.05) {
-                            console.log(`[Server Update] Player ${playerId} - Set Animation: ${player.animation} (from client)`);
-                        }
-                    }
-                } // isAttacking check removed here
-                // --- End Animation Update --- 
-
-                // Update player state if provided (Health, isDead are handled by separate events mostly)
-                /*
-                if (data.health !== undefined && typeof data.health === 'number') {
-                    player.health = data.health;
-                }
-                if (data.isDead !== undefined) {
-                    player.isDead = Boolean(data.isDead);
-                }
-                */
-
-                // We now rely on client-sent animation, server only overrides for attack/death
-                /* 
-                if (data.isAttacking !== undefined) {
-                    player.isAttacking = Boolean(data.isAttacking); 
-                }
-                */
-
-                // Store sequence number for client-side prediction
-                if (data.sequence !== undefined && typeof data.sequence === 'number') {
-                    player.lastProcessedInput = data.sequence;
-                }
-            } catch (err) {
-                console.error(`Error updating player ${playerId}:`, err);
-            }
-            break;
-
-        case 'PROJECTILE_SPAWN':
-            // Handle projectile spawn
-            if (data.id && data.position && data.velocity && data.ownerId) {
-                // Validate projectile data
-                if (typeof data.position.x !== 'number' ||
-                    typeof data.position.y !== 'number' ||
-                    typeof data.position.z !== 'number' ||
-                    typeof data.velocity.x !== 'number' ||
-                    typeof data.velocity.y !== 'number' ||
-                    typeof data.velocity.z !== 'number') {
-                    console.error('Invalid projectile data:', data);
-                    return;
-                }
-
-                const projectile = {
-                    id: data.id,
-                    ownerId: data.ownerId,
-                    position: {
-                        x: data.position.x,
-                        y: data.position.y,
-                        z: data.position.z
-                    },
-                    velocity: {
-                        x: data.velocity.x,
-                        y: data.velocity.y,
-                        z: data.velocity.z
-                    },
-                    createdAt: Date.now(),
-                    active: true
-                };
-
-                // Add to game state
-                gameState.projectiles.push(projectile);
-
-                // --- Set Attacker State --- 
-                const attacker = gameState.players[data.ownerId];
-                if (attacker && !attacker.isDead) { // Check attacker exists and is not dead
-                    // Set animation to attack FOR THIS BROADCAST CYCLE
-                    // Subsequent PLAYER_UPDATE from client will dictate idle/walk etc.
-                    attacker.animation = 'attack';
-                    console.log(`[Server Broadcast] Player ${data.ownerId} - Setting Animation: attack (from projectile spawn)`);
-                }
-                // --- End Set Attacker State --- 
-
-                // Broadcast to all clients including sender for confirmation
-                broadcastToAll({
-                    type: 'PROJECTILE_SPAWN',
-                    data: projectile
-                });
-
-                console.log(`Projectile ${projectile.id} spawned by player ${data.ownerId}`);
-            } else {
-                console.error('Invalid projectile spawn data:', data);
-            }
-            break;
-
-        case 'PLAYER_JUMP':
-            console.log(`Player ${playerId} jumped`);
-            if (player && !player.isJumping && !player.isDead) {
-                player.isJumping = true;
-                player.animation = 'jump'; // Set animation state
-                console.log(`[Server Update] Player ${playerId} - Set Animation: jump`); // Log jump anim
-            }
-            break;
-
-        case 'PLAYER_SHOOT':
-            // Handle player shooting
-            console.log(`Player ${playerId} fired a projectile`);
-            if (data.direction && data.origin) {
-                // Create projectile in game state
-                const projectile = {
-                    id: `proj_${playerId}_${Date.now()}`,
-                    ownerId: playerId,
-                    origin: data.origin,
-                    direction: data.direction,
-                    speed: 50, // Units per second
-                    damage: 10,
-                    createdAt: Date.now(),
-                    position: { ...data.origin }, // Start at origin
-                    active: true
-                };
-
-                gameState.projectiles.push(projectile);
-                console.log(`Created projectile ${projectile.id} for player ${playerId}`);
-            }
-            break;
-
-        case 'PLAYER_ATTACK':
-            // Handle player attack
-            console.log(`Player ${playerId} attacked`);
-            if (player && !player.isAttacking && !player.isDead) { // Check player exists and state
-                player.isAttacking = true;
-                player.animation = 'attack'; // Set animation state
-                console.log(`[Server Update] Player ${playerId} - Set Animation: attack`); // Log attack anim
-
-                // Reset attack state after animation duration
-                setTimeout(() => {
-                    if (player) { // Check player still exists
-                        player.isAttacking = false;
-                    }
-                }, 800);
-            }
-            break;
-
-        case 'PLAYER_DAMAGE':
-            // Handle player damage event
-            if (data.targetId && typeof data.amount === 'number') {
-                const targetId = data.targetId;
-                const amount = data.amount;
-
-                // Validate target exists
-                const targetPlayer = gameState.players[targetId]; // Use reference
-                if (targetPlayer) {
-
-                    // Apply damage only if player is alive
-                    if (!targetPlayer.isDead) {
-                        targetPlayer.health = Math.max(0, targetPlayer.health - amount);
-                        console.log(`Player ${targetId} took ${amount} damage, health: ${targetPlayer.health}`);
-
-                        // Check if player died
-                        if (targetPlayer.health <= 0) {
-                            targetPlayer.isDead = true;
-                            targetPlayer.health = 0;
-                            console.log(`Player ${targetId} died from damage by ${playerId}`);
-
-                            // Broadcast death event
-                            broadcastToAll({
-                                type: 'PLAYER_DEATH',
-                                data: {
-                                    playerId: targetId,
-                                    killerId: playerId
-                                }
-                            });
-
-                            // Schedule respawn after delay
-                            setTimeout(() => {
-                                if (gameState.players[targetId]) {
-                                    gameState.players[targetId].health = 100;
-                                    gameState.players[targetId].isDead = false;
-                                    gameState.players[targetId].position = {
-                                        x: Math.random() * 20 - 10, // Random position within ±10
-                                        y: 5, // Above ground
-                                        z: Math.random() * 20 - 10
-                                    };
-
-                                    // Broadcast respawn event
-                                    broadcastToAll({
-                                        type: 'PLAYER_RESPAWN',
-                                        data: {
-                                            playerId: targetId,
-                                            position: gameState.players[targetId].position
-                                        }
-                                    });
-
-                                    console.log(`Player ${targetId} respawned`);
-                                }
-                            }, 3000); // 3 second respawn time
-                        }
-
-                        // Broadcast damage event to all players
-                        broadcastToAll({
-                            type: 'PLAYER_DAMAGE',
-                            data: {
-                                targetId,
-                                amount,
-                                attackerId: playerId
-                            }
-                        });
-                    }
-                }
-            }
-            break;
-
-        case 'PLAYER_DEATH':
-            // Player reported their own death
-            if (!player.isDead) {
-                player.isDead = true;
-                player.health = 0;
-
-                console.log(`Player ${playerId} reported death`);
-
-                // Broadcast death event
-                broadcastToAll({
-                    type: 'PLAYER_DEATH',
-                    data: {
-                        playerId: playerId
-                    }
-                });
-
-                // Schedule respawn
-                setTimeout(() => {
-                    if (player) { // Check player still exists
-                        player.health = 100;
-                        player.isDead = false;
-                        player.position = {
-                            x: Math.random() * 20 - 10,
-                            y: 5,
-                            z: Math.random() * 20 - 10
-                        };
-
-                        console.log(`Player ${playerId} respawned`);
-
-                        // Broadcast respawn event
-                        broadcastToAll({
-                            type: 'PLAYER_RESPAWN',
-                            data: {
-                                playerId: playerId,
-                                position: player.position
-                            }
-                        });
-                    }
-                }, 3000); // 3 second respawn time
-            }
-            break;
-
-        case 'PLAYER_RESPAWN':
-            // Player is requesting a respawn
-            if (player.isDead) {
-                const respawnPos = data.position || {
-                    x: Math.random() * 20 - 10,
-                    y: 5,
-                    z: Math.random() * 20 - 10
-                };
-
-                player.health = 100;
-                player.isDead = false;
-                player.position = respawnPos;
-
-                console.log(`Player ${playerId} manually respawned`);
-
-                // Broadcast respawn event
-                broadcastToAll({
-                    type: 'PLAYER_RESPAWN',
-                    data: {
-                        playerId: playerId,
-                        position: respawnPos
-                    }
-                });
-            }
-            break;
-
-        case 'PING':
-            // Handle ping from client (keep-alive)
-            ws.send(JSON.stringify({
-                type: 'PONG',
-                timestamp: data.timestamp, // Echo back client timestamp for RTT calc
-                serverTime: Date.now()
-            }));
-            break;
-
-        default:
-            console.log(`Unknown message type: ${data.type}`);
+    if (data.type === 'JOIN_ROOM') {
+        switchRoom(ws, data.roomId, data.mode);
+        return;
     }
-}
-
-// Broadcast game state to all connected clients
-function broadcastGameState() {
-    // *** Wrap entire function logic in try...catch ***
-    try {
-        let payloadObject = {};
-        let sendFullState = false;
-
-        // Periodically send full state as a fallback/keyframe
-        gameState.broadcastCounter++;
-        if (!gameState.lastBroadcastState || gameState.broadcastCounter >= 100) { // Send full state every 100 ticks (5 seconds)
-            sendFullState = true;
-            gameState.broadcastCounter = 0;
-            // Minimal logging inside loop
-            // console.log('[Broadcast] Sending full state update.');
-        }
-
-        // --- Prepare Current Sanitized State (Needed for both full and delta) ---
-        const currentPlayersState = {};
-        for (const playerId in gameState.players) {
-            const player = gameState.players[playerId];
-            if (player && player.connected) { // Only consider connected players
-                // Basic validation/sanitization
-                currentPlayersState[playerId] = {
-                    id: playerId,
-                    position: player.position || { x: 0, y: 5, z: 0 },
-                    rotation: player.rotation || { x: 0, y: 0, z: 0 },
-                    health: typeof player.health === 'number' ? player.health : 100,
-                    isDead: Boolean(player.isDead),
-                    isAttacking: Boolean(player.isAttacking),
-                    isJumping: Boolean(player.isJumping), // *** Include isJumping flag ***
-                    animation: player.animation || 'idle',
-                    lastProcessedInput: player.lastProcessedInput || 0
-                };
-
-                // Log the state being prepared for broadcast occasionally
-                if (Math.random() < 0.01) { // Reduce log frequency
-                    console.log(`[Server Broadcast Prep] Player ${playerId} State: ${JSON.stringify(currentPlayersState[playerId])}`);
-                }
-            }
-        }
-        // TODO: Add projectile state processing here later
-
-        if (sendFullState) {
-            payloadObject = {
-                type: 'GAME_STATE',
-                data: {
-                    players: currentPlayersState,
-                    // projectiles: currentProjectilesState, // Add later
-                    enemies: gameState.enemies, // Send enemies always for now
-                    timestamp: Date.now()
-                }
-            };
-        } else {
-            // --- Calculate Delta --- 
-            const playerDeltas = {};
-            const removedPlayerIds = [];
-
-            // Check for changed/new players
-            for (const playerId in currentPlayersState) {
-                const currentPlayer = currentPlayersState[playerId];
-                const lastPlayer = gameState.lastBroadcastState?.players?.[playerId];
-
-                if (!lastPlayer) {
-                    // New player: send full data
-                    playerDeltas[playerId] = currentPlayer;
-                } else {
-                    // Existing player: check for changes
-                    const delta = {};
-                    let changed = false;
-                    for (const key in currentPlayer) {
-                        // Check if key exists in lastPlayer to avoid errors if state structure changes
-                        if (!lastPlayer.hasOwnProperty(key) || !deepCompare(currentPlayer[key], lastPlayer[key])) {
-                            delta[key] = currentPlayer[key];
-                            changed = true;
-                        }
-                    }
-                    if (changed) {
-                        // Important: Always include ID in delta for identification
-                        delta.id = playerId;
-                        playerDeltas[playerId] = delta;
-                    }
-                }
-            }
-
-            // Check for removed players
-            for (const playerId in gameState.lastBroadcastState?.players) {
-                if (!currentPlayersState[playerId]) {
-                    removedPlayerIds.push(playerId);
-                }
-            }
-
-            // Only send delta if there are actual changes
-            if (Object.keys(playerDeltas).length > 0 || removedPlayerIds.length > 0 /* || projectile changes later */) {
-                payloadObject = {
-                    type: 'GAME_STATE_DELTA',
-                    data: {
-                        playerDeltas: playerDeltas,
-                        removedPlayerIds: removedPlayerIds,
-                        // projectileDeltas... // Add later
-                        timestamp: Date.now()
-                    }
-                };
-            } else {
-                // No changes, don't send anything this tick
-                // Update lastBroadcastState anyway to reflect no changes needed sending
-                gameState.lastBroadcastState = {
-                    players: JSON.parse(JSON.stringify(currentPlayersState))
-                    // projectiles: JSON.parse(JSON.stringify(currentProjectilesState)) // Add later
-                };
-                return; // Exit early
-            }
-        }
-
-        // --- Send Payload --- 
-        // Ensure payload has a type before attempting to stringify/send
-        if (!payloadObject.type) {
-            // console.log('[Broadcast] No payload type determined, skipping send.');
-            return;
-        }
-
-        const payload = JSON.stringify(payloadObject);
-        let activeConnections = 0;
-
-        for (const playerId in gameState.connections) {
-            const ws = gameState.connections[playerId];
-            // WebSocket.OPEN is 1
-            if (ws && ws.readyState === 1) {
-                try {
-                    ws.send(payload);
-                    activeConnections++;
-                } catch (sendError) {
-                    console.error(`[Broadcast] Error sending to player ${playerId}:`, sendError);
-                    // Remove the connection if we can't send to it
-                    try {
-                        ws.close(1011, "Error during broadcast");
-                    } catch (closeError) {
-                        // Ignore close errors
-                    }
-                    // Safely delete references
-                    if (gameState.connections[playerId]) delete gameState.connections[playerId];
-                    if (gameState.players[playerId]) delete gameState.players[playerId];
-                }
-            } else if (ws) {
-                // Clean up non-open connections proactively
-                console.log(`[Broadcast] Socket for player ${playerId} not open (readyState: ${ws.readyState}), removing`);
-                try { ws.close(1001, "Socket not open"); } catch (closeErr) { }
-                if (gameState.connections[playerId]) delete gameState.connections[playerId];
-                if (gameState.players[playerId]) delete gameState.players[playerId];
-            } else {
-                // Clean up null/undefined connection entries
-                console.warn(`[Broadcast] Found null/undefined connection for Player ID: ${playerId}. Cleaning up.`);
-                if (gameState.connections[playerId]) delete gameState.connections[playerId];
-                if (gameState.players[playerId]) delete gameState.players[playerId];
-            }
-        }
-
-        // Log active connections count - Reduce frequency
-        if (gameState.broadcastCounter % 50 === 0) { // Log every 50 broadcasts (~2.5 seconds)
-            console.log(`[Broadcast] Sent ${payloadObject.type} to ${activeConnections} active connections (Counter: ${gameState.broadcastCounter})`);
-        }
 
-        // --- Update lastBroadcastState AFTER sending --- 
-        if (payloadObject.type) { // Only update if we actually sent something
-            gameState.lastBroadcastState = {
-                players: JSON.parse(JSON.stringify(currentPlayersState))
-                // projectiles: JSON.parse(JSON.stringify(currentProjectilesState)) // Add later
-            };
-        }
-    } catch (err) {
-        // *** Log any error during broadcast ***
-        console.error('[!!!] Critical Error in broadcastGameState:', err);
+    const room = ws.data.room;
+    if (!room) {
+        console.log(`Player ${ws.data.playerId} is not in a room yet, ignoring message type: ${data.type}`);
+        return;
     }
-}
 
-// Helper function to broadcast message to all connected clients
-function broadcastToAll(message) {
-    const payload = JSON.stringify(message);
-
-    for (const playerId in gameState.connections) {
-        const ws = gameState.connections[playerId];
-        if (ws && ws.readyState === 1) {
-            try {
-                ws.send(payload);
-            } catch (error) {
-                console.error(`Error broadcasting to player ${playerId}:`, error);
-            }
-        }
-    }
+    room.handleClientMessage(ws, data);
 }
 
-// Log connection stats
-function logConnectionStats(force = false) {
-    const now = Date.now();
-    if (force || now - gameState.lastStatsTime > 5000) {
-        const activeConnections = Object.keys(gameState.connections).length;
-        const activePlayers = Object.keys(gameState.players).length;
-
-        console.log(`Active connections: ${activeConnections}`);
-        console.log(`Active players: ${activePlayers}`);
-        gameState.lastStatsTime = now;
+// Handle the first message on a connection: accept a compatible HELLO and give the client its player
+function acceptHello(ws, data) {
+    const reason = checkHello(data);
+    if (reason) {
+        console.warn(`[Handshake] Refusing ${ws.remoteAddress} (protocol ${data.protocolVersion ?? 'none'}, build ${data.buildHash ?? 'unknown'}): ${reason}`);
+        refuseConnection(ws, reason);
+        return;
     }
-}
-
-// Check for inactive connections and remove them
-function cleanupInactiveConnections() {
-    const now = Date.now();
-    const timeout = 300000; // Increased from 30000 (30 seconds) to 300000 (5 minutes)
-
-    let cleanedCount = 0;
-    for (const playerId in gameState.connections) {
-        const ws = gameState.connections[playerId];
-        // Check if ws and ws.data exist, and if lastPingTime exists
-        if (ws && ws.data && typeof ws.data.lastPingTime === 'number') {
-            const lastActive = now - ws.data.lastPingTime;
-            if (lastActive > timeout) {
-                // *** Add Log Here ***
-                console.log(`[Cleanup] Removing inactive player ${playerId} (last active ${Math.round(lastActive / 1000)}s ago > ${timeout / 1000}s)`);
-                cleanedCount++;
-
-                // Close the connection
-                try {
-                    ws.close();
-                } catch (err) {
-                    console.error(`Error closing websocket for player ${playerId}:`, err);
-                }
 
-                // Remove player from game state and connections
-                delete gameState.players[playerId];
-                delete gameState.connections[playerId];
-            }
-        } else if (ws && ws.data && typeof ws.data.lastPingTime !== 'number') {
-            // If lastPingTime is missing, maybe set it now or log a warning
-            console.warn(`[Cleanup] Player ${playerId} missing lastPingTime, setting it now.`);
-            ws.data.lastPingTime = now;
-        } else if (!ws || !ws.data) {
-            // Handle cases where ws or ws.data might be missing unexpectedly
-            console.warn(`[Cleanup] Found invalid connection data for Player ID: ${playerId}. Removing.`);
-            delete gameState.players[playerId];
-            delete gameState.connections[playerId];
-            cleanedCount++; // Count this as cleaned
-        }
-    }
-    if (cleanedCount > 0) {
-        console.log(`[Cleanup] Finished cleanup. Removed ${cleanedCount} inactive/invalid connections.`);
-    }
-}
+    clearTimeout(ws.data.handshakeTimer);
+    ws.data.handshakeComplete = true;
+    ws.data.protocolVersion = data.protocolVersion;
+    ws.data.capabilities = data.capabilities;
 
-// Define tick rate
-const TICK_RATE = 20; // 20 updates per second (50ms)
+    ws.send(JSON.stringify({ type: 'WELCOME', data: buildWelcome() }));
 
-// Start game tick loop if not already running
-function startGameLoop() {
-    if (gameState.gameLoopActive) {
-        console.log('Game loop already running, not starting a new one');
+    // A reconnecting client presents the resume token from its last PLAYER_CONNECTED and gets its player back
+    // (spectators have no player to resume - they just join again)
+    const resumedRoom = ws.data.resumeToken && !ws.data.spectator ? roomManager.resume(ws, ws.data.resumeToken) : null;
+    if (resumedRoom) {
+        sendPlayerConnected(ws, resumedRoom, true);
         return;
     }
 
-    console.log('Starting game tick loop');
-    gameState.gameLoopActive = true;
-    let serverPingCounter = 0; // Counter for server pings
-
-    // Store interval ID so we can clear it if needed
-    gameState.tickInterval = setInterval(() => {
-        try {
-            updateGameState();
-            broadcastGameState();
-
-            // Periodically check for inactive connections
-            if (Date.now() - (gameState.lastCleanupTime || 0) > 10000) { // Every 10 seconds
-                cleanupInactiveConnections();
-                gameState.lastCleanupTime = Date.now();
-            }
+    // Assign a unique ID to the player
+    ws.data.playerId = generatePlayerId();
 
-            // Log stats periodically
-            logConnectionStats();
+    // The player is created by the room; PLAYER_CONNECTED is sent once it is ready
+    joinInitialRoom(ws);
 
-            // Send server pings periodically
-            serverPingCounter++;
-            if (serverPingCounter >= 400) { // Send approx every 20 seconds (400 ticks * 50ms/tick)
-                sendServerPings();
-                serverPingCounter = 0;
-            }
+    // The room's game loop will broadcast the new player on its next tick
+}
 
-        } catch (err) {
-            // Log error but continue game loop
-            console.error('Error in game tick loop:', err);
-        }
-    }, 1000 / TICK_RATE);
+// Close a connection whose client we can't talk to; the reason is shown to the player
+function refuseConnection(ws, reason) {
+    ws.data.kicked = true; // Never had a player - nothing to hold for a resume
+    try { ws.close(INCOMPATIBLE_CLOSE_CODE, reason); } catch (closeErr) { }
 }
 
-// Update game state
-function updateGameState() {
+// Put a newly opened connection in the room it asked for at upgrade time
+async function joinInitialRoom(ws) {
     try {
-        const currentTime = Date.now();
-        const deltaTime = (currentTime - gameState.lastUpdateTime) / 1000; // Convert to seconds
-        gameState.lastUpdateTime = currentTime;
+        const room = await roomManager.join(ws, ws.data.roomId, ws.data.mode);
+        if (!room) return; // Closed before the room was ready
 
-        // Apply ground constraint to all players - prevent them from falling through
-        // or getting stuck in the air
-        for (const playerId in gameState.players) {
-            const player = gameState.players[playerId];
-
-            // Skip dead players
-            if (player.isDead) continue;
-
-            // If player is below ground, reset to ground level
-            if (player.position.y < 0) {
-                player.position.y = 0;
-            }
-
-            // If player has been in the air without updating for too long (3 seconds),
-            // force them back to ground
-            if (!player.lastYUpdateTime) {
-                player.lastYUpdateTime = currentTime;
-                player.lastY = player.position.y;
-            }
-            else if (player.position.y > 0.5 &&
-                Math.abs(player.position.y - player.lastY) < 0.01 &&
-                currentTime - player.lastYUpdateTime > 3000) {
-                // Player has been stuck in the air - force back to ground
-                console.log(`Player ${playerId} appeared stuck at y=${player.position.y.toFixed(2)} - resetting to ground`);
-                player.position.y = 0;
-                player.lastYUpdateTime = currentTime;
-            }
-
-            // Track Y position changes
-            if (Math.abs(player.position.y - player.lastY) > 0.01) {
-                player.lastY = player.position.y;
-                player.lastYUpdateTime = currentTime;
-            }
-        }
-
-        // Update projectiles
-        updateProjectiles(deltaTime);
-
-        // Check for projectile collisions with players
-        checkProjectilePlayerCollisions();
-
-        // Update enemies - basic implementation
-        updateEnemies(deltaTime);
+        sendPlayerConnected(ws, room, false);
     } catch (err) {
-        console.error('Error in updateGameState:', err);
+        console.error(`[Room] Could not put player ${ws.data.playerId} in room ${ws.data.roomId}:`, err);
+        try { ws.close(1011, "Server error during connection setup"); } catch (closeErr) { }
     }
 }
 
-// Update projectile positions
-function updateProjectiles(deltaTime) {
-    const MAX_PROJECTILE_LIFETIME = 5000; // 5 seconds max lifetime
-
-    // Update each projectile position based on velocity and speed
-    for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
-        const projectile = gameState.projectiles[i];
-
-        // Check if projectile is too old
-        const age = Date.now() - projectile.createdAt;
-        if (age > MAX_PROJECTILE_LIFETIME) {
-            // Remove old projectiles
-            gameState.projectiles.splice(i, 1);
-            continue;
-        }
-
-        // Skip inactive projectiles
-        if (!projectile.active) {
-            gameState.projectiles.splice(i, 1);
-            continue;
-        }
+// Notify the client of their ID and give them a token to resume this player with if the socket drops
+function sendPlayerConnected(ws, room, resumed) {
+    if (ws.data.spectator) {
+        ws.send(JSON.stringify({
+            type: 'PLAYER_CONNECTED',
+            data: { id: ws.data.playerId, roomId: room.id, spectator: true, resumed: false }
+        }));
+        return;
+    }
 
-        // Update position based on velocity
-        if (projectile.velocity) {
-            projectile.position.x += projectile.velocity.x * deltaTime;
-            projectile.position.y += projectile.velocity.y * deltaTime;
-            projectile.position.z += projectile.velocity.z * deltaTime;
-        } else {
-            // If no velocity, remove the projectile
-            console.log('Removing projectile without velocity');
-            gameState.projectiles.splice(i, 1);
+    const player = room.gameState.players[ws.data.playerId];
+
+    ws.send(JSON.stringify({
+        type: 'PLAYER_CONNECTED',
+        data: {
+            id: player.id,
+            position: player.position,
+            health: player.health,
+            isDead: player.isDead,
+            roomId: room.id,
+            resumeToken: roomManager.issueResumeToken(player.id, room.id),
+            resumed
         }
-    }
+    }));
 }
 
-// Check for projectile collisions with players
-function checkProjectilePlayerCollisions() {
-    // Process each active projectile
-    for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
-        const projectile = gameState.projectiles[i];
-
-        // Skip if already inactive
-        if (!projectile.active) continue;
-
-        // Check against each player
-        for (const playerId in gameState.players) {
-            // Skip if this is the projectile owner
-            if (playerId === projectile.ownerId) continue;
-
-            const player = gameState.players[playerId];
-
-            // Skip dead players
-            if (player.isDead) continue;
-
-            // Calculate distance between projectile and player
-            const dx = projectile.position.x - player.position.x;
-            const dy = projectile.position.y - player.position.y;
-            const dz = projectile.position.z - player.position.z;
-
-            const distanceSquared = dx * dx + dy * dy + dz * dz;
-
-            // Hit if distance is less than 2 units
-            if (distanceSquared < 4) {
-                // Mark projectile as inactive
-                projectile.active = false;
-
-                // Apply damage to the hit player
-                const damage = projectile.damage || 10;
-
-                // If player was alive, apply damage
-                if (player.health > 0) {
-                    player.health = Math.max(0, player.health - damage);
-
-                    console.log(`Projectile hit: Player ${playerId} hit for ${damage} damage, health now ${player.health}`);
-
-                    // Broadcast damage event
-                    broadcastToAll({
-                        type: 'PLAYER_DAMAGE',
-                        data: {
-                            targetId: playerId,
-                            amount: damage,
-                            attackerId: projectile.ownerId
-                        }
-                    });
-
-                    // Check if player died
-                    if (player.health <= 0) {
-                        player.isDead = true;
-
-                        console.log(`Player ${playerId} died from projectile by ${projectile.ownerId}`);
-
-                        // Broadcast death event
-                        broadcastToAll({
-                            type: 'PLAYER_DEATH',
-                            data: {
-                                playerId: playerId,
-                                killerId: projectile.ownerId
-                            }
-                        });
-
-                        // Schedule respawn
-                        setTimeout(() => {
-                            if (gameState.players[playerId]) {
-                                gameState.players[playerId].health = 100;
-                                gameState.players[playerId].isDead = false;
-                                gameState.players[playerId].position = {
-                                    x: Math.random() * 20 - 10,
-                                    y: 5,
-                                    z: Math.random() * 20 - 10
-                                };
-
-                                console.log(`Player ${playerId} respawned`);
-
-                                // Broadcast respawn event
-                                broadcastToAll({
-                                    type: 'PLAYER_RESPAWN',
-                                    data: {
-                                        playerId: playerId,
-                                        position: gameState.players[playerId].position
-                                    }
-                                });
-                            }
-                        }, 3000); // 3 second respawn time
-                    }
-                }
+// Handle JOIN_ROOM: move a connected player to another room (their ID is kept)
+async function switchRoom(ws, requestedRoomId, requestedMode) {
+    const roomId = sanitizeRoomId(requestedRoomId);
+    const mode = requestedMode === undefined ? DEFAULT_GAME_MODE : sanitizeGameMode(requestedMode);
+    const sendRoomError = (reason) => ws.send(JSON.stringify({
+        type: 'ROOM_ERROR',
+        data: { roomId: requestedRoomId, reason }
+    }));
+
+    if (!roomId) {
+        sendRoomError('Invalid room id');
+        return;
+    }
+    if (!mode) {
+        sendRoomError('Unknown game mode');
+        return;
+    }
+    if (ws.data.room?.id === roomId) {
+        sendRoomError('Already in this room');
+        return;
+    }
 
-                // Break to next projectile - this one has been consumed
-                break;
-            }
-        }
+    try {
+        const room = await roomManager.join(ws, roomId, mode);
+        if (!room) return;
+
+        console.log(`[Room] ${ws.data.spectator ? 'Spectator' : 'Player'} ${ws.data.playerId} moved to room ${room.id}`);
+        const player = room.gameState.players[ws.data.playerId];
+        ws.send(JSON.stringify({
+            type: 'ROOM_JOINED',
+            data: player ? {
+                roomId: room.id,
+                id: player.id,
+                position: player.position,
+                resumeToken: roomManager.issueResumeToken(player.id, room.id) // The old room's token was revoked when we left
+            } : { roomId: room.id, id: ws.data.playerId, spectator: true }
+        }));
+    } catch (err) {
+        console.error(`[Room] Could not move player ${ws.data.playerId} to room ${roomId}:`, err.message);
+        sendRoomError(err.message);
     }
 }
 
-// Basic enemy update function
-function updateEnemies(deltaTime) {
-    // Enemies disabled for multiplayer-only mode
-    return;
-
-    // Previous enemy code commented out
-    /*
-    // Only update enemies if we have at least one player
-    const playerCount = Object.keys(gameState.players).filter(id =>
-        gameState.players[id].connected && !gameState.players[id].isDead
-    ).length;
-
-    if (playerCount === 0) return;
-
-    // Adjust enemy count based on player count (1-2 enemies per player)
-    const desiredEnemyCount = Math.min(10, Math.ceil(playerCount * 1.5));
-
-    // Check if we need to spawn more enemies
-    if (gameState.enemies.length < desiredEnemyCount) {
-        spawnEnemy();
+/**
+ * Log message validation and rate limiting counters, with the limits in force
+ * @param {Boolean} includeLimits - Also list the configured rate limits
+ */
+function logServerStats(includeLimits = false) {
+    const validation = messageValidator.getStats();
+    const rateLimits = rateLimiter.getStats();
+
+    if (includeLimits) {
+        const limits = Object.entries(rateLimits.limits).map(([type, { rate, burst }]) => `${type} ${rate}/s (burst ${burst})`);
+        console.log(`[Stats] Rate limits: ${limits.join(', ')}`);
     }
 
-    // Update each enemy
-    for (let i = 0; i < gameState.enemies.length; i++) {
-        const enemy = gameState.enemies[i];
-
-        // Skip dead enemies
-        if (enemy.isDead) continue;
-
-        // Find closest player to chase
-        let closestPlayer = null;
-        let closestDistance = Infinity;
-
-        for (const playerId in gameState.players) {
-            const player = gameState.players[playerId];
-
-            // Skip dead or disconnected players
-            if (player.isDead || !player.connected) continue;
-
-            // Calculate distance
-            const dx = enemy.position.x - player.position.x;
-            const dz = enemy.position.z - player.position.z;
-            const distanceSquared = dx * dx + dz * dz;
-
-            if (distanceSquared < closestDistance) {
-                closestDistance = distanceSquared;
-                closestPlayer = player;
-            }
-        }
-
-        // If we found a player to chase
-        if (closestPlayer) {
-            // Calculate direction to player
-            const dx = closestPlayer.position.x - enemy.position.x;
-            const dz = closestPlayer.position.z - enemy.position.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-
-            // Only move if outside attack range
-            if (distance > 2) {
-                // Normalize direction
-                const dirX = dx / distance;
-                const dirZ = dz / distance;
-
-                // Move toward player (slower movement speed)
-                const moveSpeed = 0.1;
-                enemy.position.x += dirX * moveSpeed;
-                enemy.position.z += dirZ * moveSpeed;
-
-                // Update rotation to face player
-                enemy.rotation.y = Math.atan2(dirX, dirZ);
-            }
-
-            // If close enough, attack
-            else if (Math.random() < 0.02) { // 2% chance per update to attack
-                enemy.isAttacking = true;
-
-                // Reset attack state after animation duration
-                setTimeout(() => {
-                    if (enemy) {
-                        enemy.isAttacking = false;
-                    }
-                }, 800);
-
-                // Deal damage to player
-                if (closestPlayer.health > 0 && !closestPlayer.isDead) {
-                    const damage = 10;
-                    closestPlayer.health = Math.max(0, closestPlayer.health - damage);
-
-                    console.log(`Enemy ${enemy.id} attacked player ${closestPlayer.id} for ${damage} damage`);
-
-                    // Broadcast damage event
-                    broadcastToAll({
-                        type: 'PLAYER_DAMAGE',
-                        data: {
-                            targetId: closestPlayer.id,
-                            amount: damage,
-                            attackerId: null // null means enemy attack
-                        }
-                    });
-
-                    // Check if player died
-                    if (closestPlayer.health <= 0) {
-                        closestPlayer.isDead = true;
-
-                        console.log(`Player ${closestPlayer.id} died from enemy attack`);
-
-                        // Broadcast death event
-                        broadcastToAll({
-                            type: 'PLAYER_DEATH',
-                            data: {
-                                playerId: closestPlayer.id
-                            }
-                        });
-
-                        // Schedule respawn
-                        setTimeout(() => {
-                            if (gameState.players[closestPlayer.id]) {
-                                gameState.players[closestPlayer.id].health = 100;
-                                gameState.players[closestPlayer.id].isDead = false;
-                                gameState.players[closestPlayer.id].position = {
-                                    x: Math.random() * 20 - 10,
-                                    y: 5,
-                                    z: Math.random() * 20 - 10
-                                };
-
-                                console.log(`Player ${closestPlayer.id} respawned after enemy kill`);
-
-                                // Broadcast respawn event
-                                broadcastToAll({
-                                    type: 'PLAYER_RESPAWN',
-                                    data: {
-                                        playerId: closestPlayer.id,
-                                        position: gameState.players[closestPlayer.id].position
-                                    }
-                                });
-                            }
-                        }, 3000); // 3 second respawn time
-                    }
-                }
-            }
-        }
+    console.log(`[Stats] Rooms: ${roomManager.rooms.size}, messages accepted: ${validation.accepted}, rejected: ${validation.rejected}, rate limited: ${rateLimits.dropped}, disconnected: ${validation.disconnects + rateLimits.disconnects}`);
+    if (rateLimits.dropped > 0) {
+        console.log('[Stats] Rate limited by type:', rateLimits.droppedByType);
     }
-    */
 }
 
-// Spawn a new enemy
-function spawnEnemy() {
-    // Enemies disabled for multiplayer-only mode
-    return null;
-
-    /*
-    const enemyId = `enemy_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-
-    // Spawn away from players
-    let spawnX = Math.random() * 40 - 20;
-    let spawnZ = Math.random() * 40 - 20;
-
-    const enemy = {
-        id: enemyId,
-        type: 'enemy',
-        position: {
-            x: spawnX,
-            y: 0, // Ground level
-            z: spawnZ
-        },
-        rotation: { x: 0, y: 0, z: 0 },
-        health: 50,
-        isDead: false,
-        isAttacking: false,
-        model: 'default',
-        color: Math.floor(Math.random() * 0xFFFFFF)
+// Snapshot of the server for /stats: process CPU and memory, rooms and message counters
+function getServerStats() {
+    const memory = process.memoryUsage();
+    const rooms = [...roomManager.rooms.values()].map(room => ({
+        id: room.id,
+        players: room.getPlayerCount(),
+        spectators: room.spectators.size,
+        enemies: room.gameState.enemies.length,
+        mode: room.gameMode.id,
+        phase: room.gameMode.phase,
+        tick: room.gameState.tick
+    }));
+
+    return {
+        time: Date.now(),
+        uptime: process.uptime(),
+        cpu: process.cpuUsage(), // { user, system } microseconds since start
+        memory: { rss: memory.rss, heapUsed: memory.heapUsed },
+        connections: server.pendingWebSockets,
+        rooms,
+        validation: messageValidator.getStats(),
+        rateLimits: rateLimiter.getStats()
     };
-
-    gameState.enemies.push(enemy);
-    console.log(`Spawned enemy ${enemyId} at x=${spawnX.toFixed(2)}, z=${spawnZ.toFixed(2)}`);
-
-    return enemy;
-    */
 }
 
-// Start the game loop
-startGameLoop();
+setInterval(() => logServerStats(), STATS_LOG_INTERVAL_MS);
+logServerStats(true);
 
 console.log(`Server running at http://localhost:${server.port} with WebSocket support`);
-
-// --- Helper function for simple deep comparison --- 
-function deepCompare(obj1, obj2) {
-    // Basic comparison for this use case (position, rotation, primitive values)
-    // Not a fully robust deep comparison, but sufficient here.
-    return JSON.stringify(obj1) === JSON.stringify(obj2);
-}
-
-// --- New Function to Send Server Pings ---
-function sendServerPings() {
-    const pingMessage = JSON.stringify({ type: 'SERVER_PING' });
-    let pingCount = 0;
-    try {
-        for (const playerId in gameState.connections) {
-            const ws = gameState.connections[playerId];
-            if (ws && ws.readyState === 1) { // WebSocket.OPEN
-                try {
-                    ws.send(pingMessage);
-                    pingCount++;
-                } catch (pingErr) {
-                    console.error(`Error sending server ping to player ${playerId}:`, pingErr);
-                    // Close potentially broken connection
-                    try { ws.close(1011, "Server ping failed"); } catch (closeErr) { }
-                    // Clean up immediately
-                    if (gameState.connections[playerId]) delete gameState.connections[playerId];
-                    if (gameState.players[playerId]) delete gameState.players[playerId];
-                }
-            }
-        }
-        if (pingCount > 0) {
-            console.log(`[ServerPing] Sent ping to ${pingCount} clients.`);
-        }
-    } catch (err) {
-        console.error('[!!!] Critical Error in sendServerPings loop:', err);
-    }
-}
-// --- End New Function --- 
\ No newline at end of file
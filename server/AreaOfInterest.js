@@ -0,0 +1,124 @@
+/**
+ * AreaOfInterest.js
+ *
+ * Decides which players each connection hears about and how often.
+ *  - Within AOI_NEAR_RADIUS: sent every tick
+ *  - Out to AOI_ENTER_RADIUS: sent every FAR_UPDATE_INTERVAL ticks (the client keeps the last values in between)
+ *  - Beyond: not relevant - the client is told to despawn them
+ * Once relevant, a player stays relevant until AOI_EXIT_RADIUS so someone walking along the
+ * boundary doesn't spawn and despawn every tick.
+ * Projectiles are included while within AOI_EXIT_RADIUS; a client always gets its own.
+ * Enemies are included while within AOI_EXIT_RADIUS and sent every tick.
+ */
+
+import { SpatialGrid } from './SpatialGrid.js';
+
+export const AOI_NEAR_RADIUS = 30;
+export const AOI_ENTER_RADIUS = 60;
+export const AOI_EXIT_RADIUS = 70;
+export const FAR_UPDATE_INTERVAL = 4; // 5Hz at the 20Hz tick rate
+
+export class AreaOfInterest {
+    constructor() {
+        this.grid = new SpatialGrid(AOI_ENTER_RADIUS / 2);
+    }
+
+    /**
+     * Re-index player positions for this tick
+     * @param {Object} playersState - Sanitized players state being broadcast
+     */
+    update(playersState) {
+        this.grid.clear();
+        for (const playerId in playersState) {
+            this.grid.insert(playerId, playersState[playerId].position);
+        }
+    }
+
+    /**
+     * Build the players state one connection should see this tick
+     * @param {String} viewerId - The connection's player ID
+     * @param {Object} playersState - Sanitized players state being broadcast
+     * @param {Object|null} previousView - What this connection was sent last
+     * @param {Number} snapshotCount - Snapshots the room has broadcast (drives the reduced far update rate)
+     * @returns {Object} Players state map tailored to the viewer
+     */
+    buildView(viewerId, playersState, previousView, snapshotCount) {
+        const viewer = playersState[viewerId];
+        if (!viewer) return playersState; // Not a player (yet) - nothing to center on
+
+        const view = {};
+        const farUpdateDue = snapshotCount % FAR_UPDATE_INTERVAL === 0;
+        const nearSquared = AOI_NEAR_RADIUS * AOI_NEAR_RADIUS;
+        const enterSquared = AOI_ENTER_RADIUS * AOI_ENTER_RADIUS;
+
+        for (const { id, distanceSquared } of this.grid.queryRadius(viewer.position, AOI_EXIT_RADIUS)) {
+            const wasRelevant = Boolean(previousView && previousView[id]);
+            if (id !== viewerId && !wasRelevant && distanceSquared > enterSquared) continue;
+
+            if (id === viewerId || !wasRelevant || distanceSquared <= nearSquared || farUpdateDue) {
+                view[id] = playersState[id];
+            } else {
+                // Far away - repeat what the client already has until the next far update
+                view[id] = previousView[id];
+            }
+        }
+
+        return view;
+    }
+
+    /**
+     * Projectile trajectory records one connection should see this tick
+     * @param {String} viewerId - The connection's player ID
+     * @param {Object} playersState - Sanitized players state being broadcast
+     * @param {Object} projectilesState - Map of projectile IDs to { id, ownerId, origin, velocity, launchTime }
+     * @param {Number} now - Server time the snapshot is taken at
+     * @returns {Object} Filtered map of projectile records
+     */
+    buildProjectileView(viewerId, playersState, projectilesState, now) {
+        const viewer = playersState[viewerId];
+        const view = {};
+        const exitSquared = AOI_EXIT_RADIUS * AOI_EXIT_RADIUS;
+
+        for (const id in projectilesState) {
+            const projectile = projectilesState[id];
+            if (!viewer || projectile.ownerId === viewerId) {
+                view[id] = projectile;
+                continue;
+            }
+
+            // Projectiles fly in straight lines, so the current position follows from the trajectory
+            const elapsed = (now - projectile.launchTime) / 1000;
+            const dx = projectile.origin.x + projectile.velocity.x * elapsed - viewer.position.x;
+            const dz = projectile.origin.z + projectile.velocity.z * elapsed - viewer.position.z;
+            if (dx * dx + dz * dz <= exitSquared) {
+                view[id] = projectile;
+            }
+        }
+
+        return view;
+    }
+
+    /**
+     * Enemy states one connection should see this tick
+     * @param {String} viewerId - The connection's player ID
+     * @param {Object} playersState - Sanitized players state being broadcast
+     * @param {Object} enemiesState - Map of enemy IDs to sanitized enemy states
+     * @returns {Object} Filtered map of enemy states
+     */
+    buildEnemyView(viewerId, playersState, enemiesState) {
+        const viewer = playersState[viewerId];
+        if (!viewer) return enemiesState; // Spectators see everything
+
+        const view = {};
+        const exitSquared = AOI_EXIT_RADIUS * AOI_EXIT_RADIUS;
+        for (const id in enemiesState) {
+            const dx = enemiesState[id].position.x - viewer.position.x;
+            const dz = enemiesState[id].position.z - viewer.position.z;
+            if (dx * dx + dz * dz <= exitSquared) {
+                view[id] = enemiesState[id];
+            }
+        }
+
+        return view;
+    }
+}
@@ -0,0 +1,349 @@
+/**
+ * DamageAuthority.js
+ *
+ * The only place on the server that changes player health, kills players or respawns them.
+ * Damage comes from simulated projectiles or validated melee; respawn positions are picked here.
+ * Client PLAYER_DAMAGE / PLAYER_DEATH / PLAYER_RESPAWN messages are treated as claims:
+ * they are logged and checked against what the server saw, but never applied directly.
+ */
+
+export const MAX_HEALTH = 100;
+export const RESPAWN_DELAY_MS = 3000;
+export const MELEE_RANGE = 2.5;
+export const MELEE_DAMAGE = 10;
+export const MELEE_COOLDOWN_MS = 800; // Matches the attack animation length
+
+const SPAWN_AREA_HALF_SIZE = 10; // Spawn within ±10 of the arena center
+const SPAWN_HEIGHT = 5; // Drop in from slightly above the ground
+const SPAWN_CANDIDATES = 8;
+const RECENT_HIT_WINDOW_MS = 2000; // How long authoritative hits are kept to verify client hit claims
+
+export class DamageAuthority {
+    /**
+     * @param {Object} gameState - Server game state (players map is read and updated)
+     * @param {Object} hooks - { broadcast(message), setPlayerPosition(playerId, position) },
+     *                         optional { canDamage(targetId, attackerId) } to veto damage (game mode rules),
+     *                         { getDamageScale(targetId, attackerId) } for friendly fire,
+     *                         { canRespawn(playerId) } to keep a dead player out (elimination modes),
+     *                         { onDamage(targetId, amount, attackerId, details) } after damage is applied
+     *                         and { onKill(playerId, killerId, details) } after every death
+     */
+    constructor(gameState, hooks) {
+        this.gameState = gameState;
+        this.broadcast = hooks.broadcast;
+        this.setPlayerPosition = hooks.setPlayerPosition;
+        this.canDamage = hooks.canDamage || (() => true);
+        this.getDamageScale = hooks.getDamageScale || (() => 1);
+        this.canRespawn = hooks.canRespawn || (() => true);
+        this.onDamage = hooks.onDamage || (() => {});
+        this.onKill = hooks.onKill || (() => {});
+
+        this.respawnTimers = {}; // Map of player IDs to pending respawn timeouts
+        this.recentHits = []; // { projectileId, targetId, attackerId, time }
+        this.claimStats = {
+            damage: { confirmed: 0, rejected: 0 },
+            death: { confirmed: 0, rejected: 0 },
+            respawn: { confirmed: 0, rejected: 0 }
+        };
+    }
+
+    /**
+     * Apply authoritative damage to a player
+     * @param {String} targetId - Player taking damage
+     * @param {Number} amount - Damage amount
+     * @param {String|null} attackerId - Player responsible (null for environment/enemies)
+     * @param {Object} details - { source: 'projectile' | 'melee' | ..., projectileId }
+     * @returns {Boolean} True if damage was applied
+     */
+    applyDamage(targetId, amount, attackerId = null, details = {}) {
+        const target = this.gameState.players[targetId];
+        if (!target || target.isDead || !(amount > 0)) return false;
+        // Dead players deal no damage - not even with shots still in flight
+        if (this.gameState.players[attackerId]?.isDead) return false;
+        if (!this.canDamage(targetId, attackerId)) return false;
+
+        const healthBefore = target.health;
+        target.health = Math.max(0, target.health - amount);
+        console.log(`[Damage] Player ${targetId} took ${amount} ${details.source || ''} damage from ${attackerId || 'world'}, health now ${target.health}`);
+
+        if (details.projectileId) {
+            this.pruneRecentHits(); // Clients that never send claims would otherwise grow it forever
+            this.recentHits.push({ projectileId: details.projectileId, targetId, attackerId, time: Date.now() });
+        }
+
+        // Broadcast damage event
+        this.broadcast({
+            type: 'PLAYER_DAMAGE',
+            data: {
+                targetId,
+                amount,
+                attackerId,
+                tick: this.gameState.tick
+            }
+        });
+
+        this.onDamage(targetId, healthBefore - target.health, attackerId, details);
+
+        if (target.health <= 0) {
+            this.kill(targetId, attackerId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Kill a player and schedule their respawn (if the game mode allows one)
+     * @param {String} playerId - Player who died
+     * @param {String|null} killerId - Player credited with the kill
+     * @param {Object} details - { forced } when the game mode removed the player rather than anyone killing them
+     */
+    kill(playerId, killerId = null, details = {}) {
+        const player = this.gameState.players[playerId];
+        if (!player || player.isDead) return;
+
+        player.isDead = true;
+        player.health = 0;
+        player.diedAt = Date.now();
+
+        console.log(`[Damage] Player ${playerId} died (killer: ${killerId || 'none'})`);
+
+        // Broadcast death event
+        this.broadcast({
+            type: 'PLAYER_DEATH',
+            data: {
+                playerId,
+                killerId,
+                tick: this.gameState.tick
+            }
+        });
+
+        if (this.canRespawn(playerId)) {
+            this.scheduleRespawn(playerId);
+        }
+        this.onKill(playerId, killerId, details);
+    }
+
+    /**
+     * Respawn a player after the standard delay
+     * @param {String} playerId - Player ID
+     */
+    scheduleRespawn(playerId) {
+        this.cancelRespawn(playerId);
+        this.respawnTimers[playerId] = setTimeout(() => {
+            delete this.respawnTimers[playerId];
+            this.respawn(playerId);
+        }, RESPAWN_DELAY_MS);
+    }
+
+    /**
+     * Cancel a pending respawn (e.g. the player disconnected)
+     * @param {String} playerId - Player ID
+     */
+    cancelRespawn(playerId) {
+        if (this.respawnTimers[playerId]) {
+            clearTimeout(this.respawnTimers[playerId]);
+            delete this.respawnTimers[playerId];
+        }
+    }
+
+    /**
+     * Bring a dead player back at a server-chosen spawn point
+     * @param {String} playerId - Player ID
+     */
+    respawn(playerId) {
+        const player = this.gameState.players[playerId];
+        if (!player || !player.isDead) return;
+
+        this.cancelRespawn(playerId);
+
+        player.health = MAX_HEALTH;
+        player.isDead = false;
+        player.diedAt = null;
+        this.setPlayerPosition(playerId, this.chooseSpawnPoint(playerId));
+
+        console.log(`[Damage] Player ${playerId} respawned`);
+
+        // Broadcast respawn event
+        this.broadcast({
+            type: 'PLAYER_RESPAWN',
+            data: {
+                playerId,
+                position: player.position,
+                tick: this.gameState.tick
+            }
+        });
+    }
+
+    /**
+     * Put a player back to full health at a fresh spawn point, dead or alive (a new match is starting)
+     * @param {String} playerId - Player ID
+     */
+    resetPlayer(playerId) {
+        const player = this.gameState.players[playerId];
+        if (!player) return;
+
+        if (player.isDead) {
+            this.respawn(playerId);
+            return;
+        }
+
+        player.health = MAX_HEALTH;
+        this.setPlayerPosition(playerId, this.chooseSpawnPoint(playerId));
+        this.broadcast({
+            type: 'PLAYER_RESPAWN',
+            data: {
+                playerId,
+                position: player.position,
+                tick: this.gameState.tick
+            }
+        });
+    }
+
+    /**
+     * Pick a spawn point away from other living players
+     * @param {String} playerId - Player being spawned (ignored when measuring distance)
+     * @returns {Object} { x, y, z }
+     */
+    chooseSpawnPoint(playerId) {
+        const others = Object.values(this.gameState.players)
+            .filter(other => other.id !== playerId && !other.isDead && other.position);
+
+        let best = null;
+        let bestDistance = -1;
+
+        for (let i = 0; i < SPAWN_CANDIDATES; i++) {
+            const candidate = {
+                x: Math.random() * SPAWN_AREA_HALF_SIZE * 2 - SPAWN_AREA_HALF_SIZE,
+                y: SPAWN_HEIGHT,
+                z: Math.random() * SPAWN_AREA_HALF_SIZE * 2 - SPAWN_AREA_HALF_SIZE
+            };
+
+            // Distance to the closest other player - bigger is better
+            let closest = Infinity;
+            for (const other of others) {
+                const dx = candidate.x - other.position.x;
+                const dz = candidate.z - other.position.z;
+                closest = Math.min(closest, dx * dx + dz * dz);
+            }
+
+            if (closest > bestDistance) {
+                bestDistance = closest;
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Validate and resolve a melee attack against the nearest living player in range
+     * @param {String} attackerId - Attacking player
+     * @returns {String|null} ID of the player hit, if any
+     */
+    tryMelee(attackerId) {
+        const attacker = this.gameState.players[attackerId];
+        if (!attacker || attacker.isDead) return null;
+
+        const now = Date.now();
+        if (attacker.lastMeleeTime && now - attacker.lastMeleeTime < MELEE_COOLDOWN_MS) {
+            return null; // Still in cooldown
+        }
+        attacker.lastMeleeTime = now;
+
+        let targetId = null;
+        let closestDistanceSquared = MELEE_RANGE * MELEE_RANGE;
+
+        for (const playerId in this.gameState.players) {
+            if (playerId === attackerId) continue;
+            const target = this.gameState.players[playerId];
+            if (target.isDead || this.getDamageScale(playerId, attackerId) <= 0) continue;
+
+            const dx = target.position.x - attacker.position.x;
+            const dy = target.position.y - attacker.position.y;
+            const dz = target.position.z - attacker.position.z;
+            const distanceSquared = dx * dx + dy * dy + dz * dz;
+
+            if (distanceSquared <= closestDistanceSquared) {
+                closestDistanceSquared = distanceSquared;
+                targetId = playerId;
+            }
+        }
+
+        if (targetId) {
+            const damage = Math.round(MELEE_DAMAGE * this.getDamageScale(targetId, attackerId));
+            this.applyDamage(targetId, damage, attackerId, { source: 'melee' });
+        }
+
+        return targetId;
+    }
+
+    /**
+     * Handle a client PLAYER_DAMAGE claim ("I hit targetId"). Logged and compared with server hits only.
+     * @param {String} claimantId - Player making the claim
+     * @param {Object} data - Claim payload ({ targetId, amount, projectileId })
+     */
+    handleDamageClaim(claimantId, data) {
+        this.pruneRecentHits();
+
+        const confirmed = this.recentHits.some(hit =>
+            hit.attackerId === claimantId &&
+            hit.targetId === data.targetId &&
+            (!data.projectileId || hit.projectileId === data.projectileId)
+        );
+
+        this.recordClaim('damage', confirmed);
+        console.log(`[Claim] Player ${claimantId} claimed ${data.amount} damage on ${data.targetId}: ${confirmed ? 'matches server hit' : 'no matching server hit, ignored'}`);
+    }
+
+    /**
+     * Handle a client PLAYER_DEATH claim. Only the server decides when a player dies.
+     * @param {String} claimantId - Player claiming to be dead
+     */
+    handleDeathClaim(claimantId) {
+        const player = this.gameState.players[claimantId];
+        const confirmed = Boolean(player && player.isDead);
+
+        this.recordClaim('death', confirmed);
+        if (!confirmed) {
+            console.log(`[Claim] Player ${claimantId} claimed death but server health is ${player?.health}, ignored`);
+        }
+    }
+
+    /**
+     * Handle a client PLAYER_RESPAWN request. Honoured once the respawn delay has passed, unless the
+     * game mode keeps the player out; any client-supplied position is ignored in favour of a
+     * server-chosen spawn point.
+     * @param {String} claimantId - Player requesting respawn
+     */
+    handleRespawnClaim(claimantId) {
+        const player = this.gameState.players[claimantId];
+        const confirmed = Boolean(
+            player && player.isDead && player.diedAt && Date.now() - player.diedAt >= RESPAWN_DELAY_MS &&
+            this.canRespawn(claimantId)
+        );
+
+        this.recordClaim('respawn', confirmed);
+        if (confirmed) {
+            this.respawn(claimantId);
+        } else {
+            console.log(`[Claim] Player ${claimantId} requested respawn too early or while alive, ignored`);
+        }
+    }
+
+    /**
+     * Forget everything about a player (disconnect)
+     * @param {String} playerId - Player ID
+     */
+    removePlayer(playerId) {
+        this.cancelRespawn(playerId);
+    }
+
+    recordClaim(kind, confirmed) {
+        this.claimStats[kind][confirmed ? 'confirmed' : 'rejected']++;
+    }
+
+    pruneRecentHits() {
+        const cutoff = Date.now() - RECENT_HIT_WINDOW_MS;
+        this.recentHits = this.recentHits.filter(hit => hit.time >= cutoff);
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * EnemyAI.js
+ *
+ * Server-owned PvE enemies for one room. Enemies are capsules in the room's ServerPhysics world,
+ * driven by inputs this class generates each tick (the same movement model players use, at a lower
+ * top speed), so they collide with walls and players like anyone else. Each enemy wanders until a
+ * player comes within DETECTION_RANGE, chases them, and hits them when in ATTACK_RANGE.
+ * The number of enemies follows the number of connected players, and so do the health and damage
+ * an enemy spawns with.
+ */
+
+export const ENEMY_MAX_HEALTH = 50; // With one player connected - see getScaling
+export const ENEMY_MOVE_SPEED = 6; // Players move at MOVE_SPEED (15), so they can outrun enemies
+export const ENEMY_HIT_RADIUS = 1.5; // Projectiles within this distance of an enemy's center hit it
+export const ENEMY_CENTER_HEIGHT = 1.0; // Center of the capsule above the reported (feet) position
+
+const ENEMIES_PER_PLAYER = 1.5;
+const MAX_ENEMIES = 10;
+const SPAWN_INTERVAL_MS = 2000; // At most one new enemy this often
+const SPAWN_AREA_HALF_SIZE = 40; // Inside the 100x100 arena walls
+const SPAWN_HEIGHT = 1; // Dropped in just above the ground
+const SPAWN_CANDIDATES = 8;
+const CORPSE_TIME_MS = 3000; // Dead enemies stay in snapshots this long so clients can play the death
+
+const DETECTION_RANGE = 40;
+const LOSE_TARGET_RANGE = 50; // A chased player has to get this far away to shake the enemy off
+const ATTACK_RANGE = 2.5;
+const ATTACK_DAMAGE = 10; // With one player connected - see getScaling
+const ATTACK_COOLDOWN_MS = 1500;
+const ATTACK_ANIMATION_MS = 800;
+const WANDER_INTERVAL_MS = 3000;
+
+// Each connected player past the first makes new enemies this much tougher, up to MAX_SCALED_PLAYERS
+const HEALTH_SCALE_PER_PLAYER = 0.25;
+const DAMAGE_SCALE_PER_PLAYER = 0.1;
+const MAX_SCALED_PLAYERS = 8;
+
+// Enemy records go into snapshots as JSON, so keep them short: centimetres and milliradians
+const POSITION_PRECISION = 100;
+const ROTATION_PRECISION = 1000;
+
+export class EnemyAI {
+    /**
+     * @param {Object} gameState - Room game state (enemies array is owned here, players are read)
+     * @param {ServerPhysics} physics - Room physics world the enemy bodies live in
+     * @param {Object} hooks - { damagePlayer(playerId, amount, enemyId) } to hurt players,
+     *                         { onRemoved(enemyId) } whenever an enemy is gone for good
+     */
+    constructor(gameState, physics, hooks) {
+        this.gameState = gameState;
+        this.physics = physics;
+        this.damagePlayer = hooks.damagePlayer;
+        this.onRemoved = hooks.onRemoved || (() => {});
+
+        this.nextEnemyId = 0;
+        this.lastSpawnTime = 0;
+    }
+
+    /**
+     * Whether an ID belongs to a living enemy (used to let physics move it)
+     * @param {String} id - Body ID
+     * @returns {Boolean}
+     */
+    canMove(id) {
+        const enemy = this.getEnemy(id);
+        return Boolean(enemy && !enemy.isDead);
+    }
+
+    /**
+     * @param {String} enemyId - Enemy ID
+     * @returns {Object|undefined}
+     */
+    getEnemy(enemyId) {
+        return this.gameState.enemies.find(enemy => enemy.id === enemyId);
+    }
+
+    /**
+     * Run one tick: read positions back from physics, keep the population right, then decide
+     * what every living enemy does next (its input is applied on the next physics step)
+     * @param {Number} deltaTime - Tick length in seconds
+     * @param {Number} now - Current server time (ms)
+     */
+    update(deltaTime, now) {
+        const players = Object.values(this.gameState.players);
+        const targets = players.filter(player => player.connected && !player.isDead && player.position);
+
+        for (const enemy of [...this.gameState.enemies]) {
+            if (enemy.isDead) {
+                if (now - enemy.diedAt >= CORPSE_TIME_MS) this.remove(enemy.id);
+                continue;
+            }
+
+            const simulated = this.physics.getPlayerState(enemy.id);
+            if (simulated) enemy.position = roundPosition(simulated.position);
+        }
+
+        this.updatePopulation(players.filter(player => player.connected).length, targets, now);
+
+        for (const enemy of this.gameState.enemies) {
+            if (enemy.isDead) continue;
+
+            if (enemy.isAttacking && now >= enemy.attackEndsAt) {
+                enemy.isAttacking = false;
+            }
+            this.think(enemy, targets, now);
+        }
+    }
+
+    /**
+     * Spawn or retire enemies so there are about ENEMIES_PER_PLAYER per connected player
+     * @param {Number} playerCount - Connected players (dead ones count - they'll be back)
+     * @param {Array} targets - Living players, kept away from spawn points
+     * @param {Number} now - Current server time (ms)
+     */
+    updatePopulation(playerCount, targets, now) {
+        const desired = Math.min(MAX_ENEMIES, Math.ceil(playerCount * ENEMIES_PER_PLAYER));
+        const living = this.gameState.enemies.filter(enemy => !enemy.isDead);
+
+        if (living.length < desired && now - this.lastSpawnTime >= SPAWN_INTERVAL_MS) {
+            this.spawn(targets, playerCount);
+            this.lastSpawnTime = now;
+        } else if (living.length > desired) {
+            // Players left - retire enemies that aren't busy with anyone
+            const idle = living.filter(enemy => !enemy.targetId);
+            for (const enemy of idle.slice(0, living.length - desired)) {
+                this.remove(enemy.id);
+            }
+        }
+    }
+
+    /**
+     * Health and damage multipliers for enemies spawned with this many players connected
+     * @param {Number} playerCount - Connected players
+     * @returns {Object} { health, damage }
+     */
+    getScaling(playerCount) {
+        const extraPlayers = Math.min(MAX_SCALED_PLAYERS, Math.max(1, playerCount)) - 1;
+        return {
+            health: 1 + extraPlayers * HEALTH_SCALE_PER_PLAYER,
+            damage: 1 + extraPlayers * DAMAGE_SCALE_PER_PLAYER
+        };
+    }
+
+    /**
+     * Create an enemy away from living players, scaled for the players connected now
+     * (it keeps that health and damage if players come or go later)
+     * @param {Array} targets - Living players
+     * @param {Number} playerCount - Connected players
+     * @returns {Object} The new enemy
+     */
+    spawn(targets, playerCount) {
+        const id = `enemy_${++this.nextEnemyId}`;
+        const position = this.chooseSpawnPoint(targets);
+        const scaling = this.getScaling(playerCount);
+        const maxHealth = Math.round(ENEMY_MAX_HEALTH * scaling.health);
+
+        const enemy = {
+            id,
+            position,
+            rotationY: 0,
+            health: maxHealth,
+            maxHealth,
+            attackDamage: Math.round(ATTACK_DAMAGE * scaling.damage),
+            isDead: false,
+            isAttacking: false,
+            animation: 'idle',
+            targetId: null,
+            lastAttackTime: 0,
+            attackEndsAt: 0,
+            diedAt: null,
+            wanderYaw: null, // Movement yaw while wandering, null when standing still
+            nextWanderTime: 0,
+            inputSequence: 0
+        };
+
+        this.physics.addPlayer(id, position, ENEMY_MOVE_SPEED);
+        this.gameState.enemies.push(enemy);
+        console.log(`[Enemy] Spawned ${id} at x=${position.x.toFixed(2)}, z=${position.z.toFixed(2)} with ${maxHealth} health`);
+        return enemy;
+    }
+
+    /**
+     * Pick the candidate point farthest from every living player
+     * @param {Array} targets - Living players
+     * @returns {Object} { x, y, z }
+     */
+    chooseSpawnPoint(targets) {
+        let best = null;
+        let bestDistance = -1;
+
+        for (let i = 0; i < SPAWN_CANDIDATES; i++) {
+            const candidate = {
+                x: Math.random() * SPAWN_AREA_HALF_SIZE * 2 - SPAWN_AREA_HALF_SIZE,
+                y: SPAWN_HEIGHT,
+                z: Math.random() * SPAWN_AREA_HALF_SIZE * 2 - SPAWN_AREA_HALF_SIZE
+            };
+
+            let closest = Infinity;
+            for (const player of targets) {
+                closest = Math.min(closest, horizontalDistanceSquared(candidate, player.position));
+            }
+
+            if (closest > bestDistance) {
+                bestDistance = closest;
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Choose a target, move towards it and attack it when close enough - or wander without one
+     * @param {Object} enemy - Living enemy
+     * @param {Array} targets - Living players
+     * @param {Number} now - Current server time (ms)
+     */
+    think(enemy, targets, now) {
+        const target = this.chooseTarget(enemy, targets);
+        enemy.targetId = target ? target.id : null;
+
+        let yaw = null;
+        if (target) {
+            const dx = target.position.x - enemy.position.x;
+            const dz = target.position.z - enemy.position.z;
+            enemy.rotationY = roundRotation(Math.atan2(dx, dz));
+
+            if (dx * dx + dz * dz > ATTACK_RANGE * ATTACK_RANGE) {
+                yaw = Math.atan2(-dx, -dz); // Movement yaw 0 walks towards -Z
+            } else if (now - enemy.lastAttackTime >= ATTACK_COOLDOWN_MS) {
+                this.attack(enemy, target, now);
+            }
+        } else {
+            if (now >= enemy.nextWanderTime) {
+                // Mostly stroll in a random direction, sometimes stand around
+                enemy.wanderYaw = Math.random() < 0.7 ? (Math.random() * 2 - 1) * Math.PI : null;
+                enemy.nextWanderTime = now + WANDER_INTERVAL_MS * (0.5 + Math.random());
+            }
+            yaw = enemy.wanderYaw;
+            if (yaw !== null) enemy.rotationY = roundRotation(Math.atan2(-Math.sin(yaw), -Math.cos(yaw)));
+        }
+
+        const moving = yaw !== null;
+        enemy.animation = enemy.isAttacking ? 'attack' : (moving ? 'walkForward' : 'idle');
+
+        this.physics.queueInputs(enemy.id, [{
+            sequence: ++enemy.inputSequence,
+            movement: { forward: moving, backward: false, left: false, right: false },
+            yaw: moving ? yaw : 0
+        }]);
+    }
+
+    /**
+     * Keep chasing the current target while it's alive and in range, otherwise take the nearest
+     * living player within DETECTION_RANGE
+     * @param {Object} enemy - Living enemy
+     * @param {Array} targets - Living players
+     * @returns {Object|null} Player to chase
+     */
+    chooseTarget(enemy, targets) {
+        const current = targets.find(player => player.id === enemy.targetId);
+        if (current && horizontalDistanceSquared(enemy.position, current.position) <= LOSE_TARGET_RANGE * LOSE_TARGET_RANGE) {
+            return current;
+        }
+
+        let closest = null;
+        let closestDistance = DETECTION_RANGE * DETECTION_RANGE;
+        for (const player of targets) {
+            const distanceSquared = horizontalDistanceSquared(enemy.position, player.position);
+            if (distanceSquared <= closestDistance) {
+                closestDistance = distanceSquared;
+                closest = player;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Hit a player in range
+     * @param {Object} enemy - Attacking enemy
+     * @param {Object} target - Player being hit
+     * @param {Number} now - Current server time (ms)
+     */
+    attack(enemy, target, now) {
+        enemy.lastAttackTime = now;
+        enemy.isAttacking = true;
+        enemy.attackEndsAt = now + ATTACK_ANIMATION_MS;
+        this.damagePlayer(target.id, enemy.attackDamage, enemy.id);
+    }
+
+    /**
+     * Apply damage to an enemy
+     * @param {String} enemyId - Enemy being hit
+     * @param {Number} amount - Damage amount
+     * @param {String|null} attackerId - Player responsible
+     * @returns {Boolean} True if damage was applied
+     */
+    applyDamage(enemyId, amount, attackerId = null) {
+        const enemy = this.getEnemy(enemyId);
+        if (!enemy || enemy.isDead || !(amount > 0)) return false;
+
+        enemy.health = Math.max(0, enemy.health - amount);
+        console.log(`[Enemy] ${enemyId} took ${amount} damage from ${attackerId || 'world'}, health now ${enemy.health}`);
+
+        if (enemy.health <= 0) {
+            this.kill(enemy, attackerId);
+        } else if (!enemy.targetId && attackerId && this.gameState.players[attackerId]) {
+            // Turn on whoever shot us, even from beyond detection range
+            enemy.targetId = attackerId;
+        }
+        return true;
+    }
+
+    /**
+     * Kill an enemy. The body is removed at once; the corpse stays in snapshots for CORPSE_TIME_MS.
+     * @param {Object} enemy - Enemy that died
+     * @param {String|null} killerId - Player credited with the kill
+     */
+    kill(enemy, killerId) {
+        enemy.isDead = true;
+        enemy.isAttacking = false;
+        enemy.health = 0;
+        enemy.targetId = null;
+        enemy.animation = 'death';
+        enemy.diedAt = Date.now();
+        this.physics.removePlayer(enemy.id);
+
+        console.log(`[Enemy] ${enemy.id} killed by ${killerId || 'world'}`);
+    }
+
+    /**
+     * Take an enemy out of the game entirely
+     * @param {String} enemyId - Enemy ID
+     */
+    remove(enemyId) {
+        const index = this.gameState.enemies.findIndex(enemy => enemy.id === enemyId);
+        if (index === -1) return;
+
+        this.gameState.enemies.splice(index, 1);
+        this.physics.removePlayer(enemyId);
+        this.onRemoved(enemyId);
+    }
+
+    /**
+     * Remove every enemy (the room is being closed)
+     */
+    removeAll() {
+        for (const enemy of [...this.gameState.enemies]) {
+            this.remove(enemy.id);
+        }
+    }
+}
+
+function roundPosition(position) {
+    const round = value => Math.round(value * POSITION_PRECISION) / POSITION_PRECISION || 0; // || 0 turns -0 into 0
+    return { x: round(position.x), y: round(position.y), z: round(position.z) };
+}
+
+function roundRotation(angle) {
+    return Math.round(angle * ROTATION_PRECISION) / ROTATION_PRECISION || 0;
+}
+
+function horizontalDistanceSquared(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return dx * dx + dz * dz;
+}
@@ -0,0 +1,76 @@
+/**
+ * Handshake.js
+ *
+ * Checks a client's HELLO against what this server speaks and builds the WELCOME reply.
+ * A connection only gets a player once its HELLO has been accepted; anything else is refused
+ * with a reason the client shows to the player (usually: refresh to get the new build).
+ */
+
+import {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    CAPABILITIES
+} from '../src/utils/Protocol.js';
+import { TICK_RATE } from './Tick.js';
+
+// A connection that hasn't sent HELLO by then is closed
+export const HANDSHAKE_TIMEOUT_MS = 5000;
+
+export const SERVER_CAPABILITIES = Object.values(CAPABILITIES);
+
+// The server can't talk to clients without these
+export const REQUIRED_CLIENT_CAPABILITIES = [CAPABILITIES.SNAPSHOT_ACK];
+
+const REFRESH_HINT = 'Please refresh, the server was updated.';
+
+// Hash of the client bundle this server hands out (written by build.js next to it)
+export const SERVER_BUILD_HASH = await readBuildHash();
+
+async function readBuildHash() {
+    try {
+        const info = await Bun.file('dist/build-info.json').json();
+        return typeof info.buildHash === 'string' ? info.buildHash : 'dev';
+    } catch (error) {
+        return 'dev'; // Not built - serving a development tree
+    }
+}
+
+/**
+ * Decide whether to accept a client's first message
+ * @param {Object} message - First (validated) message from the client
+ * @returns {String|null} Why the client is refused, or null to accept it
+ */
+export function checkHello(message) {
+    if (message.type !== 'HELLO') {
+        // Bundles from before the handshake start straight away with PING / PLAYER_UPDATE
+        return `Client is out of date. ${REFRESH_HINT}`;
+    }
+
+    if (message.protocolVersion < MIN_PROTOCOL_VERSION) {
+        return `Client protocol ${message.protocolVersion} is no longer supported. ${REFRESH_HINT}`;
+    }
+    if (message.protocolVersion > PROTOCOL_VERSION) {
+        // Newer client than server - mid-deploy; the client will have to try again shortly
+        return `Server is older than this client (protocol ${PROTOCOL_VERSION}). Try again in a moment.`;
+    }
+
+    const missing = REQUIRED_CLIENT_CAPABILITIES.filter(capability => !message.capabilities.includes(capability));
+    if (missing.length > 0) {
+        return `Client is missing ${missing.join(', ')}. ${REFRESH_HINT}`;
+    }
+
+    return null;
+}
+
+/**
+ * The WELCOME data sent to an accepted client
+ * @returns {Object}
+ */
+export function buildWelcome() {
+    return {
+        protocolVersion: PROTOCOL_VERSION,
+        buildHash: SERVER_BUILD_HASH,
+        capabilities: SERVER_CAPABILITIES,
+        tickRate: TICK_RATE // Snapshot / event tick numbers advance this many times a second
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * LagCompensation.js
+ *
+ * Keeps a short, timestamped history of every player's simulated position so hit detection
+ * can be evaluated against where a target was when the shooter saw it, not where it is now.
+ */
+
+// How far back a shot may be rewound. Anything older is clamped so high-ping players can't
+// hit targets that have long since moved behind cover.
+export const MAX_REWIND_MS = 250;
+
+// Enough samples to cover MAX_REWIND_MS at the 20Hz tick rate, with headroom for jitter
+const HISTORY_CAPACITY = 32;
+
+/**
+ * Fixed-size ring buffer of { time, x, y, z } samples, oldest overwritten first
+ */
+class PositionHistory {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.samples = new Array(capacity);
+        this.head = 0; // Index the next sample will be written to
+        this.size = 0;
+    }
+
+    push(time, position) {
+        this.samples[this.head] = { time, x: position.x, y: position.y, z: position.z };
+        this.head = (this.head + 1) % this.capacity;
+        this.size = Math.min(this.size + 1, this.capacity);
+    }
+
+    // Sample at index 0 is the oldest, size - 1 the newest
+    at(index) {
+        return this.samples[(this.head - this.size + index + this.capacity) % this.capacity];
+    }
+
+    /**
+     * Interpolated position at a given time, clamped to the oldest/newest sample
+     * @param {Number} time - Server time in milliseconds
+     * @returns {Object|null} { x, y, z }
+     */
+    sample(time) {
+        if (this.size === 0) return null;
+
+        const newest = this.at(this.size - 1);
+        if (time >= newest.time) return { x: newest.x, y: newest.y, z: newest.z };
+
+        const oldest = this.at(0);
+        if (time <= oldest.time) return { x: oldest.x, y: oldest.y, z: oldest.z };
+
+        // Walk backwards from the newest sample - rewinds are short so this is a few steps at most
+        for (let i = this.size - 1; i > 0; i--) {
+            const after = this.at(i);
+            const before = this.at(i - 1);
+            if (time >= before.time) {
+                const span = after.time - before.time;
+                const t = span > 0 ? (time - before.time) / span : 1;
+                return {
+                    x: before.x + (after.x - before.x) * t,
+                    y: before.y + (after.y - before.y) * t,
+                    z: before.z + (after.z - before.z) * t
+                };
+            }
+        }
+
+        return { x: oldest.x, y: oldest.y, z: oldest.z };
+    }
+}
+
+export class LagCompensation {
+    constructor(maxRewindMs = MAX_REWIND_MS) {
+        this.maxRewindMs = maxRewindMs;
+        this.histories = {}; // Map of player IDs to PositionHistory
+    }
+
+    /**
+     * Record a player's position for this tick
+     * @param {String} playerId - Player ID
+     * @param {Number} time - Server time in milliseconds
+     * @param {Object} position - Simulated position
+     */
+    record(playerId, time, position) {
+        if (!this.histories[playerId]) {
+            this.histories[playerId] = new PositionHistory(HISTORY_CAPACITY);
+        }
+        this.histories[playerId].push(time, position);
+    }
+
+    /**
+     * Forget a player's history (disconnects, and teleports so we never interpolate across a respawn)
+     * @param {String} playerId - Player ID
+     */
+    clear(playerId) {
+        delete this.histories[playerId];
+    }
+
+    /**
+     * Work out how far a shot should be rewound from the shooter's reported view time
+     * @param {Number} viewTime - Server time the shooter was looking at (from NetworkManager.getServerTime)
+     * @param {Number} now - Current server time
+     * @returns {Number} Rewind in milliseconds, between 0 and maxRewindMs
+     */
+    getRewindMs(viewTime, now = Date.now()) {
+        if (typeof viewTime !== 'number' || !Number.isFinite(viewTime)) return 0;
+        return Math.max(0, Math.min(this.maxRewindMs, now - viewTime));
+    }
+
+    /**
+     * Where a player was at a given time
+     * @param {String} playerId - Player ID
+     * @param {Number} time - Server time in milliseconds
+     * @returns {Object|null} { x, y, z }, or null if we have no history for the player
+     */
+    getPositionAt(playerId, time) {
+        const history = this.histories[playerId];
+        return history ? history.sample(time) : null;
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * MessageSchemas.js
+ *
+ * Declarative description of every message a client may send: field types, ranges, allowed
+ * values and the maximum payload size. MessageValidator checks each incoming message against
+ * these before it reaches a handler, so handlers can rely on the shapes below.
+ *
+ * Field specs:
+ *   { type: 'number', min, max, integer }    - always finite (NaN / Infinity are rejected)
+ *   { type: 'string', maxLength, enum, pattern }
+ *   { type: 'boolean' }
+ *   { type: 'object', fields }               - unknown keys are rejected
+ *   { type: 'array', items, maxItems }
+ * Any spec may add optional: true (may be missing) and nullable: true (may be null).
+ */
+
+// Hard cap on any single message, checked before parsing
+export const MAX_MESSAGE_BYTES = 16384;
+// Default per-type cap for schemas that don't set maxBytes
+const DEFAULT_MAX_BYTES = 1024;
+
+const WORLD_LIMIT = 1000; // Well beyond the 100x100 arena
+const ANGLE_LIMIT = 4 * Math.PI;
+const MAX_PROJECTILE_SPEED = 300; // Projectiles fly at 60 u/s; snapshots can carry up to ±327
+const MAX_INPUTS_PER_UPDATE = 120; // Two seconds of 60fps input - the server keeps at most one second
+const MAX_ID_LENGTH = 64;
+const MAX_SEQUENCE = 0xFFFFFFFF;
+// Animation names come from the model's clips, so only their shape is checked
+const ANIMATION_NAME_PATTERN = /^[\w .|-]+$/;
+
+const vector = (limit, extra = {}) => ({
+    type: 'object',
+    fields: {
+        x: { type: 'number', min: -limit, max: limit },
+        y: { type: 'number', min: -limit, max: limit },
+        z: { type: 'number', min: -limit, max: limit }
+    },
+    ...extra
+});
+
+const id = (extra = {}) => ({ type: 'string', maxLength: MAX_ID_LENGTH, ...extra });
+
+const INPUT = {
+    type: 'object',
+    fields: {
+        sequence: { type: 'number', integer: true, min: 0, max: MAX_SEQUENCE },
+        movement: {
+            type: 'object',
+            fields: {
+                forward: { type: 'boolean' },
+                backward: { type: 'boolean' },
+                left: { type: 'boolean' },
+                right: { type: 'boolean' }
+            }
+        },
+        yaw: { type: 'number', min: -ANGLE_LIMIT, max: ANGLE_LIMIT, optional: true },
+        jump: { type: 'boolean', optional: true }
+    }
+};
+
+// Fields every message may carry
+const COMMON_FIELDS = {
+    type: { type: 'string', maxLength: 32 },
+    timestamp: { type: 'number', min: 0, optional: true }
+};
+
+export const MESSAGE_SCHEMAS = {
+    // First message on every connection (see Handshake.js) - versions are compared there, not here
+    HELLO: {
+        fields: {
+            protocolVersion: { type: 'number', integer: true, min: 0, max: 0xFFFF },
+            buildHash: { type: 'string', maxLength: MAX_ID_LENGTH },
+            capabilities: { type: 'array', items: { type: 'string', maxLength: 32 }, maxItems: 32 }
+        }
+    },
+
+    PING: {
+        fields: {}
+    },
+
+    PLAYER_UPDATE: {
+        maxBytes: MAX_MESSAGE_BYTES,
+        fields: {
+            inputs: { type: 'array', items: INPUT, maxItems: MAX_INPUTS_PER_UPDATE, optional: true },
+            rotation: vector(ANGLE_LIMIT, { optional: true }),
+            animation: { type: 'string', maxLength: 64, pattern: ANIMATION_NAME_PATTERN, optional: true },
+            // Client-side view of its own state - informational only, the server simulates its own
+            position: vector(WORLD_LIMIT, { optional: true }),
+            sequence: { type: 'number', integer: true, min: 0, max: MAX_SEQUENCE, optional: true },
+            health: { type: 'number', min: 0, max: 1000, optional: true },
+            isAttacking: { type: 'boolean', optional: true },
+            isDead: { type: 'boolean', optional: true }
+        }
+    },
+
+    PROJECTILE_SPAWN: {
+        fields: {
+            id: id(),
+            position: vector(WORLD_LIMIT),
+            velocity: vector(MAX_PROJECTILE_SPEED),
+            ownerId: id({ optional: true, nullable: true }), // Ignored - the owner is the sending connection
+            viewTime: { type: 'number', min: 0, optional: true, nullable: true }
+        }
+    },
+
+    PLAYER_JUMP: {
+        fields: {}
+    },
+
+    PLAYER_SHOOT: {
+        fields: {
+            direction: vector(1.5),
+            origin: vector(WORLD_LIMIT),
+            projectileId: id({ optional: true, nullable: true })
+        }
+    },
+
+    PLAYER_ATTACK: {
+        fields: {}
+    },
+
+    // Claims - logged and checked against server hits, never applied
+    PLAYER_DAMAGE: {
+        fields: {
+            targetId: id(),
+            amount: { type: 'number', min: 0, max: 1000 },
+            projectileId: id({ optional: true, nullable: true })
+        }
+    },
+
+    PLAYER_DEATH: {
+        fields: {}
+    },
+
+    PLAYER_RESPAWN: {
+        fields: {} // The server picks the spawn point
+    },
+
+    SNAPSHOT_ACK: {
+        fields: {
+            sequence: { type: 'number', integer: true, min: 1, max: MAX_SEQUENCE }
+        }
+    },
+
+    JOIN_ROOM: {
+        fields: {
+            roomId: { type: 'string', maxLength: MAX_ID_LENGTH }, // Room ID rules are applied by the handler (ROOM_ERROR)
+            mode: { type: 'string', maxLength: MAX_ID_LENGTH, optional: true } // Only used if the room is created
+        }
+    }
+};
+
+/**
+ * Check a parsed message against its schema
+ * @param {*} message - Parsed JSON
+ * @param {Number} byteLength - Size of the raw message in bytes
+ * @returns {String|null} Why the message is invalid, or null if it is valid
+ */
+export function validateMessage(message, byteLength) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return 'message is not an object';
+    }
+
+    const schema = Object.hasOwn(MESSAGE_SCHEMAS, message.type) ? MESSAGE_SCHEMAS[message.type] : null;
+    if (!schema) {
+        return `unknown message type ${String(message.type).substring(0, 32)}`;
+    }
+
+    const maxBytes = schema.maxBytes || DEFAULT_MAX_BYTES;
+    if (byteLength > maxBytes) {
+        return `${byteLength} bytes exceeds the ${maxBytes} byte limit`;
+    }
+
+    return checkFields(message, { ...COMMON_FIELDS, ...schema.fields }, '');
+}
+
+function checkFields(value, fields, path) {
+    for (const key in value) {
+        if (!Object.hasOwn(fields, key)) {
+            return `${path}${key}: unexpected field`;
+        }
+    }
+
+    for (const key in fields) {
+        const error = checkValue(value[key], fields[key], `${path}${key}`);
+        if (error) return error;
+    }
+
+    return null;
+}
+
+function checkValue(value, spec, path) {
+    if (value === undefined) {
+        return spec.optional ? null : `${path}: missing`;
+    }
+    if (value === null) {
+        return spec.nullable ? null : `${path}: must not be null`;
+    }
+
+    switch (spec.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path}: expected a finite number`;
+            if (spec.integer && !Number.isInteger(value)) return `${path}: expected an integer`;
+            if (spec.min !== undefined && value < spec.min) return `${path}: below ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `${path}: above ${spec.max}`;
+            return null;
+
+        case 'string':
+            if (typeof value !== 'string') return `${path}: expected a string`;
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) return `${path}: longer than ${spec.maxLength}`;
+            if (spec.enum && !spec.enum.includes(value)) return `${path}: not an allowed value`;
+            if (spec.pattern && !spec.pattern.test(value)) return `${path}: invalid format`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path}: expected a boolean`;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path}: expected an object`;
+            return checkFields(value, spec.fields, `${path}.`);
+
+        case 'array':
+            if (!Array.isArray(value)) return `${path}: expected an array`;
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) return `${path}: more than ${spec.maxItems} items`;
+            for (let i = 0; i < value.length; i++) {
+                const error = checkValue(value[i], spec.items, `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+
+        default:
+            return `${path}: no schema type ${spec.type}`;
+    }
+}
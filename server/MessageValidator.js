@@ -0,0 +1,90 @@
+/**
+ * MessageValidator.js
+ *
+ * The one place incoming client messages are parsed and checked (against MESSAGE_SCHEMAS).
+ * Invalid messages are dropped and counted; each one is also a strike against the connection,
+ * and a connection that collects MAX_STRIKES within STRIKE_WINDOW_MS is disconnected.
+ */
+
+import { MAX_MESSAGE_BYTES, validateMessage } from './MessageSchemas.js';
+
+export const MAX_STRIKES = 10;
+export const STRIKE_WINDOW_MS = 10000;
+export const ABUSE_CLOSE_CODE = 1008; // Policy violation
+
+export class MessageValidator {
+    constructor() {
+        this.stats = {
+            accepted: 0,
+            rejected: 0,
+            rejectedByType: {}, // Message type (or 'unparseable') -> count
+            disconnects: 0
+        };
+    }
+
+    /**
+     * Parse and validate a raw WebSocket message
+     * @param {Object} ws - Bun WebSocket the message arrived on
+     * @param {String|Buffer} raw - Message as received
+     * @returns {Object|null} The message if it is valid, otherwise null (already counted and logged)
+     */
+    parse(ws, raw) {
+        if (ws.data.kicked) return null; // Already being disconnected
+
+        const byteLength = typeof raw === 'string' ? Buffer.byteLength(raw) : raw.byteLength;
+        if (byteLength > MAX_MESSAGE_BYTES) {
+            this.reject(ws, 'unparseable', `${byteLength} bytes exceeds the ${MAX_MESSAGE_BYTES} byte limit`);
+            return null;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(typeof raw === 'string' ? raw : raw.toString());
+        } catch (error) {
+            this.reject(ws, 'unparseable', 'invalid JSON');
+            return null;
+        }
+
+        const reason = validateMessage(message, byteLength);
+        if (reason) {
+            this.reject(ws, typeof message?.type === 'string' ? message.type.substring(0, 32) : 'unparseable', reason);
+            return null;
+        }
+
+        this.stats.accepted++;
+        return message;
+    }
+
+    /**
+     * Count a rejected message and strike the connection, disconnecting it at MAX_STRIKES
+     * @param {Object} ws - Bun WebSocket
+     * @param {String} type - Message type (for the counters)
+     * @param {String} reason - Why it was rejected
+     */
+    reject(ws, type, reason) {
+        this.stats.rejected++;
+        this.stats.rejectedByType[type] = (this.stats.rejectedByType[type] || 0) + 1;
+
+        const now = Date.now();
+        const strikes = (ws.data.strikes || []).filter(time => now - time < STRIKE_WINDOW_MS);
+        strikes.push(now);
+        ws.data.strikes = strikes;
+
+        console.warn(`[Validation] Rejected ${type} from ${ws.data.playerId || ws.remoteAddress}: ${reason} (strike ${strikes.length}/${MAX_STRIKES})`);
+
+        if (strikes.length >= MAX_STRIKES && !ws.data.kicked) {
+            ws.data.kicked = true; // Not held for a resume - see the close handler
+            this.stats.disconnects++;
+            console.warn(`[Validation] Disconnecting ${ws.data.playerId || ws.remoteAddress}: too many invalid messages`);
+            try { ws.close(ABUSE_CLOSE_CODE, "Too many invalid messages"); } catch (closeErr) { }
+        }
+    }
+
+    /**
+     * Counters for logging / monitoring
+     * @returns {Object}
+     */
+    getStats() {
+        return { ...this.stats, rejectedByType: { ...this.stats.rejectedByType } };
+    }
+}
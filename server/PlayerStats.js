@@ -0,0 +1,195 @@
+/**
+ * PlayerStats.js
+ *
+ * Per-player statistics for the scoreboard: kills, deaths, assists, damage dealt to other players,
+ * shots fired and shots that hit another player or a PvE enemy (accuracy), and ping. Room feeds it from the
+ * damage authority's hooks, projectile spawns and snapshot acknowledgements, and sends the table
+ * to every connection as a SCOREBOARD message whenever it changes (at most every
+ * SCOREBOARD_MIN_INTERVAL_MS) and every SCOREBOARD_INTERVAL_MS regardless, so pings stay current.
+ *
+ * Assists come from a recent-damage history: when a player dies, everyone other than the killer
+ * who damaged them in the last ASSIST_WINDOW_MS gets an assist. Only opponents count, as the game
+ * mode decides: damage to and kills of teammates earn nothing. Everything but ping starts over
+ * with each match.
+ */
+
+export const ASSIST_WINDOW_MS = 10000;
+export const SCOREBOARD_INTERVAL_MS = 5000;
+export const SCOREBOARD_MIN_INTERVAL_MS = 250; // Bursts of changes (e.g. several hits in a row) go out together
+
+// Scoreboard order: points per kill and per assist
+const KILL_POINTS = 2;
+const ASSIST_POINTS = 1;
+// Weight of a new round trip sample in the smoothed ping
+const PING_SMOOTHING = 0.2;
+
+export class PlayerStats {
+    /**
+     * @param {Object} hooks - { isOpponent(playerId, otherId) } whether two players are on opposite sides
+     */
+    constructor(hooks = {}) {
+        this.isOpponent = hooks.isOpponent || (() => true);
+        this.stats = {}; // Map of player IDs to their counters
+        this.recentDamage = {}; // Map of victim IDs to { attackerId: time of their latest hit }
+        this.changed = false; // Something on the scoreboard changed since it was last sent
+        this.lastSentAt = 0;
+    }
+
+    /**
+     * Start tracking a player who joined the room
+     * @param {String} playerId - Player ID
+     */
+    addPlayer(playerId) {
+        this.stats[playerId] = createStats();
+        this.changed = true;
+    }
+
+    /**
+     * Forget a player who left the room, including the damage they did to others
+     * @param {String} playerId - Player ID
+     */
+    removePlayer(playerId) {
+        delete this.stats[playerId];
+        delete this.recentDamage[playerId];
+        for (const victimId in this.recentDamage) {
+            delete this.recentDamage[victimId][playerId];
+        }
+        this.changed = true;
+    }
+
+    /**
+     * Zero everyone's counters for a new match (pings are kept)
+     */
+    reset() {
+        for (const playerId in this.stats) {
+            this.stats[playerId] = { ...createStats(), ping: this.stats[playerId].ping };
+        }
+        this.recentDamage = {};
+        this.changed = true;
+    }
+
+    /**
+     * A player fired a projectile
+     * @param {String} playerId - Shooter
+     */
+    recordShot(playerId) {
+        if (!this.stats[playerId]) return;
+        this.stats[playerId].shots++;
+        this.changed = true;
+    }
+
+    /**
+     * Damage the damage authority applied (ignored unless the attacker is the target's opponent)
+     * @param {String} targetId - Player who took it
+     * @param {Number} amount - Health actually lost
+     * @param {String|null} attackerId - Player responsible (null for enemies and the world)
+     * @param {Object} details - { source, projectileId } as passed to DamageAuthority.applyDamage
+     */
+    recordDamage(targetId, amount, attackerId, details = {}) {
+        const attacker = this.stats[attackerId];
+        if (!attacker || attackerId === targetId || !this.isOpponent(targetId, attackerId)) return;
+
+        attacker.damage += amount;
+        if (details.source === 'projectile') attacker.hits++;
+
+        if (!this.recentDamage[targetId]) this.recentDamage[targetId] = {};
+        this.recentDamage[targetId][attackerId] = Date.now();
+        this.changed = true;
+    }
+
+    /**
+     * A player's projectile hit a PvE enemy - it counts toward accuracy, not damage dealt
+     * @param {String} playerId - Shooter
+     */
+    recordEnemyHit(playerId) {
+        if (!this.stats[playerId]) return;
+        this.stats[playerId].hits++;
+        this.changed = true;
+    }
+
+    /**
+     * A player died: a death for them, a kill for the killer and assists for recent attackers,
+     * as long as they're the victim's opponents
+     * @param {String} victimId - Player who died
+     * @param {String|null} killerId - Player credited with the kill
+     */
+    recordKill(victimId, killerId) {
+        if (this.stats[victimId]) this.stats[victimId].deaths++;
+        if (killerId && killerId !== victimId && this.stats[killerId] && this.isOpponent(victimId, killerId)) {
+            this.stats[killerId].kills++;
+        }
+
+        const cutoff = Date.now() - ASSIST_WINDOW_MS;
+        const attackers = this.recentDamage[victimId] || {};
+        for (const attackerId in attackers) {
+            if (attackerId !== killerId && attackers[attackerId] >= cutoff && this.stats[attackerId] &&
+                this.isOpponent(victimId, attackerId)) {
+                this.stats[attackerId].assists++;
+            }
+        }
+        delete this.recentDamage[victimId];
+        this.changed = true;
+    }
+
+    /**
+     * A round trip measured for a player's connection
+     * @param {String} playerId - Player ID
+     * @param {Number} rttMs - Round trip time in milliseconds
+     */
+    recordPing(playerId, rttMs) {
+        const stats = this.stats[playerId];
+        if (!stats || !(rttMs >= 0)) return;
+
+        stats.ping = stats.ping === null ? rttMs : stats.ping + (rttMs - stats.ping) * PING_SMOOTHING;
+    }
+
+    /**
+     * Whether a SCOREBOARD should go out now: soon after a change, and every SCOREBOARD_INTERVAL_MS anyway
+     * @param {Number} now - Current time (ms)
+     * @returns {Boolean}
+     */
+    isDue(now) {
+        const sinceSent = now - this.lastSentAt;
+        return sinceSent >= SCOREBOARD_INTERVAL_MS || (this.changed && sinceSent >= SCOREBOARD_MIN_INTERVAL_MS);
+    }
+
+    /**
+     * Build the SCOREBOARD message and mark the scoreboard as sent
+     * @param {Number} now - Current time (ms)
+     * @returns {Object}
+     */
+    takeScoreboardMessage(now) {
+        this.changed = false;
+        this.lastSentAt = now;
+        return this.getScoreboardMessage();
+    }
+
+    getScoreboardMessage() {
+        return { type: 'SCOREBOARD', data: { players: this.getScoreboard() } };
+    }
+
+    /**
+     * One row per player, best score first (then most kills, then fewest deaths)
+     * @returns {Array} [{ id, score, kills, deaths, assists, damage, shots, hits, accuracy, ping }]
+     */
+    getScoreboard() {
+        return Object.entries(this.stats)
+            .map(([id, stats]) => ({
+                id,
+                score: stats.kills * KILL_POINTS + stats.assists * ASSIST_POINTS,
+                kills: stats.kills,
+                deaths: stats.deaths,
+                assists: stats.assists,
+                damage: stats.damage,
+                shots: stats.shots,
+                hits: stats.hits,
+                accuracy: stats.shots > 0 ? Math.round(Math.min(stats.hits / stats.shots, 1) * 100) / 100 : null,
+                ping: stats.ping === null ? null : Math.round(stats.ping)
+            }))
+            .sort((a, b) => b.score - a.score || b.kills - a.kills || a.deaths - b.deaths);
+    }
+}
+
+function createStats() {
+    return { kills: 0, deaths: 0, assists: 0, damage: 0, shots: 0, hits: 0, ping: null };
+}
@@ -0,0 +1,141 @@
+/**
+ * RateLimiter.js
+ *
+ * Token-bucket rate limiting per connection and per message type. Every frame first draws from
+ * the connection's FRAME_LIMIT bucket (checked before the message is even parsed), then from the
+ * bucket for its type in RATE_LIMITS. Messages over the limit are dropped; a connection that has
+ * MAX_VIOLATIONS messages dropped within VIOLATION_WINDOW_MS is disconnected.
+ */
+
+import { TICK_RATE } from './Tick.js';
+
+// Client send rates these are sized against (see Game.js / NetworkManager.js)
+const CLIENT_UPDATE_RATE = 20; // PLAYER_UPDATE every 50ms
+const CLIENT_FIRE_RATE = 5; // 200ms shot cooldown
+
+/**
+ * Limits per message type: rate is the sustained messages per second, burst how many can arrive
+ * at once (network jitter bunches messages up, so bursts are generous)
+ */
+export const RATE_LIMITS = {
+    HELLO: { rate: 0.5, burst: 2 }, // Once per connection
+    PING: { rate: 2, burst: 10 }, // Heartbeat every second, plus the clock sync burst after WELCOME
+    PLAYER_UPDATE: { rate: CLIENT_UPDATE_RATE * 1.5, burst: 20 },
+    SNAPSHOT_ACK: { rate: TICK_RATE * 1.5, burst: 20 }, // One per snapshot received
+    PROJECTILE_SPAWN: { rate: CLIENT_FIRE_RATE, burst: 5 },
+    PLAYER_SHOOT: { rate: CLIENT_FIRE_RATE, burst: 5 },
+    PLAYER_DAMAGE: { rate: CLIENT_FIRE_RATE * 2, burst: 10 }, // A projectile can report more than one hit
+    PLAYER_ATTACK: { rate: CLIENT_FIRE_RATE, burst: 5 },
+    PLAYER_JUMP: { rate: 5, burst: 5 },
+    PLAYER_DEATH: { rate: 1, burst: 3 },
+    PLAYER_RESPAWN: { rate: 1, burst: 3 },
+    JOIN_ROOM: { rate: 0.5, burst: 3 } // May create a room (physics world + tick loop)
+};
+
+// Types without an entry above
+const DEFAULT_LIMIT = { rate: 5, burst: 10 };
+
+// Every frame, whatever its type - caps what a connection can make us parse
+export const FRAME_LIMIT = { rate: 100, burst: 100 };
+
+export const MAX_VIOLATIONS = 50;
+export const VIOLATION_WINDOW_MS = 10000;
+export const RATE_LIMIT_CLOSE_CODE = 1008; // Policy violation
+
+export class RateLimiter {
+    constructor() {
+        this.stats = {
+            dropped: 0,
+            droppedByType: {}, // Message type (or 'frame') -> count
+            disconnects: 0
+        };
+    }
+
+    /**
+     * Check a raw frame against the connection's overall limit, before it is parsed
+     * @param {Object} ws - Bun WebSocket
+     * @returns {Boolean} Whether the frame may be processed
+     */
+    allowFrame(ws) {
+        return this.take(ws, 'frame', FRAME_LIMIT);
+    }
+
+    /**
+     * Check a parsed message against the limit for its type
+     * @param {Object} ws - Bun WebSocket
+     * @param {String} type - Message type
+     * @returns {Boolean} Whether the message may be handled
+     */
+    allow(ws, type) {
+        return this.take(ws, type, Object.hasOwn(RATE_LIMITS, type) ? RATE_LIMITS[type] : DEFAULT_LIMIT);
+    }
+
+    /**
+     * Take a token from one of the connection's buckets, refilling it for the time that has passed
+     * @param {Object} ws - Bun WebSocket
+     * @param {String} key - Bucket name
+     * @param {Object} limit - { rate, burst }
+     * @returns {Boolean} Whether there was a token
+     */
+    take(ws, key, limit) {
+        if (ws.data.kicked) return false; // Already being disconnected
+
+        const now = Date.now();
+        const buckets = ws.data.rateBuckets || (ws.data.rateBuckets = {});
+        let bucket = buckets[key];
+        if (!bucket) {
+            bucket = buckets[key] = { tokens: limit.burst, updatedAt: now };
+        } else {
+            bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+            bucket.updatedAt = now;
+        }
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return true;
+        }
+
+        this.drop(ws, key, now);
+        return false;
+    }
+
+    /**
+     * Count a dropped message, disconnecting the connection at MAX_VIOLATIONS
+     * @param {Object} ws - Bun WebSocket
+     * @param {String} key - Bucket the message was dropped from
+     * @param {Number} now - Current time (ms)
+     */
+    drop(ws, key, now) {
+        this.stats.dropped++;
+        this.stats.droppedByType[key] = (this.stats.droppedByType[key] || 0) + 1;
+
+        const violations = (ws.data.rateViolations || []).filter(time => now - time < VIOLATION_WINDOW_MS);
+        violations.push(now);
+        ws.data.rateViolations = violations;
+
+        // Log the first drop of a run, not every one
+        if (violations.length === 1) {
+            console.warn(`[RateLimit] Dropping ${key} from ${ws.data.playerId || ws.remoteAddress}: over the limit`);
+        }
+
+        if (violations.length >= MAX_VIOLATIONS) {
+            ws.data.kicked = true; // Not held for a resume - see the close handler
+            this.stats.disconnects++;
+            console.warn(`[RateLimit] Disconnecting ${ws.data.playerId || ws.remoteAddress}: ${violations.length} messages over the limit in ${VIOLATION_WINDOW_MS / 1000}s`);
+            try { ws.close(RATE_LIMIT_CLOSE_CODE, "Rate limit exceeded"); } catch (closeErr) { }
+        }
+    }
+
+    /**
+     * Configured limits and counters for logging / monitoring
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            limits: { ...RATE_LIMITS, frame: FRAME_LIMIT, default: DEFAULT_LIMIT },
+            dropped: this.stats.dropped,
+            droppedByType: { ...this.stats.droppedByType },
+            disconnects: this.stats.disconnects
+        };
+    }
+}
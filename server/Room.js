@@ -0,0 +1,1360 @@
+/**
+ * Room.js
+ *
+ * One isolated arena: its own players, enemies, projectiles, physics world, tick loop and snapshot broadcast.
+ * Connections are attached by RoomManager (/ws?room=<id> or JOIN_ROOM); nothing here is shared
+ * with other rooms except the snapshot sequence counter.
+ */
+
+import { ServerPhysics } from './ServerPhysics.js';
+import { LagCompensation, MAX_REWIND_MS } from './LagCompensation.js';
+import { DamageAuthority, MAX_HEALTH, MELEE_COOLDOWN_MS } from './DamageAuthority.js';
+import { SnapshotHistory } from './SnapshotHistory.js';
+import { AreaOfInterest } from './AreaOfInterest.js';
+import { EnemyAI, ENEMY_HIT_RADIUS, ENEMY_CENTER_HEIGHT } from './EnemyAI.js';
+import { PlayerStats } from './PlayerStats.js';
+import { TICK_RATE, TICK_INTERVAL_MS } from './Tick.js';
+import { createGameMode, DEFAULT_GAME_MODE } from './modes/GameModes.js';
+import { encodeSnapshot, ENCODING_BINARY } from '../src/utils/SnapshotCodec.js';
+import { MOVE_SPEED } from '../src/physics/MovementModel.js';
+
+const TICK_DELTA = 1 / TICK_RATE; // Seconds
+// Most ticks run back to back to catch up after a stall - beyond that the backlog is dropped
+const MAX_CATCH_UP_TICKS = 5;
+
+// Player velocities are rounded to this many steps per unit/s before they go into snapshots
+const VELOCITY_PRECISION = 10;
+
+// Furthest a projectile may start from its shooter's server position: the hand offset plus how far
+// the shooter's own prediction can run ahead of the server at full speed - the round trip and
+// interpolation delay (capped like the rewind) and the time its inputs wait to be sent and simulated
+const MUZZLE_OFFSET = 0.9; // Shots leave 0.8 up and 0.4 to the side (Game.shootProjectile)
+const INPUT_LATENCY_MS = 100; // One PLAYER_UPDATE interval plus one tick in the input queue
+const MAX_MUZZLE_DISTANCE = MUZZLE_OFFSET + MOVE_SPEED * (MAX_REWIND_MS + INPUT_LATENCY_MS) / 1000;
+
+// How long a player whose socket dropped is kept for them to resume (RESUME_GRACE_MS env var, in ms)
+export const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 15000;
+
+// Snapshot sequences come from one process-wide counter, so a connection that switches rooms
+// never sees a sequence repeat (a late SNAPSHOT_ACK from the old room can't match a new snapshot)
+let lastSnapshotSequence = 0;
+
+export class Room {
+    /**
+     * @param {String} id - Room ID
+     * @param {Object} hooks - { onEmpty(room) } called whenever the last player or spectator leaves,
+     *                         { onPlayerRemoved(playerId) } whenever a player is gone for good
+     * @param {String} modeId - Game mode the room runs (see modes/GameModes.js)
+     */
+    constructor(id, hooks = {}, modeId = DEFAULT_GAME_MODE) {
+        this.id = id;
+        this.onEmpty = hooks.onEmpty || (() => {});
+        this.onPlayerRemoved = hooks.onPlayerRemoved || (() => {});
+        this.graceTimers = {}; // Map of player IDs to pending removals of disconnected players
+        // IDs of connections watching without a player - they are in gameState.connections but not gameState.players
+        this.spectators = new Set();
+
+        // Server-side game state for this room
+        this.gameState = {
+            players: {}, // Map of player IDs to player objects
+            connections: {}, // Map of player IDs to WebSocket connections
+            projectiles: [], // Array of active projectiles
+            enemies: [], // Array of server-owned PvE enemies (managed by EnemyAI)
+            flags: [], // Array of flag entities (capture the flag only, managed by the game mode)
+            zones: [], // Array of control zones (king of the hill only, managed by the game mode)
+            tick: 0, // Number of fixed steps simulated so far - stamped on snapshots and events
+            tickAccumulator: 0, // Real time (ms) not yet simulated
+            lastLoopTime: 0, // performance.now() of the last loop wake-up
+            lastStatsTime: Date.now(),
+            lastCleanupTime: Date.now(), // Initialize lastCleanupTime
+            gameLoopActive: false, // Flag to track if game loop is running
+            broadcastCounter: 0, // Number of broadcasts so far (used to throttle logging)
+            snapshotSequence: 0, // Sequence number of this room's latest snapshot
+            snapshotCount: 0 // Snapshots this room has broadcast - paces far updates (sequences are shared by every room)
+        };
+
+        // Authoritative physics world - built in init()
+        this.serverPhysics = new ServerPhysics();
+
+        // Position history used to rewind targets to the shooter's view time
+        this.lagCompensation = new LagCompensation();
+
+        // Filters each client's snapshots down to nearby players
+        this.areaOfInterest = new AreaOfInterest();
+
+        // Kills, deaths, assists, damage, accuracy and ping for the scoreboard (SCOREBOARD)
+        this.playerStats = new PlayerStats({
+            isOpponent: (playerId, otherId) => this.gameMode.isOpponent(playerId, otherId)
+        });
+
+        // Single source of truth for health, deaths and respawns
+        this.damageAuthority = new DamageAuthority(this.gameState, {
+            broadcast: (message) => this.broadcastToAll(message),
+            setPlayerPosition: (playerId, position) => this.setPlayerPosition(playerId, position),
+            canDamage: (targetId, attackerId) => this.gameMode.canDamage(targetId, attackerId),
+            getDamageScale: (targetId, attackerId) => this.gameMode.getDamageScale(targetId, attackerId),
+            canRespawn: (playerId) => this.gameMode.canRespawn(playerId),
+            onDamage: (targetId, amount, attackerId, details) => this.playerStats.recordDamage(targetId, amount, attackerId, details),
+            onKill: (playerId, killerId, details) => {
+                // Kills count as the mode counts them: only during a match, and players the mode takes out
+                // (e.g. joining a last blob standing match late) didn't really die
+                if (this.gameMode.isPlaying() && !details.forced) this.playerStats.recordKill(playerId, killerId);
+                this.gameMode.onPlayerKilled(playerId, killerId);
+            }
+        });
+
+        // Scoring and the match cycle (MATCH_STATE)
+        this.gameMode = createGameMode(modeId, this.gameState, {
+            broadcast: (message) => this.broadcastToAll(message),
+            resetMatch: () => this.resetMatch(),
+            resetPlayer: (playerId) => this.damageAuthority.resetPlayer(playerId),
+            damagePlayer: (playerId, amount, source) => this.damageAuthority.applyDamage(playerId, amount, null, { source }),
+            killPlayer: (playerId) => this.damageAuthority.kill(playerId, null, { forced: true }),
+            resetStats: () => this.playerStats.reset()
+        });
+
+        // PvE enemies - bodies in the same physics world, hurting players through the damage authority
+        this.enemyAI = new EnemyAI(this.gameState, this.serverPhysics, {
+            damagePlayer: (playerId, amount, enemyId) => this.damageAuthority.applyDamage(playerId, amount, null, {
+                source: 'enemy',
+                enemyId
+            }),
+            onRemoved: (enemyId) => this.lagCompensation.clear(enemyId)
+        });
+    }
+
+    /**
+     * Build the physics world and start ticking
+     * @returns {Promise} - Resolves when the room can accept players
+     */
+    async init() {
+        await this.serverPhysics.init();
+        this.startGameLoop();
+        console.log(`[Room ${this.id}] Created (${this.gameMode.id})`);
+    }
+
+    /**
+     * Stop the tick loop and free the physics world. The room can't be used afterwards.
+     */
+    destroy() {
+        this.stopGameLoop();
+        for (const playerId of Object.keys(this.gameState.players)) {
+            this.removePlayerState(playerId);
+        }
+        this.gameState.connections = {};
+        this.gameState.projectiles = [];
+        this.enemyAI.removeAll();
+        this.serverPhysics.destroy();
+        console.log(`[Room ${this.id}] Destroyed`);
+    }
+
+    /**
+     * Number of players currently in the room (spectators don't count)
+     * @returns {Number}
+     */
+    getPlayerCount() {
+        return Object.keys(this.gameState.players).length;
+    }
+
+    /**
+     * Whether nobody is in the room - no players and no spectators
+     * @returns {Boolean}
+     */
+    isEmpty() {
+        return this.getPlayerCount() === 0 && this.spectators.size === 0;
+    }
+
+    /**
+     * Create a player for a connection and start sending it this room's snapshots
+     * @param {Object} ws - Bun WebSocket (ws.data.playerId must be set)
+     * @returns {Object} The new player
+     */
+    addConnection(ws) {
+        const playerId = ws.data.playerId;
+
+        // Add player to the connected players with proper initialization
+        this.gameState.players[playerId] = {
+            id: playerId,
+            position: { x: 0, y: 5, z: 0 }, // Start slightly above ground
+            rotation: { x: 0, y: 0, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 }, // From the physics body - clients extrapolate with it
+            grounded: false,
+            health: MAX_HEALTH,
+            isDead: false,
+            isAttacking: false,
+            isJumping: false, // *** Initialize isJumping ***
+            animation: 'idle',
+            lastProcessedInput: 0,
+            connected: true
+        };
+
+        // Create the player's authoritative rigid body
+        this.serverPhysics.addPlayer(playerId, this.gameState.players[playerId].position);
+        this.playerStats.addPlayer(playerId);
+
+        // Tell everyone already here about the new score line before this connection is attached
+        // (it gets the whole match state from attachConnection)
+        this.gameMode.onPlayerJoined(playerId);
+        this.attachConnection(ws);
+
+        // Log active connections after new connection
+        this.logConnectionStats(true);
+
+        return this.gameState.players[playerId];
+    }
+
+    /**
+     * Add a connection that only watches: it gets snapshots and events but has no player,
+     * so it can't be hit, doesn't block spawns and can't send gameplay messages
+     * @param {Object} ws - Bun WebSocket (ws.data.playerId identifies the connection)
+     */
+    addSpectator(ws) {
+        this.spectators.add(ws.data.playerId);
+        this.attachConnection(ws);
+
+        console.log(`[Room ${this.id}] Spectator ${ws.data.playerId} joined`);
+        this.logConnectionStats(true);
+    }
+
+    /**
+     * Whether a player can be resumed here - held after a drop, or still attached to a socket that may be dead
+     * @param {String} playerId - Player ID
+     * @returns {Boolean}
+     */
+    canResume(playerId) {
+        return Boolean(this.gameState.players[playerId]);
+    }
+
+    /**
+     * Give a held (or still connected) player back to a new connection, state intact
+     * @param {Object} ws - Bun WebSocket (ws.data.playerId is the player being resumed)
+     * @returns {Object} The player
+     */
+    resumeConnection(ws) {
+        const playerId = ws.data.playerId;
+        const player = this.gameState.players[playerId];
+
+        // The old socket may not have noticed it is dead yet - this connection takes over
+        const previous = this.gameState.connections[playerId];
+        if (previous && previous !== ws) {
+            try { previous.close(1000, "Session resumed on another connection"); } catch (closeErr) { }
+        }
+
+        if (this.graceTimers[playerId]) {
+            clearTimeout(this.graceTimers[playerId]);
+            delete this.graceTimers[playerId];
+        }
+
+        player.connected = true;
+        player.disconnectedAt = null;
+        this.attachConnection(ws);
+
+        console.log(`[Room ${this.id}] Player ${playerId} resumed their session`);
+        return player;
+    }
+
+    // Route a connection's messages and snapshots to this room
+    attachConnection(ws) {
+        this.gameState.connections[ws.data.playerId] = ws;
+
+        // Snapshots from any previous room or socket are meaningless here - start over with a full state
+        ws.data.room = this;
+        ws.data.snapshotHistory = null;
+        ws.data.ackedSequence = 0;
+
+        ws.send(JSON.stringify(this.gameMode.getMatchStateMessage()));
+        ws.send(JSON.stringify(this.playerStats.getScoreboardMessage()));
+    }
+
+    /**
+     * A connection dropped: keep the player (shown as reconnecting) for RESUME_GRACE_MS, then remove them
+     * @param {Object} ws - Bun WebSocket
+     */
+    disconnectConnection(ws) {
+        const playerId = ws.data?.playerId;
+        if (this.spectators.has(playerId)) {
+            // Nothing to hold for a spectator
+            this.removeConnection(ws);
+            return;
+        }
+        if (ws.data?.room === this) {
+            ws.data.room = null;
+        }
+        if (!playerId || this.gameState.connections[playerId] !== ws) return;
+
+        delete this.gameState.connections[playerId];
+        const player = this.gameState.players[playerId];
+        if (!player) return;
+
+        player.connected = false;
+        player.disconnectedAt = Date.now();
+        this.graceTimers[playerId] = setTimeout(() => {
+            delete this.graceTimers[playerId];
+            console.log(`[Room ${this.id}] Player ${playerId} did not resume within ${RESUME_GRACE_MS}ms, removing`);
+            this.removePlayer(playerId);
+            this.broadcastGameState();
+        }, RESUME_GRACE_MS);
+
+        console.log(`[Room ${this.id}] Player ${playerId} disconnected, holding their slot for ${RESUME_GRACE_MS}ms`);
+        this.logConnectionStats(true);
+
+        // Let the remaining clients show them as reconnecting straight away
+        this.broadcastGameState();
+    }
+
+    /**
+     * Detach a connection and remove its player immediately (moving to another room)
+     * @param {Object} ws - Bun WebSocket
+     */
+    removeConnection(ws) {
+        const playerId = ws.data?.playerId;
+        if (ws.data?.room === this) {
+            ws.data.room = null;
+        }
+        if (!playerId || this.gameState.connections[playerId] !== ws) return;
+
+        this.removePlayer(playerId);
+
+        // Log active connections after disconnection
+        this.logConnectionStats(true);
+
+        // Let the remaining clients know straight away rather than on the next tick
+        this.broadcastGameState();
+    }
+
+    /**
+     * Drop a player and their connection entry, notifying the owner when the room empties
+     * @param {String} playerId - Player ID
+     */
+    removePlayer(playerId) {
+        if (this.gameState.connections[playerId]) delete this.gameState.connections[playerId];
+        if (this.gameState.players[playerId]) this.removePlayerState(playerId);
+        this.spectators.delete(playerId);
+
+        if (this.isEmpty()) {
+            this.onEmpty(this);
+        }
+    }
+
+    // Remove a player from game state along with their physics body
+    removePlayerState(playerId) {
+        if (this.graceTimers[playerId]) {
+            clearTimeout(this.graceTimers[playerId]);
+            delete this.graceTimers[playerId];
+        }
+
+        delete this.gameState.players[playerId];
+        this.serverPhysics.removePlayer(playerId);
+        this.damageAuthority.removePlayer(playerId);
+        this.lagCompensation.clear(playerId);
+        this.playerStats.removePlayer(playerId);
+        this.gameMode.onPlayerLeft(playerId);
+        this.onPlayerRemoved(playerId);
+    }
+
+    // Start the next match from scratch: everyone alive at full health on a fresh spawn point,
+    // no projectiles in flight and a new set of enemies
+    resetMatch() {
+        for (const playerId in this.gameState.players) {
+            this.damageAuthority.resetPlayer(playerId);
+        }
+        this.gameState.projectiles = [];
+        this.enemyAI.removeAll();
+    }
+
+    // Move a player (spawn/respawn) - keeps the physics body in sync with gameState
+    setPlayerPosition(playerId, position) {
+        const player = this.gameState.players[playerId];
+        if (!player) return;
+
+        player.position = { ...position };
+        this.serverPhysics.teleportPlayer(playerId, player.position);
+        this.lagCompensation.clear(playerId); // Never interpolate a rewind across a teleport
+    }
+
+    // Handle messages from clients
+    handleClientMessage(ws, data) {
+        if (!ws.data || !ws.data.playerId) {
+            console.log(`Received message from unregistered player:`, data);
+            return;
+        }
+
+        const playerId = ws.data.playerId;
+        const player = this.gameState.players[playerId]; // Get player object reference
+
+        // Keep-alive and snapshot acknowledgements come from spectators too
+        if (data.type === 'PING' || data.type === 'SNAPSHOT_ACK') {
+            this.handleConnectionMessage(ws, data);
+            return;
+        }
+
+        // Spectators have no player to act with
+        if (this.spectators.has(playerId)) return;
+
+        // Check if player exists in gameState
+        if (!player) { // Use the reference
+            console.log(`Player ${playerId} not found in room ${this.id}, ignoring message type: ${data.type}`);
+            // Don't recreate player here, rely on addConnection()
+            return;
+        }
+
+        // Field types, ranges and allowed values were checked against MESSAGE_SCHEMAS before we got here
+        switch (data.type) {
+            case 'PLAYER_UPDATE':
+                try {
+                    // Movement is simulated from inputs - client-reported positions are ignored
+                    if (data.inputs && data.inputs.length > 0) {
+                        this.serverPhysics.queueInputs(playerId, data.inputs);
+                    }
+
+                    if (data.rotation) {
+                        player.rotation = {
+                            x: data.rotation.x,
+                            y: data.rotation.y,
+                            z: data.rotation.z
+                        };
+                    }
+
+                    // --- Update Animation based on Client State (unless dead) --- 
+                    // Server only overrides for death. Attack animation is initiated by PROJECTILE_SPAWN broadcast.
+                    if (!player.isDead && data.animation) {
+                        // Directly use the animation sent by the client 
+                        if (player.animation !== data.animation) {
+                            player.animation = data.animation;
+                            // Log animation change initiated by client update
+                            if (Math.random() < 0.05) {
+                                console.log(`[Server Update] Player ${playerId} - Set Animation: ${player.animation} (from client)`);
+                            }
+                        }
+                    } // isAttacking check removed here
+                    // --- End Animation Update --- 
+
+                    // Update player state if provided (Health, isDead are handled by separate events mostly)
+                    /*
+                    if (data.health !== undefined && typeof data.health === 'number') {
+                        player.health = data.health;
+                    }
+                    if (data.isDead !== undefined) {
+                        player.isDead = Boolean(data.isDead);
+                    }
+                    */
+
+                    // We now rely on client-sent animation, server only overrides for attack/death
+                    /* 
+                    if (data.isAttacking !== undefined) {
+                        player.isAttacking = Boolean(data.isAttacking); 
+                    }
+                    */
+
+                    // lastProcessedInput is set by the physics step once the inputs have actually been simulated
+                } catch (err) {
+                    console.error(`Error updating player ${playerId}:`, err);
+                }
+                break;
+
+            case 'PROJECTILE_SPAWN':
+                // Projectile IDs are used as stable keys in snapshots, so they must be unique
+                if (this.gameState.projectiles.some(existing => existing.id === data.id)) {
+                    this.rejectProjectile(ws, data.id, 'duplicate id');
+                    return;
+                }
+
+                // Dead players can't shoot, and a shot has to leave from the shooter - not from next to its target
+                if (player.isDead) {
+                    this.rejectProjectile(ws, data.id, 'shooter is dead');
+                    return;
+                }
+                if (pointDistanceSquared(data.position, player.position) > MAX_MUZZLE_DISTANCE * MAX_MUZZLE_DISTANCE) {
+                    this.rejectProjectile(ws, data.id, 'origin too far from the shooter');
+                    return;
+                }
+
+                const projectile = {
+                    id: data.id,
+                    ownerId: playerId, // Never trust the client-supplied owner - damage is credited to it
+                    position: {
+                        x: data.position.x,
+                        y: data.position.y,
+                        z: data.position.z
+                    },
+                    velocity: {
+                        x: data.velocity.x,
+                        y: data.velocity.y,
+                        z: data.velocity.z
+                    },
+                    // Trajectory as sent in snapshots - clients extrapolate from here, so this only changes if the velocity does
+                    origin: {
+                        x: data.position.x,
+                        y: data.position.y,
+                        z: data.position.z
+                    },
+                    createdAt: Date.now(),
+                    // Hits are checked against targets as the shooter saw them (capped rewind)
+                    rewindMs: this.lagCompensation.getRewindMs(data.viewTime),
+                    active: true
+                };
+
+                // Add to game state
+                this.gameState.projectiles.push(projectile);
+                this.playerStats.recordShot(playerId);
+
+                // --- Set Attacker State --- 
+                const attacker = this.gameState.players[playerId];
+                if (attacker && !attacker.isDead) { // Check attacker exists and is not dead
+                    // Set animation to attack FOR THIS BROADCAST CYCLE
+                    // Subsequent PLAYER_UPDATE from client will dictate idle/walk etc.
+                    attacker.animation = 'attack';
+                    console.log(`[Server Broadcast] Player ${playerId} - Setting Animation: attack (from projectile spawn)`);
+                }
+                // --- End Set Attacker State --- 
+
+                // Broadcast to all clients including sender for confirmation
+                this.broadcastToAll({
+                    type: 'PROJECTILE_SPAWN',
+                    data: { ...projectile, tick: this.gameState.tick }
+                });
+
+                console.log(`Projectile ${projectile.id} spawned by player ${playerId}`);
+                break;
+
+            case 'PLAYER_JUMP':
+                // The jump itself is simulated from the input stream; this only drives the animation
+                console.log(`Player ${playerId} jumped`);
+                if (player && !player.isDead) {
+                    player.animation = 'jump'; // Set animation state
+                    console.log(`[Server Update] Player ${playerId} - Set Animation: jump`); // Log jump anim
+                }
+                break;
+
+            case 'PLAYER_SHOOT':
+                // Handle player shooting
+                console.log(`Player ${playerId} fired a projectile`);
+                if (data.direction && data.origin) {
+                    // Create projectile in game state
+                    const projectile = {
+                        id: `proj_${playerId}_${Date.now()}`,
+                        ownerId: playerId,
+                        origin: data.origin,
+                        direction: data.direction,
+                        speed: 50, // Units per second
+                        damage: 10,
+                        createdAt: Date.now(),
+                        position: { ...data.origin }, // Start at origin
+                        active: true
+                    };
+
+                    this.gameState.projectiles.push(projectile);
+                    console.log(`Created projectile ${projectile.id} for player ${playerId}`);
+                }
+                break;
+
+            case 'PLAYER_ATTACK':
+                // Handle player attack - melee range and cooldown are validated by the damage authority
+                console.log(`Player ${playerId} attacked`);
+                if (player && !player.isAttacking && !player.isDead) { // Check player exists and state
+                    player.isAttacking = true;
+                    player.animation = 'attack'; // Set animation state
+                    console.log(`[Server Update] Player ${playerId} - Set Animation: attack`); // Log attack anim
+
+                    this.damageAuthority.tryMelee(playerId);
+
+                    // Reset attack state after animation duration
+                    setTimeout(() => {
+                        if (player) { // Check player still exists
+                            player.isAttacking = false;
+                        }
+                    }, MELEE_COOLDOWN_MS);
+                }
+                break;
+
+            // Damage, death and respawn are decided by the server. These client messages are only claims.
+            case 'PLAYER_DAMAGE':
+                this.damageAuthority.handleDamageClaim(playerId, data);
+                break;
+
+            case 'PLAYER_DEATH':
+                this.damageAuthority.handleDeathClaim(playerId);
+                break;
+
+            case 'PLAYER_RESPAWN':
+                this.damageAuthority.handleRespawnClaim(playerId);
+                break;
+
+            default:
+                console.log(`Unknown message type: ${data.type}`);
+        }
+    }
+
+    /**
+     * Turn down a PROJECTILE_SPAWN and tell the shooter, so their local copy of the shot disappears
+     * @param {Object} ws - Shooter's connection
+     * @param {String} projectileId - ID the client gave the shot
+     * @param {String} reason - Why it was rejected (logged and sent)
+     */
+    rejectProjectile(ws, projectileId, reason) {
+        console.error(`Rejected projectile ${projectileId} from player ${ws.data.playerId}: ${reason}`);
+        ws.send(JSON.stringify({ type: 'PROJECTILE_REJECTED', data: { id: projectileId, reason } }));
+    }
+
+    // Handle messages about the connection itself rather than a player (players and spectators)
+    handleConnectionMessage(ws, data) {
+        switch (data.type) {
+            case 'SNAPSHOT_ACK':
+                // Client has applied this snapshot - future deltas for it are diffed against it
+                if (data.sequence > (ws.data.ackedSequence || 0) &&
+                    ws.data.snapshotHistory?.get(data.sequence)) {
+                    ws.data.ackedSequence = data.sequence;
+                    // Clients ack on receipt, so send-to-ack time is the connection's round trip
+                    this.playerStats.recordPing(ws.data.playerId, Date.now() - ws.data.snapshotHistory.getSentAt(data.sequence));
+                }
+                break;
+
+            case 'PING':
+                // Handle ping from client (keep-alive)
+                ws.send(JSON.stringify({
+                    type: 'PONG',
+                    timestamp: data.timestamp, // Echo back client timestamp for RTT calc
+                    serverTime: Date.now()
+                }));
+                break;
+        }
+    }
+
+    // Broadcast game state to all connected clients
+    broadcastGameState() {
+        // *** Wrap entire function logic in try...catch ***
+        try {
+            this.gameState.broadcastCounter++;
+
+            // --- Prepare Current Sanitized State (Needed for both full and delta) ---
+            const currentPlayersState = {};
+            for (const playerId in this.gameState.players) {
+                const player = this.gameState.players[playerId];
+                if (player) { // Disconnected players stay visible (as reconnecting) until their grace period ends
+                    // Basic validation/sanitization
+                    currentPlayersState[playerId] = {
+                        id: playerId,
+                        position: player.position || { x: 0, y: 5, z: 0 },
+                        rotation: player.rotation || { x: 0, y: 0, z: 0 },
+                        velocity: player.velocity || { x: 0, y: 0, z: 0 },
+                        grounded: Boolean(player.grounded),
+                        health: typeof player.health === 'number' ? player.health : 100,
+                        isDead: Boolean(player.isDead),
+                        isAttacking: Boolean(player.isAttacking),
+                        isJumping: Boolean(player.isJumping), // *** Include isJumping flag ***
+                        animation: player.animation || 'idle',
+                        lastProcessedInput: player.lastProcessedInput || 0,
+                        isReconnecting: !player.connected
+                    };
+
+                    // Log the state being prepared for broadcast occasionally
+                    if (Math.random() < 0.01) { // Reduce log frequency
+                        console.log(`[Server Broadcast Prep] Player ${playerId} State: ${JSON.stringify(currentPlayersState[playerId])}`);
+                    }
+                }
+            }
+
+            // --- Prepare Projectile State (trajectory records, keyed by stable projectile ID) ---
+            const currentProjectilesState = {};
+            for (const projectile of this.gameState.projectiles) {
+                if (!projectile.active || !projectile.velocity || !projectile.origin) continue;
+
+                currentProjectilesState[projectile.id] = {
+                    id: projectile.id,
+                    ownerId: projectile.ownerId,
+                    origin: projectile.origin,
+                    velocity: projectile.velocity,
+                    launchTime: projectile.createdAt
+                };
+            }
+
+            // --- Prepare Enemy State (AI bookkeeping stays on the server) ---
+            const currentEnemiesState = {};
+            for (const enemy of this.gameState.enemies) {
+                currentEnemiesState[enemy.id] = {
+                    id: enemy.id,
+                    position: enemy.position,
+                    rotationY: enemy.rotationY,
+                    health: enemy.health,
+                    maxHealth: enemy.maxHealth,
+                    isDead: enemy.isDead,
+                    isAttacking: enemy.isAttacking,
+                    animation: enemy.animation
+                };
+            }
+
+            // --- Prepare Flag State (a carried flag is drawn on its carrier, so its position isn't sent) ---
+            const currentFlagsState = {};
+            for (const flag of this.gameState.flags) {
+                currentFlagsState[flag.id] = {
+                    id: flag.id,
+                    team: flag.team,
+                    base: flag.base,
+                    state: flag.state,
+                    carrierId: flag.carrierId,
+                    position: flag.carrierId ? null : flag.position
+                };
+            }
+
+            // --- Prepare Zone State (progress at 1% steps, so a capture sends at most 100 updates) ---
+            const currentZonesState = {};
+            for (const zone of this.gameState.zones) {
+                currentZonesState[zone.id] = {
+                    id: zone.id,
+                    center: zone.center,
+                    size: zone.size,
+                    ownerId: zone.ownerId,
+                    capturingId: zone.capturingId,
+                    progress: Math.round(zone.progress * 100) / 100,
+                    contested: zone.contested
+                };
+            }
+
+            // Each connection gets its own view (area of interest) diffed against the view it last acknowledged
+            const sequence = this.gameState.snapshotSequence = ++lastSnapshotSequence;
+            this.gameState.snapshotCount++;
+            const timestamp = Date.now();
+            this.areaOfInterest.update(currentPlayersState);
+            const currentState = {
+                players: currentPlayersState,
+                projectiles: currentProjectilesState,
+                enemies: currentEnemiesState,
+                flags: currentFlagsState,
+                zones: currentZonesState
+            };
+
+            let activeConnections = 0;
+            const sentCounts = { GAME_STATE: 0, GAME_STATE_DELTA: 0 };
+            const droppedConnections = []; // Sockets that went away mid-broadcast - held for a resume afterwards
+
+            for (const playerId in this.gameState.connections) {
+                const ws = this.gameState.connections[playerId];
+                // WebSocket.OPEN is 1
+                if (ws && ws.readyState === 1) {
+                    try {
+                        const payloadObject = this.buildSnapshotForConnection(ws, playerId, currentState, sequence, timestamp);
+                        if (!payloadObject) continue; // Nothing changed since the last snapshot this client was sent
+
+                        ws.send(ws.data.encoding === ENCODING_BINARY
+                            ? encodeSnapshot(payloadObject)
+                            : JSON.stringify(payloadObject));
+                        activeConnections++;
+                        sentCounts[payloadObject.type]++;
+                    } catch (sendError) {
+                        console.error(`[Broadcast] Error sending to player ${playerId}:`, sendError);
+                        // Close the connection if we can't send to it
+                        try {
+                            ws.close(1011, "Error during broadcast");
+                        } catch (closeError) {
+                            // Ignore close errors
+                        }
+                        droppedConnections.push(ws);
+                    }
+                } else if (ws) {
+                    // Closing but its close handler hasn't run yet - treat it as a disconnect so the player can resume
+                    console.log(`[Broadcast] Socket for player ${playerId} not open (readyState: ${ws.readyState}), disconnecting`);
+                    try { ws.close(1001, "Socket not open"); } catch (closeErr) { }
+                    droppedConnections.push(ws);
+                } else {
+                    // Clean up null/undefined connection entries
+                    console.warn(`[Broadcast] Found null/undefined connection for Player ID: ${playerId}. Cleaning up.`);
+                    this.removePlayer(playerId);
+                }
+            }
+
+            // After the loop: a disconnect broadcasts again, and this snapshot has to finish going out first
+            for (const ws of droppedConnections) {
+                if (ws.data?.kicked) {
+                    this.removeConnection(ws); // Kicked players aren't held, as in the close handler
+                } else {
+                    this.disconnectConnection(ws);
+                }
+            }
+
+            // Log active connections count - Reduce frequency
+            if (this.gameState.broadcastCounter % 50 === 0) { // Log every 50 broadcasts (~2.5 seconds)
+                console.log(`[Broadcast] Room ${this.id} snapshot ${sequence}: ${sentCounts.GAME_STATE} full, ${sentCounts.GAME_STATE_DELTA} delta to ${activeConnections} active connections`);
+            }
+        } catch (err) {
+            // *** Log any error during broadcast ***
+            console.error('[!!!] Critical Error in broadcastGameState:', err);
+        }
+    }
+
+    // Build this tick's snapshot for one connection: a full GAME_STATE when it has no usable baseline,
+    // otherwise a GAME_STATE_DELTA against the view it last acknowledged. Returns null when there is nothing new.
+    buildSnapshotForConnection(ws, playerId, currentState, sequence, timestamp) {
+        if (!ws.data.snapshotHistory) {
+            ws.data.snapshotHistory = new SnapshotHistory();
+        }
+        const history = ws.data.snapshotHistory;
+        const previousView = history.latest() || null;
+        const view = {
+            players: this.areaOfInterest.buildView(playerId, currentState.players, previousView?.players, this.gameState.snapshotCount),
+            projectiles: this.areaOfInterest.buildProjectileView(playerId, currentState.players, currentState.projectiles, timestamp),
+            enemies: this.areaOfInterest.buildEnemyView(playerId, currentState.players, currentState.enemies),
+            flags: currentState.flags, // Always all of them - the HUD points at flags anywhere in the arena
+            zones: currentState.zones // Always all of them too - there are only ever a few
+        };
+
+        // No usable baseline (new client, or its last ack fell out of the history) -> full state
+        const baseSequence = ws.data.ackedSequence;
+        const baseline = baseSequence ? history.get(baseSequence) : undefined;
+
+        if (!baseline) {
+            history.push(sequence, view);
+            return {
+                type: 'GAME_STATE',
+                data: {
+                    players: view.players, // Only players in this client's area of interest
+                    projectiles: Object.values(view.projectiles),
+                    enemies: Object.values(view.enemies),
+                    flags: Object.values(view.flags),
+                    zones: Object.values(view.zones),
+                    sequence,
+                    tick: this.gameState.tick,
+                    timestamp
+                }
+            };
+        }
+
+        // Skip the tick if the client's newest state (acked or not) already matches
+        if (previousView && JSON.stringify(view) === JSON.stringify(previousView)) {
+            return null;
+        }
+
+        const playerDeltas = {};
+        const removedPlayerIds = [];
+        const despawnedPlayerIds = [];
+
+        // Check for changed/new players
+        for (const id in view.players) {
+            const currentPlayer = view.players[id];
+            const lastPlayer = baseline.players[id];
+
+            if (!lastPlayer) {
+                // New (or newly relevant) player: send full data
+                playerDeltas[id] = currentPlayer;
+            } else {
+                // Existing player: check for changes
+                const delta = {};
+                let changed = false;
+                for (const key in currentPlayer) {
+                    // Check if key exists in lastPlayer to avoid errors if state structure changes
+                    if (!lastPlayer.hasOwnProperty(key) || !deepCompare(currentPlayer[key], lastPlayer[key])) {
+                        delta[key] = currentPlayer[key];
+                        changed = true;
+                    }
+                }
+                if (changed) {
+                    // Important: Always include ID in delta for identification
+                    delta.id = id;
+                    playerDeltas[id] = delta;
+                }
+            }
+        }
+
+        // Anyone the client may have seen since its baseline but who isn't in this view either
+        // left the game (removed) or just moved out of range (despawned)
+        for (const id of history.knownIdsSince(baseSequence, 'players')) {
+            if (view.players[id]) continue;
+            if (currentState.players[id]) {
+                despawnedPlayerIds.push(id);
+            } else {
+                removedPlayerIds.push(id);
+            }
+        }
+
+        // Projectiles: spawn/update records are whole trajectories, sent when new or changed since the baseline
+        const projectileDeltas = [];
+        const removedProjectileIds = [];
+        for (const id in view.projectiles) {
+            if (!deepCompare(view.projectiles[id], baseline.projectiles[id])) {
+                projectileDeltas.push(view.projectiles[id]);
+            }
+        }
+        for (const id of history.knownIdsSince(baseSequence, 'projectiles')) {
+            if (!view.projectiles[id]) {
+                removedProjectileIds.push(id);
+            }
+        }
+
+        // Enemies: whole records, sent when new or changed since the baseline
+        const enemyDeltas = [];
+        const removedEnemyIds = [];
+        for (const id in view.enemies) {
+            if (!deepCompare(view.enemies[id], baseline.enemies[id])) {
+                enemyDeltas.push(view.enemies[id]);
+            }
+        }
+        for (const id of history.knownIdsSince(baseSequence, 'enemies')) {
+            if (!view.enemies[id]) {
+                removedEnemyIds.push(id);
+            }
+        }
+
+        // Flags: whole records too. Left out of the message when nothing changed (most modes have no flags)
+        const flagDeltas = [];
+        const removedFlagIds = [];
+        for (const id in view.flags) {
+            if (!deepCompare(view.flags[id], baseline.flags[id])) {
+                flagDeltas.push(view.flags[id]);
+            }
+        }
+        for (const id of history.knownIdsSince(baseSequence, 'flags')) {
+            if (!view.flags[id]) {
+                removedFlagIds.push(id);
+            }
+        }
+
+        // Zones: the same as flags
+        const zoneDeltas = [];
+        const removedZoneIds = [];
+        for (const id in view.zones) {
+            if (!deepCompare(view.zones[id], baseline.zones[id])) {
+                zoneDeltas.push(view.zones[id]);
+            }
+        }
+        for (const id of history.knownIdsSince(baseSequence, 'zones')) {
+            if (!view.zones[id]) {
+                removedZoneIds.push(id);
+            }
+        }
+
+        history.push(sequence, view);
+
+        return {
+            type: 'GAME_STATE_DELTA',
+            data: {
+                playerDeltas: playerDeltas,
+                removedPlayerIds: removedPlayerIds,
+                despawnedPlayerIds: despawnedPlayerIds,
+                projectileDeltas: projectileDeltas,
+                removedProjectileIds: removedProjectileIds,
+                enemyDeltas: enemyDeltas,
+                removedEnemyIds: removedEnemyIds,
+                flagDeltas: flagDeltas.length ? flagDeltas : undefined,
+                removedFlagIds: removedFlagIds.length ? removedFlagIds : undefined,
+                zoneDeltas: zoneDeltas.length ? zoneDeltas : undefined,
+                removedZoneIds: removedZoneIds.length ? removedZoneIds : undefined,
+                sequence,
+                baseSequence,
+                tick: this.gameState.tick,
+                timestamp
+            }
+        };
+    }
+
+    // Helper function to broadcast message to all connected clients
+    broadcastToAll(message) {
+        const payload = JSON.stringify(message);
+
+        for (const playerId in this.gameState.connections) {
+            const ws = this.gameState.connections[playerId];
+            if (ws && ws.readyState === 1) {
+                try {
+                    ws.send(payload);
+                } catch (error) {
+                    console.error(`Error broadcasting to player ${playerId}:`, error);
+                }
+            }
+        }
+    }
+
+    // Log connection stats
+    logConnectionStats(force = false) {
+        const now = Date.now();
+        if (force || now - this.gameState.lastStatsTime > 5000) {
+            const activeConnections = Object.keys(this.gameState.connections).length;
+            const activePlayers = Object.keys(this.gameState.players).length;
+
+            console.log(`[Room ${this.id}] Active connections: ${activeConnections}`);
+            console.log(`[Room ${this.id}] Active players: ${activePlayers}, spectators: ${this.spectators.size}, enemies: ${this.gameState.enemies.length}`);
+            this.gameState.lastStatsTime = now;
+        }
+    }
+
+    // Check for inactive connections and remove them
+    cleanupInactiveConnections() {
+        const now = Date.now();
+        const timeout = 300000; // Increased from 30000 (30 seconds) to 300000 (5 minutes)
+
+        let cleanedCount = 0;
+        for (const playerId in this.gameState.connections) {
+            const ws = this.gameState.connections[playerId];
+            // Check if ws and ws.data exist, and if lastPingTime exists
+            if (ws && ws.data && typeof ws.data.lastPingTime === 'number') {
+                const lastActive = now - ws.data.lastPingTime;
+                if (lastActive > timeout) {
+                    // *** Add Log Here ***
+                    console.log(`[Cleanup] Removing inactive player ${playerId} (last active ${Math.round(lastActive / 1000)}s ago > ${timeout / 1000}s)`);
+                    cleanedCount++;
+
+                    // Close the connection
+                    try {
+                        ws.close();
+                    } catch (err) {
+                        console.error(`Error closing websocket for player ${playerId}:`, err);
+                    }
+
+                    // Remove player from game state and connections
+                    this.removePlayer(playerId);
+                }
+            } else if (ws && ws.data && typeof ws.data.lastPingTime !== 'number') {
+                // If lastPingTime is missing, maybe set it now or log a warning
+                console.warn(`[Cleanup] Player ${playerId} missing lastPingTime, setting it now.`);
+                ws.data.lastPingTime = now;
+            } else if (!ws || !ws.data) {
+                // Handle cases where ws or ws.data might be missing unexpectedly
+                console.warn(`[Cleanup] Found invalid connection data for Player ID: ${playerId}. Removing.`);
+                this.removePlayer(playerId);
+                cleanedCount++; // Count this as cleaned
+            }
+        }
+        if (cleanedCount > 0) {
+            console.log(`[Cleanup] Room ${this.id}: finished cleanup. Removed ${cleanedCount} inactive/invalid connections.`);
+        }
+    }
+
+    // Start game tick loop if not already running
+    startGameLoop() {
+        if (this.gameState.gameLoopActive) {
+            console.log(`[Room ${this.id}] Game loop already running, not starting a new one`);
+            return;
+        }
+
+        console.log(`[Room ${this.id}] Starting game tick loop`);
+        this.gameState.gameLoopActive = true;
+        let serverPingCounter = 0; // Counter for server pings
+
+        this.gameState.tickAccumulator = 0;
+        this.gameState.lastLoopTime = performance.now();
+
+        // Timers drift, so each wake-up simulates however many fixed steps are due and then broadcasts once
+        const loop = () => {
+            if (!this.gameState.gameLoopActive) return;
+
+            try {
+                const now = performance.now();
+                this.gameState.tickAccumulator += now - this.gameState.lastLoopTime;
+                this.gameState.lastLoopTime = now;
+
+                const maxBacklog = MAX_CATCH_UP_TICKS * TICK_INTERVAL_MS;
+                if (this.gameState.tickAccumulator > maxBacklog) {
+                    console.warn(`[Room ${this.id}] Tick loop ${Math.round(this.gameState.tickAccumulator - maxBacklog)}ms behind, skipping ahead`);
+                    this.gameState.tickAccumulator = maxBacklog;
+                }
+
+                let ticked = false;
+                while (this.gameState.tickAccumulator >= TICK_INTERVAL_MS) {
+                    this.gameState.tickAccumulator -= TICK_INTERVAL_MS;
+                    this.gameState.tick++;
+                    this.updateGameState(TICK_DELTA);
+                    serverPingCounter++;
+                    ticked = true;
+                }
+
+                if (ticked) {
+                    this.broadcastGameState();
+
+                    // Periodically check for inactive connections
+                    if (Date.now() - (this.gameState.lastCleanupTime || 0) > 10000) { // Every 10 seconds
+                        this.cleanupInactiveConnections();
+                        this.gameState.lastCleanupTime = Date.now();
+                    }
+
+                    // Log stats periodically
+                    this.logConnectionStats();
+
+                    // Send server pings periodically
+                    if (serverPingCounter >= 400) { // Send approx every 20 seconds (400 ticks * 50ms/tick)
+                        this.sendServerPings();
+                        serverPingCounter = 0;
+                    }
+                }
+
+            } catch (err) {
+                // Log error but continue game loop
+                console.error('Error in game tick loop:', err);
+            }
+
+            // Wake up when the next tick is due
+            this.gameState.tickTimeout = setTimeout(loop, Math.max(0, TICK_INTERVAL_MS - this.gameState.tickAccumulator));
+        };
+
+        // Store the timeout ID so we can clear it if needed
+        this.gameState.tickTimeout = setTimeout(loop, TICK_INTERVAL_MS);
+    }
+
+    // Stop the tick loop (room is being destroyed)
+    stopGameLoop() {
+        if (!this.gameState.gameLoopActive) return;
+
+        clearTimeout(this.gameState.tickTimeout);
+        this.gameState.tickTimeout = null;
+        this.gameState.gameLoopActive = false;
+    }
+
+    // Advance the game state by one fixed step (deltaTime in seconds)
+    updateGameState(deltaTime) {
+        try {
+            // Simulate player movement from queued client inputs
+            this.updatePlayerPhysics(deltaTime);
+
+            // Update projectiles
+            this.updateProjectiles(deltaTime);
+
+            // Check for projectile collisions with players, then with enemies
+            this.checkProjectilePlayerCollisions();
+            this.checkProjectileEnemyCollisions();
+
+            // Enemy AI (its movement is applied by the next physics step)
+            this.updateEnemies(deltaTime);
+
+            // Match timer and phase changes
+            this.gameMode.update(Date.now());
+
+            // Scoreboard after anything this tick changed it
+            if (this.playerStats.isDue(Date.now())) {
+                this.broadcastToAll(this.playerStats.takeScoreboardMessage(Date.now()));
+            }
+        } catch (err) {
+            console.error('Error in updateGameState:', err);
+        }
+    }
+
+    // Step the authoritative physics world and copy the results back into gameState
+    updatePlayerPhysics(deltaTime) {
+        // Dead players can't move - their inputs are acknowledged but discarded. Enemies share the world.
+        const results = this.serverPhysics.step(deltaTime, (playerId) => {
+            const player = this.gameState.players[playerId];
+            return player ? !player.isDead : this.enemyAI.canMove(playerId);
+        });
+
+        const now = Date.now();
+        for (const playerId in this.gameState.players) {
+            const player = this.gameState.players[playerId];
+            const simulated = this.serverPhysics.getPlayerState(playerId);
+            if (!simulated) continue;
+
+            player.position = simulated.position;
+            player.velocity = roundVelocity(simulated.velocity);
+            player.grounded = simulated.grounded;
+            player.lastProcessedInput = simulated.lastProcessedInput;
+            this.lagCompensation.record(playerId, now, player.position);
+
+            // Jump state follows the simulation rather than the PLAYER_JUMP message
+            if (results[playerId]?.jumped) {
+                player.isJumping = true;
+            } else if (player.isJumping && simulated.grounded) {
+                player.isJumping = false;
+            }
+        }
+    }
+
+    // Update projectile positions
+    updateProjectiles(deltaTime) {
+        const MAX_PROJECTILE_LIFETIME = 5000; // 5 seconds max lifetime
+
+        // Update each projectile position based on velocity and speed
+        for (let i = this.gameState.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.gameState.projectiles[i];
+
+            // Check if projectile is too old
+            const age = Date.now() - projectile.createdAt;
+            if (age > MAX_PROJECTILE_LIFETIME) {
+                // Remove old projectiles
+                this.gameState.projectiles.splice(i, 1);
+                continue;
+            }
+
+            // Skip inactive projectiles
+            if (!projectile.active) {
+                this.gameState.projectiles.splice(i, 1);
+                continue;
+            }
+
+            // Update position based on velocity
+            if (projectile.velocity) {
+                // Remember where we came from so collisions can test the whole path travelled this tick
+                projectile.previousPosition = { ...projectile.position };
+                projectile.position.x += projectile.velocity.x * deltaTime;
+                projectile.position.y += projectile.velocity.y * deltaTime;
+                projectile.position.z += projectile.velocity.z * deltaTime;
+            } else {
+                // If no velocity, remove the projectile
+                console.log('Removing projectile without velocity');
+                this.gameState.projectiles.splice(i, 1);
+            }
+        }
+    }
+
+    // Check for projectile collisions with players
+    checkProjectilePlayerCollisions() {
+        const now = Date.now();
+
+        // Process each active projectile
+        for (let i = this.gameState.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.gameState.projectiles[i];
+
+            // Skip if already inactive
+            if (!projectile.active) continue;
+
+            // Check against each player (spectators have no entry in players, so they can't be hit)
+            for (const playerId in this.gameState.players) {
+                // Skip if this is the projectile owner
+                if (playerId === projectile.ownerId) continue;
+
+                const player = this.gameState.players[playerId];
+
+                // Skip dead players
+                if (player.isDead) continue;
+
+                // Friendly fire rule of the game mode - teammates may be immune (shot passes through)
+                const damageScale = this.gameMode.getDamageScale(playerId, projectile.ownerId);
+                if (damageScale <= 0) continue;
+
+                // Rewind the target to where the shooter saw it
+                const targetPosition = this.lagCompensation.getPositionAt(playerId, now - (projectile.rewindMs || 0)) || player.position;
+
+                // Test the segment travelled this tick so fast projectiles can't tunnel through a target
+                const distanceSquared = segmentPointDistanceSquared(
+                    projectile.previousPosition || projectile.position,
+                    projectile.position,
+                    targetPosition
+                );
+
+                // Hit if distance is less than 2 units
+                if (distanceSquared < 4) {
+                    if (projectile.rewindMs > 0) {
+                        console.log(`[LagComp] Projectile ${projectile.id} hit ${playerId} rewound ${Math.round(projectile.rewindMs)}ms`);
+                    }
+
+                    // Mark projectile as inactive
+                    projectile.active = false;
+
+                    // Apply damage to the hit player
+                    this.damageAuthority.applyDamage(playerId, Math.round((projectile.damage || 10) * damageScale), projectile.ownerId, {
+                        source: 'projectile',
+                        projectileId: projectile.id
+                    });
+
+                    // Break to next projectile - this one has been consumed
+                    break;
+                }
+            }
+        }
+    }
+
+    // Check for projectile collisions with enemies (players' shots only - enemies don't shoot)
+    checkProjectileEnemyCollisions() {
+        const now = Date.now();
+        const hitRadiusSquared = ENEMY_HIT_RADIUS * ENEMY_HIT_RADIUS;
+
+        for (const projectile of this.gameState.projectiles) {
+            if (!projectile.active) continue;
+
+            for (const enemy of this.gameState.enemies) {
+                if (enemy.isDead) continue;
+
+                // Rewind the enemy to where the shooter saw it, like player targets
+                const position = this.lagCompensation.getPositionAt(enemy.id, now - (projectile.rewindMs || 0)) || enemy.position;
+                const center = { x: position.x, y: position.y + ENEMY_CENTER_HEIGHT, z: position.z };
+
+                const distanceSquared = segmentPointDistanceSquared(
+                    projectile.previousPosition || projectile.position,
+                    projectile.position,
+                    center
+                );
+
+                if (distanceSquared < hitRadiusSquared) {
+                    projectile.active = false;
+                    if (this.enemyAI.applyDamage(enemy.id, projectile.damage || 10, projectile.ownerId)) {
+                        this.playerStats.recordEnemyHit(projectile.ownerId);
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    // Let the enemy AI think, then remember where enemies are so shots at them can be rewound too
+    updateEnemies(deltaTime) {
+        if (!this.gameMode.allowsEnemies()) return; // Competitive modes are players only
+
+        const now = Date.now();
+        this.enemyAI.update(deltaTime, now);
+
+        for (const enemy of this.gameState.enemies) {
+            if (!enemy.isDead) this.lagCompensation.record(enemy.id, now, enemy.position);
+        }
+    }
+
+    // --- New Function to Send Server Pings ---
+    sendServerPings() {
+        const pingMessage = JSON.stringify({ type: 'SERVER_PING' });
+        let pingCount = 0;
+        try {
+            for (const playerId in this.gameState.connections) {
+                const ws = this.gameState.connections[playerId];
+                if (ws && ws.readyState === 1) { // WebSocket.OPEN
+                    try {
+                        ws.send(pingMessage);
+                        pingCount++;
+                    } catch (pingErr) {
+                        console.error(`Error sending server ping to player ${playerId}:`, pingErr);
+                        // Close potentially broken connection
+                        try { ws.close(1011, "Server ping failed"); } catch (closeErr) { }
+                        // Clean up immediately
+                        this.removePlayer(playerId);
+                    }
+                }
+            }
+            if (pingCount > 0) {
+                console.log(`[ServerPing] Room ${this.id}: sent ping to ${pingCount} clients.`);
+            }
+        } catch (err) {
+            console.error('[!!!] Critical Error in sendServerPings loop:', err);
+        }
+    }
+}
+
+// --- Helper function for simple deep comparison --- 
+function deepCompare(obj1, obj2) {
+    // Basic comparison for this use case (position, rotation, primitive values)
+    // Not a fully robust deep comparison, but sufficient here.
+    return JSON.stringify(obj1) === JSON.stringify(obj2);
+}
+
+// --- Helper: velocity at snapshot precision, so a body settling on the ground doesn't send a delta every tick ---
+function roundVelocity(velocity) {
+    const round = value => Math.round(value * VELOCITY_PRECISION) / VELOCITY_PRECISION || 0; // || 0 turns -0 into 0
+    return { x: round(velocity.x), y: round(velocity.y), z: round(velocity.z) };
+}
+
+// --- Helper: squared distance between two points ---
+function pointDistanceSquared(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// --- Helper: squared distance from a point to the segment a-b ---
+function segmentPointDistanceSquared(a, b, point) {
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const abz = b.z - a.z;
+    const lengthSquared = abx * abx + aby * aby + abz * abz;
+
+    let t = 0;
+    if (lengthSquared > 0) {
+        t = ((point.x - a.x) * abx + (point.y - a.y) * aby + (point.z - a.z) * abz) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+    }
+
+    const dx = a.x + abx * t - point.x;
+    const dy = a.y + aby * t - point.y;
+    const dz = a.z + abz * t - point.z;
+    return dx * dx + dy * dy + dz * dz;
+}
@@ -0,0 +1,188 @@
+/**
+ * RoomManager.js
+ *
+ * Creates rooms on first use, moves connections between them and closes rooms that have
+ * stayed empty for EMPTY_ROOM_TIMEOUT_MS. A connection is in at most one room at a time
+ * (ws.data.room), as a player or - if ws.data.spectator is set - as a spectator.
+ * Also hands out resume tokens: a client whose socket drops can reconnect with its token
+ * (/ws?resume=<token>) within the room's grace period and get its player back.
+ */
+
+import { Room } from './Room.js';
+
+export const DEFAULT_ROOM_ID = 'lobby';
+export const MAX_ROOMS = 32; // Each room runs its own physics world and tick loop
+export const EMPTY_ROOM_TIMEOUT_MS = 30000; // Long enough to survive a page reload
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Validate a client-supplied room ID
+ * @param {*} roomId - Value from the URL or a JOIN_ROOM message
+ * @returns {String|null} The room ID, or null if it isn't acceptable
+ */
+export function sanitizeRoomId(roomId) {
+    return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId) ? roomId : null;
+}
+
+export class RoomManager {
+    constructor() {
+        this.rooms = new Map(); // Room ID -> Room
+        this.pendingRooms = new Map(); // Room ID -> Promise<Room> while its physics world is being built
+        this.emptyTimers = new Map(); // Room ID -> timeout that closes the room
+        this.sessions = new Map(); // Resume token -> { playerId, roomId }
+        this.tokensByPlayer = new Map(); // Player ID -> current resume token
+    }
+
+    /**
+     * Whether a connection could be put in a room right now
+     * @param {String} roomId - Room ID
+     * @returns {Boolean}
+     */
+    canJoin(roomId) {
+        return this.rooms.has(roomId) || this.pendingRooms.has(roomId) ||
+            this.rooms.size + this.pendingRooms.size < MAX_ROOMS;
+    }
+
+    /**
+     * Get a room, creating it if it doesn't exist yet
+     * @param {String} roomId - Room ID
+     * @param {String} modeId - Game mode for the room if it has to be created (an existing room keeps its own)
+     * @returns {Promise<Room>}
+     */
+    async getRoom(roomId, modeId) {
+        if (this.rooms.has(roomId)) return this.rooms.get(roomId);
+        if (this.pendingRooms.has(roomId)) return this.pendingRooms.get(roomId);
+
+        if (!this.canJoin(roomId)) {
+            throw new Error(`Room limit (${MAX_ROOMS}) reached`);
+        }
+
+        const room = new Room(roomId, {
+            onEmpty: (emptyRoom) => this.scheduleCleanup(emptyRoom),
+            onPlayerRemoved: (playerId) => this.revokeResumeToken(playerId)
+        }, modeId);
+        const pending = room.init().then(() => {
+            this.pendingRooms.delete(roomId);
+            this.rooms.set(roomId, room);
+            return room;
+        }, (error) => {
+            this.pendingRooms.delete(roomId);
+            throw error;
+        });
+        this.pendingRooms.set(roomId, pending);
+        return pending;
+    }
+
+    /**
+     * Put a connection in a room, leaving its current room first
+     * @param {Object} ws - Bun WebSocket (ws.data.playerId must be set)
+     * @param {String} roomId - Room ID
+     * @param {String} modeId - Game mode, only used if the room has to be created
+     * @returns {Promise<Room|null>} The room, or null if the socket closed while the room was being created
+     */
+    async join(ws, roomId, modeId) {
+        const room = await this.getRoom(roomId, modeId);
+
+        if (ws.readyState !== 1) {
+            // Closed while we were waiting - don't leave a freshly created room open forever
+            if (room.isEmpty()) this.scheduleCleanup(room);
+            return null;
+        }
+
+        this.leave(ws);
+        this.cancelCleanup(roomId);
+        if (ws.data.spectator) {
+            room.addSpectator(ws);
+        } else {
+            room.addConnection(ws);
+        }
+        return room;
+    }
+
+    /**
+     * Reattach a new connection to the player a resume token belongs to
+     * @param {Object} ws - Bun WebSocket (ws.data.playerId is set to the resumed player)
+     * @param {String} token - Resume token from PLAYER_CONNECTED
+     * @returns {Room|null} The player's room, or null if the token is unknown or the player is gone
+     */
+    resume(ws, token) {
+        const session = typeof token === 'string' ? this.sessions.get(token) : undefined;
+        const room = session && this.rooms.get(session.roomId);
+        if (!room || !room.canResume(session.playerId)) return null;
+
+        ws.data.playerId = session.playerId;
+        this.cancelCleanup(room.id);
+        room.resumeConnection(ws);
+        return room;
+    }
+
+    /**
+     * Take a connection out of whatever room it is in, removing its player straight away
+     * @param {Object} ws - Bun WebSocket
+     */
+    leave(ws) {
+        ws.data?.room?.removeConnection(ws);
+    }
+
+    /**
+     * A connection closed - its room holds the player for the resume grace period
+     * @param {Object} ws - Bun WebSocket
+     */
+    disconnect(ws) {
+        ws.data?.room?.disconnectConnection(ws);
+    }
+
+    /**
+     * Issue a fresh resume token for a player (any previous one stops working)
+     * @param {String} playerId - Player ID
+     * @param {String} roomId - Room the player is in
+     * @returns {String} The token
+     */
+    issueResumeToken(playerId, roomId) {
+        this.revokeResumeToken(playerId);
+
+        const token = crypto.randomUUID();
+        this.sessions.set(token, { playerId, roomId });
+        this.tokensByPlayer.set(playerId, token);
+        return token;
+    }
+
+    /**
+     * Forget a player's resume token (they left for good)
+     * @param {String} playerId - Player ID
+     */
+    revokeResumeToken(playerId) {
+        const token = this.tokensByPlayer.get(playerId);
+        if (token) {
+            this.sessions.delete(token);
+            this.tokensByPlayer.delete(playerId);
+        }
+    }
+
+    /**
+     * Close a room once it has been empty for EMPTY_ROOM_TIMEOUT_MS
+     * @param {Room} room - Room that just became empty
+     */
+    scheduleCleanup(room) {
+        this.cancelCleanup(room.id);
+        this.emptyTimers.set(room.id, setTimeout(() => {
+            this.emptyTimers.delete(room.id);
+            if (!room.isEmpty() || this.rooms.get(room.id) !== room) return;
+
+            this.rooms.delete(room.id);
+            room.destroy();
+        }, EMPTY_ROOM_TIMEOUT_MS));
+    }
+
+    /**
+     * Keep a room open (someone joined)
+     * @param {String} roomId - Room ID
+     */
+    cancelCleanup(roomId) {
+        if (this.emptyTimers.has(roomId)) {
+            clearTimeout(this.emptyTimers.get(roomId));
+            this.emptyTimers.delete(roomId);
+        }
+    }
+}
@@ -0,0 +1,420 @@
+/**
+ * ServerPhysics.js
+ *
+ * Headless Ammo.js world used by server.js to simulate player movement authoritatively.
+ * Clients send their inputs; the server applies them to its own rigid bodies and
+ * broadcasts the resulting positions, so client-reported positions are never trusted.
+ */
+import { createRequire } from 'module';
+import { computeHorizontalVelocity, JUMP_IMPULSE, MOVE_SPEED } from '../src/physics/MovementModel.js';
+
+const require = createRequire(import.meta.url);
+
+// Must match the client (PhysicsWorld, Player.createPhysics, Ground.create, Game.addInvisibleWalls)
+const GRAVITY = -20;
+const FIXED_TIME_STEP = 1 / 60;
+const PLAYER_CAPSULE_RADIUS = 0.5;
+const PLAYER_CAPSULE_HEIGHT = 1;
+const PLAYER_MASS = 1;
+const PLAYER_BODY_Y_OFFSET = 1.0; // Physics body sits 1.0 above the reported (visual) position
+const GROUND_RAY_LENGTH = 1.2; // Capsule half-height (1.0) plus a small tolerance
+const MAP_SIZE = 100;
+const WALL_HEIGHT = 20;
+const WALL_THICKNESS = 2;
+const MAX_QUEUED_INPUTS = 60; // ~1 second of inputs at 60fps
+
+// The Ammo.js module is loaded once per process and shared by every room's world
+let ammoModulePromise = null;
+export function loadAmmo() {
+    if (!ammoModulePromise) {
+        const AmmoFactory = require('../public/ammo.wasm.js');
+        ammoModulePromise = AmmoFactory();
+    }
+    return ammoModulePromise;
+}
+
+export class ServerPhysics {
+    constructor() {
+        this.Ammo = null;
+        this.world = null;
+        this.bodies = {}; // Map of player (or enemy) IDs to { body, shape, motionState, inputQueue, grounded, lastProcessedInput, moveSpeed }
+        this.staticBodies = []; // { body, shape, motionState } - Ammo objects live on the WASM heap until destroyed
+        this.worldParts = [];
+        this.tmpTransform = null;
+        this.ready = false;
+    }
+
+    /**
+     * Load Ammo.js from public/ (first call only) and build the static world
+     * @returns {Promise} - Resolves when the world is ready
+     */
+    async init() {
+        const Ammo = await loadAmmo();
+        this.Ammo = Ammo;
+
+        const collisionConfiguration = new Ammo.btDefaultCollisionConfiguration();
+        const dispatcher = new Ammo.btCollisionDispatcher(collisionConfiguration);
+        const broadphase = new Ammo.btDbvtBroadphase();
+        const solver = new Ammo.btSequentialImpulseConstraintSolver();
+        this.worldParts = [solver, broadphase, dispatcher, collisionConfiguration]; // Freed in destroy()
+
+        this.world = new Ammo.btDiscreteDynamicsWorld(dispatcher, broadphase, solver, collisionConfiguration);
+        const gravity = new Ammo.btVector3(0, GRAVITY, 0);
+        this.world.setGravity(gravity);
+        Ammo.destroy(gravity);
+        this.tmpTransform = new Ammo.btTransform();
+
+        this.createStaticWorld();
+        this.ready = true;
+        console.log('[ServerPhysics] Ammo.js world initialized');
+    }
+
+    /**
+     * Create the ground and boundary walls (mirrors Ground.create and Game.addInvisibleWalls)
+     */
+    createStaticWorld() {
+        // Ground: 100x1x100 box with its top face at y=0
+        this.createStaticBox({ x: 0, y: -0.5, z: 0 }, { x: MAP_SIZE / 2, y: 0.5, z: MAP_SIZE / 2 });
+
+        const walls = [
+            // North wall
+            { pos: { x: 0, y: WALL_HEIGHT / 2, z: -MAP_SIZE / 2 }, size: { x: MAP_SIZE, y: WALL_HEIGHT, z: WALL_THICKNESS } },
+            // South wall
+            { pos: { x: 0, y: WALL_HEIGHT / 2, z: MAP_SIZE / 2 }, size: { x: MAP_SIZE, y: WALL_HEIGHT, z: WALL_THICKNESS } },
+            // East wall
+            { pos: { x: MAP_SIZE / 2, y: WALL_HEIGHT / 2, z: 0 }, size: { x: WALL_THICKNESS, y: WALL_HEIGHT, z: MAP_SIZE } },
+            // West wall
+            { pos: { x: -MAP_SIZE / 2, y: WALL_HEIGHT / 2, z: 0 }, size: { x: WALL_THICKNESS, y: WALL_HEIGHT, z: MAP_SIZE } }
+        ];
+
+        walls.forEach(wall => {
+            this.createStaticBox(wall.pos, { x: wall.size.x / 2, y: wall.size.y / 2, z: wall.size.z / 2 });
+        });
+    }
+
+    /**
+     * Create a static box collider
+     * @param {Object} position - Center of the box
+     * @param {Object} halfExtents - Half extents of the box
+     */
+    createStaticBox(position, halfExtents) {
+        const Ammo = this.Ammo;
+        const extents = new Ammo.btVector3(halfExtents.x, halfExtents.y, halfExtents.z);
+        const shape = new Ammo.btBoxShape(extents);
+        const motionState = this.createMotionState(position);
+
+        const inertia = new Ammo.btVector3(0, 0, 0);
+        const rbInfo = new Ammo.btRigidBodyConstructionInfo(0, motionState, shape, inertia);
+        const body = new Ammo.btRigidBody(rbInfo);
+        body.setFriction(0.5);
+        this.world.addRigidBody(body);
+        Ammo.destroy(rbInfo);
+        Ammo.destroy(inertia);
+        Ammo.destroy(extents);
+
+        this.staticBodies.push({ body, shape, motionState });
+        return body;
+    }
+
+    /**
+     * Motion state starting at a position (the caller owns it and destroys it with its body)
+     * @param {Object} position - World position of the body's center
+     * @returns {Object} btDefaultMotionState
+     */
+    createMotionState(position) {
+        const Ammo = this.Ammo;
+        const origin = new Ammo.btVector3(position.x, position.y, position.z);
+        const transform = new Ammo.btTransform();
+        transform.setIdentity();
+        transform.setOrigin(origin);
+
+        const motionState = new Ammo.btDefaultMotionState(transform); // Keeps its own copy of the transform
+        Ammo.destroy(transform);
+        Ammo.destroy(origin);
+        return motionState;
+    }
+
+    /**
+     * Create a rigid body for a player (mirrors Player.createPhysics). Enemies use the same body.
+     * @param {String} playerId - Player ID
+     * @param {Object} position - Reported (visual) position of the player
+     * @param {Number} moveSpeed - Top speed its inputs move it at
+     */
+    addPlayer(playerId, position, moveSpeed = MOVE_SPEED) {
+        if (!this.ready) return;
+        if (this.bodies[playerId]) this.removePlayer(playerId);
+
+        const Ammo = this.Ammo;
+        const shape = new Ammo.btCapsuleShape(PLAYER_CAPSULE_RADIUS, PLAYER_CAPSULE_HEIGHT);
+        const motionState = this.createMotionState({ x: position.x, y: position.y + PLAYER_BODY_Y_OFFSET, z: position.z });
+
+        const localInertia = new Ammo.btVector3(0, 0, 0);
+        shape.calculateLocalInertia(PLAYER_MASS, localInertia);
+
+        const rbInfo = new Ammo.btRigidBodyConstructionInfo(PLAYER_MASS, motionState, shape, localInertia);
+        const body = new Ammo.btRigidBody(rbInfo);
+        Ammo.destroy(rbInfo);
+        Ammo.destroy(localInertia);
+
+        body.setFriction(0.5);
+        body.setRestitution(0.2);
+        const noRotation = new Ammo.btVector3(0, 0, 0);
+        body.setAngularFactor(noRotation); // Lock all rotation
+        Ammo.destroy(noRotation);
+        body.setDamping(0.1, 0.1);
+
+        const DISABLE_DEACTIVATION = 4;
+        body.setActivationState(DISABLE_DEACTIVATION);
+
+        this.world.addRigidBody(body);
+
+        this.bodies[playerId] = {
+            body,
+            shape,
+            motionState,
+            inputQueue: [],
+            grounded: false,
+            lastProcessedInput: 0,
+            moveSpeed
+        };
+    }
+
+    /**
+     * Remove a player's rigid body from the world and free it
+     * @param {String} playerId - Player ID
+     */
+    removePlayer(playerId) {
+        const entry = this.bodies[playerId];
+        if (!entry) return;
+
+        this.destroyBody(entry);
+        delete this.bodies[playerId];
+    }
+
+    /**
+     * Take a body out of the world and free it with its motion state and shape (a btRigidBody owns neither)
+     * @param {Object} parts - { body, shape, motionState }
+     */
+    destroyBody({ body, shape, motionState }) {
+        this.world.removeRigidBody(body);
+        this.Ammo.destroy(body);
+        this.Ammo.destroy(motionState);
+        this.Ammo.destroy(shape);
+    }
+
+    /**
+     * Free the whole world (the owning room is being closed)
+     */
+    destroy() {
+        if (!this.ready) return;
+
+        for (const playerId of Object.keys(this.bodies)) {
+            this.removePlayer(playerId);
+        }
+        for (const parts of this.staticBodies) {
+            this.destroyBody(parts);
+        }
+        this.staticBodies = [];
+
+        this.Ammo.destroy(this.world);
+        for (const part of this.worldParts) {
+            this.Ammo.destroy(part);
+        }
+        this.Ammo.destroy(this.tmpTransform);
+
+        this.world = null;
+        this.worldParts = [];
+        this.ready = false;
+    }
+
+    /**
+     * Queue client inputs for the next simulation step
+     * @param {String} playerId - Player ID
+     * @param {Array} inputs - Inputs as sent by PredictionSystem ({ sequence, movement, yaw, jump })
+     */
+    queueInputs(playerId, inputs) {
+        const entry = this.bodies[playerId];
+        if (!entry || !Array.isArray(inputs)) return;
+
+        for (const input of inputs) {
+            // Drop stale or replayed inputs
+            if (typeof input.sequence !== 'number' || input.sequence <= entry.lastProcessedInput) continue;
+            const lastQueued = entry.inputQueue[entry.inputQueue.length - 1];
+            if (lastQueued && input.sequence <= lastQueued.sequence) continue;
+
+            entry.inputQueue.push(input);
+        }
+
+        // Never let a client build up more than a second of backlog
+        if (entry.inputQueue.length > MAX_QUEUED_INPUTS) {
+            entry.inputQueue.splice(0, entry.inputQueue.length - MAX_QUEUED_INPUTS);
+        }
+    }
+
+    /**
+     * Apply all queued inputs for every player and step the world. The step is split into fixed
+     * slices (as the client predicts them) and each body's inputs are spread over the slices, so every
+     * input moves the body for its share of the step - including a jump that isn't the last input.
+     * @param {Number} deltaTime - Time to simulate in seconds
+     * @param {Function} canMove - Optional predicate (playerId) => Boolean, e.g. to freeze dead players
+     * @returns {Object} Map of player IDs to { jumped } for inputs applied this step
+     */
+    step(deltaTime, canMove = () => true) {
+        if (!this.ready) return {};
+
+        const Ammo = this.Ammo;
+        const results = {};
+        const pending = {}; // Map of player IDs to the inputs they'll apply over this step
+
+        for (const playerId in this.bodies) {
+            const entry = this.bodies[playerId];
+            const inputs = entry.inputQueue;
+            entry.inputQueue = [];
+            results[playerId] = { jumped: false };
+
+            if (!canMove(playerId)) {
+                // Discard inputs but still acknowledge them so prediction doesn't replay forever
+                if (inputs.length > 0) entry.lastProcessedInput = inputs[inputs.length - 1].sequence;
+                const velocity = entry.body.getLinearVelocity();
+                const stopped = new Ammo.btVector3(0, velocity.y(), 0);
+                entry.body.setLinearVelocity(stopped);
+                Ammo.destroy(stopped);
+                continue;
+            }
+
+            pending[playerId] = inputs;
+        }
+
+        const slices = Math.max(1, Math.round(deltaTime / FIXED_TIME_STEP));
+        const sliceTime = deltaTime / slices;
+        for (let slice = 0; slice < slices; slice++) {
+            for (const playerId in pending) {
+                const inputs = pending[playerId];
+                const from = Math.ceil(slice * inputs.length / slices);
+                const to = Math.ceil((slice + 1) * inputs.length / slices);
+                for (let i = from; i < to; i++) {
+                    this.applyInput(this.bodies[playerId], inputs[i], results[playerId]);
+                }
+            }
+
+            // Exactly one fixed step per slice, so each slice's velocities are the ones simulated
+            this.world.stepSimulation(sliceTime, 1, sliceTime);
+
+            for (const playerId in this.bodies) {
+                this.bodies[playerId].grounded = this.checkGrounded(this.bodies[playerId].body);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Apply one client input to a body: set its horizontal velocity and jump if it asked to
+     * @param {Object} entry - Entry in this.bodies
+     * @param {Object} input - { sequence, movement, yaw, jump }
+     * @param {Object} result - This step's { jumped } for the body (updated)
+     */
+    applyInput(entry, input, result) {
+        const Ammo = this.Ammo;
+        const velocity = entry.body.getLinearVelocity();
+        const horizontal = computeHorizontalVelocity(
+            input.movement,
+            typeof input.yaw === 'number' ? input.yaw : 0,
+            { x: velocity.x(), z: velocity.z() },
+            entry.moveSpeed
+        );
+
+        const newVelocity = new Ammo.btVector3(horizontal.x, velocity.y(), horizontal.z);
+        entry.body.setLinearVelocity(newVelocity);
+        Ammo.destroy(newVelocity);
+
+        if (input.jump && entry.grounded && !result.jumped) {
+            const impulse = new Ammo.btVector3(0, JUMP_IMPULSE, 0);
+            entry.body.applyCentralImpulse(impulse);
+            Ammo.destroy(impulse);
+            entry.grounded = false;
+            result.jumped = true;
+        }
+
+        entry.lastProcessedInput = input.sequence;
+    }
+
+    /**
+     * Ray test straight down from the capsule center to see if the player is standing on something
+     * @param {Object} body - Player rigid body
+     * @returns {Boolean}
+     */
+    checkGrounded(body) {
+        const Ammo = this.Ammo;
+        body.getMotionState().getWorldTransform(this.tmpTransform);
+        const origin = this.tmpTransform.getOrigin();
+
+        const rayStart = new Ammo.btVector3(origin.x(), origin.y(), origin.z());
+        const rayEnd = new Ammo.btVector3(origin.x(), origin.y() - GROUND_RAY_LENGTH, origin.z());
+        const rayCallback = new Ammo.ClosestRayResultCallback(rayStart, rayEnd);
+
+        this.world.rayTest(rayStart, rayEnd, rayCallback);
+        const grounded = rayCallback.hasHit() && body.getLinearVelocity().y() <= 0.5;
+
+        Ammo.destroy(rayStart);
+        Ammo.destroy(rayEnd);
+        Ammo.destroy(rayCallback);
+        return grounded;
+    }
+
+    /**
+     * Read the simulated state of a player
+     * @param {String} playerId - Player ID
+     * @returns {Object|null} { position, velocity, grounded, lastProcessedInput }
+     */
+    getPlayerState(playerId) {
+        const entry = this.bodies[playerId];
+        if (!entry) return null;
+
+        entry.body.getMotionState().getWorldTransform(this.tmpTransform);
+        const origin = this.tmpTransform.getOrigin();
+        const velocity = entry.body.getLinearVelocity();
+
+        return {
+            position: {
+                x: origin.x(),
+                y: origin.y() - PLAYER_BODY_Y_OFFSET,
+                z: origin.z()
+            },
+            velocity: {
+                x: velocity.x(),
+                y: velocity.y(),
+                z: velocity.z()
+            },
+            grounded: entry.grounded,
+            lastProcessedInput: entry.lastProcessedInput
+        };
+    }
+
+    /**
+     * Move a player's body directly (spawns and respawns), clearing its velocity and queued inputs
+     * @param {String} playerId - Player ID
+     * @param {Object} position - Reported (visual) position to move to
+     */
+    teleportPlayer(playerId, position) {
+        const entry = this.bodies[playerId];
+        if (!entry) return;
+
+        const Ammo = this.Ammo;
+        const origin = new Ammo.btVector3(position.x, position.y + PLAYER_BODY_Y_OFFSET, position.z);
+        const transform = new Ammo.btTransform();
+        transform.setIdentity();
+        transform.setOrigin(origin);
+        entry.body.setWorldTransform(transform);
+        entry.body.getMotionState().setWorldTransform(transform);
+        Ammo.destroy(transform);
+        Ammo.destroy(origin);
+
+        const zero = new Ammo.btVector3(0, 0, 0);
+        entry.body.setLinearVelocity(zero);
+        Ammo.destroy(zero);
+
+        entry.inputQueue = [];
+        entry.body.activate(true);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * SnapshotHistory.js
+ *
+ * The last few snapshots sent to one connection, keyed by sequence number. Each connection
+ * remembers the newest sequence it acknowledged (SNAPSHOT_ACK); its deltas are diffed against the
+ * matching entry here, so a client that missed snapshots or joined late never receives a delta
+ * against a state it doesn't have. Snapshots are per connection because each one is filtered to
+ * that client's area of interest.
+ */
+
+// ~3 seconds at 20Hz. A client whose last ack has fallen out of the window gets a full GAME_STATE.
+export const SNAPSHOT_HISTORY_SIZE = 64;
+
+export class SnapshotHistory {
+    constructor(capacity = SNAPSHOT_HISTORY_SIZE) {
+        this.capacity = capacity;
+        this.snapshots = new Map(); // Sequence -> { players, projectiles } view (insertion order = sequence order)
+        this.sentTimes = new Map(); // Sequence -> time it was sent (ms), to time the acknowledgement
+        this.latestSequence = 0;
+    }
+
+    /**
+     * Store the view that was sent under a sequence number
+     * @param {Number} sequence - Snapshot sequence (increasing)
+     * @param {Object} view - { players, projectiles } maps as sent (will be deep-copied)
+     * @param {Number} sentAt - When it was sent (ms)
+     */
+    push(sequence, view, sentAt = Date.now()) {
+        this.snapshots.set(sequence, JSON.parse(JSON.stringify(view)));
+        this.sentTimes.set(sequence, sentAt);
+        this.latestSequence = sequence;
+
+        // Evict the oldest entries
+        while (this.snapshots.size > this.capacity) {
+            const oldest = this.snapshots.keys().next().value;
+            this.snapshots.delete(oldest);
+            this.sentTimes.delete(oldest);
+        }
+    }
+
+    /**
+     * View for a sequence, if it's still in the window
+     * @param {Number} sequence - Snapshot sequence
+     * @returns {Object|undefined}
+     */
+    get(sequence) {
+        return this.snapshots.get(sequence);
+    }
+
+    /**
+     * When a snapshot was sent, if it's still in the window
+     * @param {Number} sequence - Snapshot sequence
+     * @returns {Number|undefined} Time in ms
+     */
+    getSentAt(sequence) {
+        return this.sentTimes.get(sequence);
+    }
+
+    /**
+     * The most recently sent view
+     * @returns {Object|undefined}
+     */
+    latest() {
+        return this.snapshots.get(this.latestSequence);
+    }
+
+    /**
+     * Every entity ID a client with the given baseline might know about - the baseline plus any
+     * snapshot sent since. Used to build removal lists so short-lived entries get cleaned up too.
+     * @param {Number} baseSequence - The client's acknowledged sequence
+     * @param {String} key - Which part of the view ('players', 'projectiles', 'enemies', 'flags' or 'zones')
+     * @returns {Set<String>}
+     */
+    knownIdsSince(baseSequence, key) {
+        const ids = new Set();
+        for (const [sequence, view] of this.snapshots) {
+            if (sequence < baseSequence) continue;
+            for (const id in view[key]) ids.add(id);
+        }
+        return ids;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * SpatialGrid.js
+ *
+ * Uniform grid over the ground plane (x/z) for "who is near this point" queries.
+ * Rebuilt from scratch every broadcast - with the player counts we deal with that is cheaper
+ * than tracking moves between cells.
+ */
+
+export class SpatialGrid {
+    /**
+     * @param {Number} cellSize - Width of a cell in world units. Roughly the query radius works best.
+     */
+    constructor(cellSize = 30) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "cx,cz" -> [{ id, x, z }]
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    cellKey(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    /**
+     * Add an entity at a position
+     * @param {String} id - Entity ID
+     * @param {Object} position - { x, y, z }
+     */
+    insert(id, position) {
+        const cx = Math.floor(position.x / this.cellSize);
+        const cz = Math.floor(position.z / this.cellSize);
+        const key = this.cellKey(cx, cz);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push({ id, x: position.x, z: position.z });
+    }
+
+    /**
+     * Entities within a horizontal radius of a point
+     * @param {Object} position - Query center { x, z }
+     * @param {Number} radius - Query radius
+     * @returns {Array} [{ id, distanceSquared }]
+     */
+    queryRadius(position, radius) {
+        const results = [];
+        const radiusSquared = radius * radius;
+
+        const minX = Math.floor((position.x - radius) / this.cellSize);
+        const maxX = Math.floor((position.x + radius) / this.cellSize);
+        const minZ = Math.floor((position.z - radius) / this.cellSize);
+        const maxZ = Math.floor((position.z + radius) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(this.cellKey(cx, cz));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    const dx = entry.x - position.x;
+                    const dz = entry.z - position.z;
+                    const distanceSquared = dx * dx + dz * dz;
+                    if (distanceSquared <= radiusSquared) {
+                        results.push({ id: entry.id, distanceSquared });
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+}
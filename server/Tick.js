@@ -0,0 +1,10 @@
+/**
+ * Tick.js
+ *
+ * The server's fixed simulation rate. Lives on its own so modules sized against it (rate limits,
+ * the WELCOME handshake) don't have to import Room.js and everything it pulls in.
+ */
+
+export const TICK_RATE = 20; // 20 updates per second (50ms)
+// Every tick advances the simulation by exactly this much, however late the timer fires
+export const TICK_INTERVAL_MS = 1000 / TICK_RATE;
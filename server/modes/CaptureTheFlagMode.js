@@ -0,0 +1,196 @@
+/**
+ * CaptureTheFlagMode.js
+ *
+ * Red and blue teams (assigned and balanced as in team deathmatch), each with a flag at its base.
+ * Touch the other team's flag to pick it up, carry it to your own base while your own flag is
+ * home to capture. A carrier who dies (or leaves, or changes team) drops the flag where they were;
+ * the owning team returns a dropped flag by touching it, and it goes home by itself after
+ * FLAG_RETURN_MS. The first team to CAPTURE_LIMIT captures wins, or the team ahead at the time limit.
+ *
+ * Flags are entities in gameState.flags and reach clients in snapshots, like enemies. The flag rules
+ * only run while a match is being played; otherwise both flags sit at their bases.
+ */
+
+import { TeamDeathmatchMode, TEAM_IDS } from './TeamDeathmatchMode.js';
+import { MATCH_PHASES } from './GameMode.js';
+
+// Captures needed to win (CAPTURE_LIMIT env var)
+export const CAPTURE_LIMIT = Number(process.env.CAPTURE_LIMIT) || 3;
+// How long a dropped flag lies around before it returns to base (FLAG_RETURN_MS env var)
+export const FLAG_RETURN_MS = Number(process.env.FLAG_RETURN_MS) || 30000;
+
+// Flag bases on the ground at opposite ends of the arena, clear of the obstacles in Ground.addObstacles
+export const FLAG_BASES = {
+    red: { x: -20, y: 0, z: 0 },
+    blue: { x: 20, y: 0, z: 0 }
+};
+
+const FLAG_TOUCH_RADIUS = 2; // Horizontal distance at which a player touches a flag or base
+const FLAG_TOUCH_HEIGHT = 3; // Vertical reach, so players on top of obstacles don't grab flags below
+const CARRIER_FEET_OFFSET = 1; // Player positions are capsule centers; dropped flags land at the feet
+
+export const FLAG_STATES = {
+    HOME: 'home',
+    CARRIED: 'carried',
+    DROPPED: 'dropped'
+};
+
+export class CaptureTheFlagMode extends TeamDeathmatchMode {
+    constructor(gameState, hooks) {
+        super(gameState, hooks);
+        this.captureLimit = CAPTURE_LIMIT;
+        this.fragLimit = null; // Kills never end a capture the flag match
+
+        // One flag per team, ID = team ID
+        gameState.flags = TEAM_IDS.map(teamId => ({ id: teamId, team: teamId, base: { ...FLAG_BASES[teamId] } }));
+        this.returnAllFlags();
+    }
+
+    get id() {
+        return 'ctf';
+    }
+
+    // Kills are tracked per player but only captures score for the team
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        this.recordKill(victimId, killerId);
+        this.broadcastMatchState();
+    }
+
+    update(now) {
+        super.update(now);
+        if (this.phase === MATCH_PHASES.PLAYING) {
+            this.updateFlags(now);
+        }
+    }
+
+    startMatch(now) {
+        this.returnAllFlags();
+        super.startMatch(now);
+    }
+
+    getMatchState() {
+        return {
+            ...super.getMatchState(),
+            captureLimit: this.captureLimit
+        };
+    }
+
+    // --- Flag rules (one pass per tick) ---
+
+    updateFlags(now) {
+        for (const flag of this.gameState.flags) {
+            if (flag.state === FLAG_STATES.CARRIED) {
+                this.updateCarriedFlag(flag, now);
+            } else if (flag.state === FLAG_STATES.DROPPED && now - flag.droppedAt >= FLAG_RETURN_MS) {
+                this.returnFlag(flag, null);
+            }
+
+            if (flag.state !== FLAG_STATES.CARRIED) {
+                const toucherId = this.findToucher(flag);
+                if (toucherId) this.touchFlag(flag, toucherId);
+            }
+        }
+    }
+
+    // Follow the carrier, drop if they can't carry any more (dead, disconnected or switched team), capture at their base
+    updateCarriedFlag(flag, now) {
+        const carrier = this.gameState.players[flag.carrierId];
+        const carrierTeam = this.teams[flag.carrierId];
+
+        if (!carrier || carrier.isDead || carrier.connected === false || !carrierTeam || carrierTeam === flag.team) {
+            this.dropFlag(flag, carrier?.position || flag.position, now);
+            return;
+        }
+
+        flag.position = { ...carrier.position };
+
+        const homeFlag = this.getFlag(carrierTeam);
+        if (homeFlag.state === FLAG_STATES.HOME && isTouching(carrier.position, homeFlag.base)) {
+            this.captureFlag(flag, flag.carrierId, carrierTeam);
+        }
+    }
+
+    // A player touched a flag lying at its base or on the ground
+    touchFlag(flag, playerId) {
+        const team = this.teams[playerId];
+
+        if (team !== flag.team) {
+            flag.state = FLAG_STATES.CARRIED;
+            flag.carrierId = playerId;
+            flag.droppedAt = null;
+            console.log(`[CTF] ${playerId} (${team}) took the ${flag.team} flag`);
+        } else if (flag.state === FLAG_STATES.DROPPED) {
+            this.returnFlag(flag, playerId);
+        }
+    }
+
+    dropFlag(flag, position, now) {
+        console.log(`[CTF] ${flag.carrierId} dropped the ${flag.team} flag`);
+        flag.state = FLAG_STATES.DROPPED;
+        flag.carrierId = null;
+        flag.position = { x: position.x, y: Math.max(0, position.y - CARRIER_FEET_OFFSET), z: position.z };
+        flag.droppedAt = now;
+    }
+
+    /**
+     * Put a flag back on its base
+     * @param {Object} flag - Flag entity
+     * @param {String|null} playerId - Teammate who returned it, null when it returned by itself
+     */
+    returnFlag(flag, playerId) {
+        console.log(`[CTF] The ${flag.team} flag was returned${playerId ? ` by ${playerId}` : ''}`);
+        this.placeAtBase(flag);
+    }
+
+    captureFlag(flag, playerId, team) {
+        this.teamScores[team]++;
+        console.log(`[CTF] ${playerId} captured the ${flag.team} flag for ${team} (${this.teamScores[team]}/${this.captureLimit})`);
+        this.returnFlag(flag, null);
+        this.broadcastMatchState();
+
+        if (this.teamScores[team] >= this.captureLimit) {
+            this.endMatch(team, 'capture limit');
+        }
+    }
+
+    returnAllFlags() {
+        this.gameState.flags.forEach(flag => this.placeAtBase(flag));
+    }
+
+    placeAtBase(flag) {
+        flag.state = FLAG_STATES.HOME;
+        flag.carrierId = null;
+        flag.position = { ...flag.base };
+        flag.droppedAt = null;
+    }
+
+    getFlag(team) {
+        return this.gameState.flags.find(flag => flag.team === team);
+    }
+
+    /**
+     * First living player touching a flag who can do something with it - an opponent, or a
+     * teammate if the flag is lying on the ground (defenders standing on their own base don't count)
+     * @param {Object} flag - Flag entity (not carried)
+     * @returns {String|null} Player ID
+     */
+    findToucher(flag) {
+        for (const playerId in this.gameState.players) {
+            const player = this.gameState.players[playerId];
+            const team = this.teams[playerId];
+            if (player.isDead || player.connected === false || !team) continue; // Held for a resume - not here to touch it
+            if (team === flag.team && flag.state !== FLAG_STATES.DROPPED) continue;
+            if (isTouching(player.position, flag.position)) return playerId;
+        }
+        return null;
+    }
+}
+
+function isTouching(playerPosition, position) {
+    const dx = playerPosition.x - position.x;
+    const dz = playerPosition.z - position.z;
+    return dx * dx + dz * dz <= FLAG_TOUCH_RADIUS * FLAG_TOUCH_RADIUS &&
+        Math.abs(playerPosition.y - position.y) <= FLAG_TOUCH_HEIGHT;
+}
@@ -0,0 +1,204 @@
+/**
+ * ControlZones.js
+ *
+ * Capture zones for the king of the hill modes. Every tick each zone works out which sides (players
+ * in free-for-all, teams in team play) have a living player inside it:
+ *   - one side that doesn't own it: its capture progress fills over ZONE_CAPTURE_MS (after draining
+ *     anyone else's partial progress), and at 100% the zone changes owner
+ *   - more than one side: contested, nothing moves
+ *   - nobody: partial capture progress drains away
+ * The owner accrues control time whenever no other side is inside the zone; the modes turn the
+ * control totals kept here into scores.
+ *
+ * Zones are entities in gameState.zones and reach clients in snapshots, like flags. A zone's center
+ * and size describe the box players have to be in, so clients draw exactly what counts.
+ */
+
+// How long a side has to hold a zone alone to take it (ZONE_CAPTURE_MS env var)
+export const ZONE_CAPTURE_MS = Number(process.env.ZONE_CAPTURE_MS) || 5000;
+
+// Zones are marked areas of the arena floor (there are no obstacles in the server's physics world to
+// stand on) - center and size are the footprint's
+export const ZONE_DEFINITIONS = [
+    { id: 'hill', center: { x: 0, z: -15 }, size: { x: 5, z: 5 } }
+];
+
+const ZONE_MARGIN = 1; // Horizontal slack around the footprint, so standing at the edge counts
+const ZONE_HEIGHT = 4; // How far above the floor the zone reaches, so jumping inside it still counts
+// How far below the floor it starts. Positions are reported PLAYER_BODY_Y_OFFSET below the capsule's
+// center, which rests 1.0 up, so grounded players sit at y ~ 0 - at most a hair under
+const ZONE_FLOOR_SLACK = 0.1;
+const MAX_STEP_MS = 250; // Cap on the time one update can account for (e.g. after a stall)
+
+export class ControlZones {
+    /**
+     * @param {Object} gameState - Room game state (players are read, zones are owned)
+     * @param {Function} getSide - (playerId) => side ID the player captures for, or null to ignore them
+     */
+    constructor(gameState, getSide) {
+        this.gameState = gameState;
+        this.getSide = getSide;
+        this.lastUpdateTime = null;
+        this.control = {}; // Map of side IDs to control time (ms) this match
+
+        // From just under the floor up to ZONE_HEIGHT, widened by ZONE_MARGIN
+        gameState.zones = ZONE_DEFINITIONS.map(({ id, center, size }) => {
+            const height = ZONE_FLOOR_SLACK + ZONE_HEIGHT;
+            return {
+                id,
+                center: { x: center.x, y: height / 2 - ZONE_FLOOR_SLACK, z: center.z },
+                size: { x: size.x + ZONE_MARGIN * 2, y: height, z: size.z + ZONE_MARGIN * 2 }
+            };
+        });
+        this.reset();
+    }
+
+    /**
+     * Make every zone neutral again and clear the control totals (new match)
+     */
+    reset() {
+        this.control = {};
+        for (const zone of this.gameState.zones) {
+            zone.ownerId = null;
+            zone.capturingId = null; // Side whose capture progress is showing
+            zone.progress = 0; // 0 to 1
+            zone.contested = false;
+        }
+        this.lastUpdateTime = null;
+    }
+
+    /**
+     * Advance captures and control totals by the time since the last update
+     * @param {Number} now - Current server time (ms)
+     * @returns {Boolean} True if an owner changed or a side's control passed a whole second
+     */
+    update(now) {
+        const stepMs = this.lastUpdateTime === null ? 0 : Math.min(now - this.lastUpdateTime, MAX_STEP_MS);
+        this.lastUpdateTime = now;
+
+        const step = stepMs / ZONE_CAPTURE_MS;
+        let changed = false;
+
+        for (const zone of this.gameState.zones) {
+            const previousOwnerId = zone.ownerId;
+            const sides = this.getOccupyingSides(zone);
+            zone.contested = sides.size > 1;
+
+            if (sides.size === 1) {
+                const [side] = sides;
+                if (side !== zone.ownerId) {
+                    this.advanceCapture(zone, side, step);
+                } else {
+                    // The owner standing on its own zone wipes out any half-finished capture
+                    zone.capturingId = null;
+                    zone.progress = 0;
+                }
+            } else if (sides.size === 0 && zone.capturingId) {
+                zone.progress = Math.max(0, zone.progress - step);
+                if (zone.progress === 0) zone.capturingId = null;
+            }
+
+            if (zone.ownerId !== previousOwnerId) changed = true;
+
+            if (zone.ownerId && (sides.size === 0 || (sides.size === 1 && sides.has(zone.ownerId)))) {
+                const before = this.control[zone.ownerId] || 0;
+                this.control[zone.ownerId] = before + stepMs;
+                if (Math.floor(before / 1000) !== Math.floor(this.control[zone.ownerId] / 1000)) changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Control time a side has built up this match
+     * @param {String} side - Side ID
+     * @returns {Number} Milliseconds
+     */
+    getControl(side) {
+        return this.control[side] || 0;
+    }
+
+    /**
+     * Side with the most control time, if anyone has any
+     * @returns {String|null}
+     */
+    getLeader() {
+        let leader = null;
+        for (const side in this.control) {
+            if (this.control[side] > 0 && (!leader || this.control[side] > this.control[leader])) {
+                leader = side;
+            }
+        }
+        return leader;
+    }
+
+    /**
+     * Control totals in whole seconds, for MATCH_STATE
+     * @returns {Object} Map of side IDs to seconds
+     */
+    getControlSeconds() {
+        const seconds = {};
+        for (const side in this.control) {
+            seconds[side] = Math.floor(this.control[side] / 1000);
+        }
+        return seconds;
+    }
+
+    advanceCapture(zone, side, step) {
+        // Someone else's partial progress has to drain before this side's starts to fill
+        if (zone.capturingId && zone.capturingId !== side) {
+            zone.progress -= step;
+            if (zone.progress > 0) return;
+            zone.progress = 0;
+        }
+
+        zone.capturingId = side;
+        zone.progress = Math.min(1, zone.progress + step);
+
+        if (zone.progress >= 1) {
+            console.log(`[Zone] ${side} captured ${zone.id}${zone.ownerId ? ` from ${zone.ownerId}` : ''}`);
+            zone.ownerId = side;
+            zone.capturingId = null;
+            zone.progress = 0;
+        }
+    }
+
+    /**
+     * Sides with at least one living player inside a zone
+     * @param {Object} zone - Zone entity
+     * @returns {Set<String>}
+     */
+    getOccupyingSides(zone) {
+        const sides = new Set();
+        for (const playerId in this.gameState.players) {
+            const player = this.gameState.players[playerId];
+            if (player.isDead || !contains(zone, player.position)) continue;
+
+            const side = this.getSide(playerId);
+            if (side) sides.add(side);
+        }
+        return sides;
+    }
+
+    /**
+     * Forget a side that left the game - it can't own or be capturing anything
+     * @param {String} side - Side ID
+     */
+    removeSide(side) {
+        delete this.control[side];
+        for (const zone of this.gameState.zones) {
+            if (zone.ownerId === side) zone.ownerId = null;
+            if (zone.capturingId === side) {
+                zone.capturingId = null;
+                zone.progress = 0;
+            }
+        }
+    }
+}
+
+function contains(zone, position) {
+    return Math.abs(position.x - zone.center.x) <= zone.size.x / 2 &&
+        Math.abs(position.y - zone.center.y) <= zone.size.y / 2 &&
+        Math.abs(position.z - zone.center.z) <= zone.size.z / 2;
+}
@@ -0,0 +1,94 @@
+/**
+ * DeathmatchMode.js
+ *
+ * Free-for-all: every kill scores a frag. The first player to FRAG_LIMIT wins; when time runs out
+ * the leader wins (most kills, then fewest deaths). Kills during warmup (waiting) don't count.
+ */
+
+import { GameMode, MATCH_PHASES } from './GameMode.js';
+
+// Kills needed to win (FRAG_LIMIT env var)
+export const FRAG_LIMIT = Number(process.env.FRAG_LIMIT) || 20;
+
+export class DeathmatchMode extends GameMode {
+    constructor(gameState, hooks) {
+        super(gameState, hooks);
+        this.fragLimit = FRAG_LIMIT;
+        this.scores = {}; // Map of player IDs to { kills, deaths }
+
+        for (const playerId in gameState.players) {
+            this.scores[playerId] = { kills: 0, deaths: 0 };
+        }
+    }
+
+    get id() {
+        return 'deathmatch';
+    }
+
+    onPlayerJoined(playerId) {
+        this.scores[playerId] = { kills: 0, deaths: 0 };
+        this.broadcastMatchState();
+    }
+
+    onPlayerLeft(playerId) {
+        delete this.scores[playerId];
+        this.broadcastMatchState();
+    }
+
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        const scorerId = this.recordKill(victimId, killerId);
+        this.broadcastMatchState();
+
+        if (scorerId && this.scores[scorerId].kills >= this.fragLimit) {
+            this.endMatch(scorerId, 'frag limit');
+        }
+    }
+
+    /**
+     * Count a death, and a kill unless it was a suicide or the world
+     * @param {String} victimId - Player who died
+     * @param {String|null} killerId - Player credited with the kill
+     * @returns {String|null} The killer if the kill counts
+     */
+    recordKill(victimId, killerId) {
+        if (this.scores[victimId]) this.scores[victimId].deaths++;
+        if (!killerId || killerId === victimId || !this.scores[killerId]) return null;
+
+        this.scores[killerId].kills++;
+        return killerId;
+    }
+
+    resetScores() {
+        for (const playerId in this.scores) {
+            this.scores[playerId] = { kills: 0, deaths: 0 };
+        }
+    }
+
+    /**
+     * Player with the most kills (fewest deaths breaks ties); nobody leads until someone scores
+     * @returns {String|null}
+     */
+    getLeaderId() {
+        let leaderId = null;
+        let best = null;
+        for (const playerId in this.scores) {
+            const score = this.scores[playerId];
+            if (score.kills === 0) continue;
+            if (!best || score.kills > best.kills || (score.kills === best.kills && score.deaths < best.deaths)) {
+                leaderId = playerId;
+                best = score;
+            }
+        }
+        return leaderId;
+    }
+
+    getMatchState() {
+        return {
+            ...super.getMatchState(),
+            fragLimit: this.fragLimit,
+            scores: this.scores
+        };
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * GameMode.js
+ *
+ * Base class for a room's rules. It runs the match cycle every mode shares:
+ *   waiting (fewer than MIN_PLAYERS) -> playing (until the time limit or a mode's win condition)
+ *   -> intermission (winner shown, no damage) -> full reset -> playing again
+ * Subclasses keep the score, decide winners and describe themselves in MATCH_STATE messages.
+ * Room calls the on* hooks as things happen and update() every tick.
+ */
+
+export const MATCH_PHASES = {
+    WAITING: 'waiting',
+    PLAYING: 'playing',
+    INTERMISSION: 'intermission'
+};
+
+// Matches start once this many players are in the room
+export const MIN_PLAYERS = 2;
+// Match length and the pause between matches (MATCH_TIME_LIMIT_MS / INTERMISSION_MS env vars, in ms)
+export const MATCH_TIME_LIMIT_MS = Number(process.env.MATCH_TIME_LIMIT_MS) || 10 * 60 * 1000;
+export const INTERMISSION_MS = Number(process.env.INTERMISSION_MS) || 10000;
+
+export class GameMode {
+    /**
+     * @param {Object} gameState - Room game state (players are read)
+     * @param {Object} hooks - { broadcast(message) } to reach every connection,
+     *                         { resetMatch() } to restore health and positions and clear the arena,
+     *                         { resetPlayer(playerId) } to put one player back at a spawn point,
+     *                         { damagePlayer(playerId, amount, source) } to hurt a player (not another player's doing),
+     *                         { killPlayer(playerId) } to kill one outright (not counted as a death)
+     *                         and { resetStats() } to start the scoreboard over
+     */
+    constructor(gameState, hooks) {
+        this.gameState = gameState;
+        this.broadcast = hooks.broadcast;
+        this.resetMatch = hooks.resetMatch;
+        this.resetPlayer = hooks.resetPlayer;
+        this.damagePlayer = hooks.damagePlayer;
+        this.killPlayer = hooks.killPlayer;
+        this.resetStats = hooks.resetStats;
+
+        this.phase = MATCH_PHASES.WAITING;
+        this.phaseEndsAt = null; // Server time (ms) the current phase ends, null while waiting
+        this.winnerId = null; // Set for the intermission after a match with a winner
+    }
+
+    /**
+     * Mode ID, as used in ?mode= and MATCH_STATE
+     * @returns {String}
+     */
+    get id() {
+        throw new Error('GameMode subclasses must define id');
+    }
+
+    // --- Hooks called by Room ---
+
+    /**
+     * A player joined the room
+     * @param {String} playerId - Player ID
+     */
+    onPlayerJoined(playerId) {}
+
+    /**
+     * A player left the room for good (not a dropped socket still within its resume grace period)
+     * @param {String} playerId - Player ID
+     */
+    onPlayerLeft(playerId) {}
+
+    /**
+     * A player died
+     * @param {String} victimId - Player who died
+     * @param {String|null} killerId - Player credited with the kill (null for enemies and the world)
+     */
+    onPlayerKilled(victimId, killerId) {}
+
+    /**
+     * Whether damage may be applied at all right now - nobody gets hurt during the intermission
+     * @param {String} targetId - Player about to take damage
+     * @param {String|null} attackerId - Player dealing it (null for enemies and the world)
+     * @returns {Boolean}
+     */
+    canDamage(targetId, attackerId) {
+        return this.phase !== MATCH_PHASES.INTERMISSION;
+    }
+
+    /**
+     * Multiplier for damage one player's shot does to another. 0 means the shot passes straight
+     * through the target (e.g. a teammate with friendly fire off).
+     * @param {String} targetId - Player the shot reached
+     * @param {String} attackerId - Player who fired it
+     * @returns {Number} 0 to 1
+     */
+    getDamageScale(targetId, attackerId) {
+        return 1;
+    }
+
+    /**
+     * Whether two players are on opposite sides - in free-for-all everyone is everyone's opponent.
+     * Only opponents earn kills, assists and damage on the scoreboard.
+     * @param {String} playerId - One player
+     * @param {String} otherId - The other
+     * @returns {Boolean}
+     */
+    isOpponent(playerId, otherId) {
+        return true;
+    }
+
+    /**
+     * Whether a player who just died comes back after the respawn delay
+     * @param {String} playerId - Player who died
+     * @returns {Boolean}
+     */
+    canRespawn(playerId) {
+        return true;
+    }
+
+    /**
+     * Whether a match is in progress - kills only count while it is
+     * @returns {Boolean}
+     */
+    isPlaying() {
+        return this.phase === MATCH_PHASES.PLAYING;
+    }
+
+    /**
+     * Whether the room runs PvE enemies alongside the players
+     * @returns {Boolean}
+     */
+    allowsEnemies() {
+        return true;
+    }
+
+    /**
+     * Advance the match cycle
+     * @param {Number} now - Current server time (ms)
+     */
+    update(now) {
+        switch (this.phase) {
+            case MATCH_PHASES.WAITING:
+                if (this.getPlayerCount() >= MIN_PLAYERS) this.startMatch(now);
+                break;
+
+            case MATCH_PHASES.PLAYING:
+                if (now >= this.phaseEndsAt) this.endMatch(this.getLeaderId(), 'time limit');
+                break;
+
+            case MATCH_PHASES.INTERMISSION:
+                if (now >= this.phaseEndsAt) {
+                    this.resetMatch();
+                    if (this.getPlayerCount() >= MIN_PLAYERS) {
+                        this.startMatch(now);
+                    } else {
+                        this.setPhase(MATCH_PHASES.WAITING, null);
+                    }
+                }
+                break;
+        }
+    }
+
+    // --- Match cycle ---
+
+    /**
+     * Start a fresh match with everyone's score at zero
+     * @param {Number} now - Current server time (ms)
+     */
+    startMatch(now) {
+        this.resetScores();
+        this.resetStats();
+        this.winnerId = null;
+        console.log(`[Match] ${this.id} match started with ${this.getPlayerCount()} players`);
+        this.setPhase(MATCH_PHASES.PLAYING, now + MATCH_TIME_LIMIT_MS);
+    }
+
+    /**
+     * End the match and announce the winner
+     * @param {String|null} winnerId - Winning player or team, null for a draw
+     * @param {String} reason - Why the match ended, for the log
+     */
+    endMatch(winnerId, reason) {
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        this.winnerId = winnerId;
+        console.log(`[Match] ${this.id} match ended (${reason}), winner: ${winnerId || 'none'}`);
+        this.setPhase(MATCH_PHASES.INTERMISSION, Date.now() + INTERMISSION_MS);
+    }
+
+    setPhase(phase, endsAt) {
+        this.phase = phase;
+        this.phaseEndsAt = endsAt;
+        this.broadcastMatchState();
+    }
+
+    // --- Match state ---
+
+    /**
+     * Everything a client HUD needs, sent as MATCH_STATE whenever it changes
+     * @returns {Object}
+     */
+    getMatchState() {
+        return {
+            mode: this.id,
+            phase: this.phase,
+            endsAt: this.phaseEndsAt,
+            leaderId: this.getLeaderId(),
+            winnerId: this.winnerId
+        };
+    }
+
+    getMatchStateMessage() {
+        return { type: 'MATCH_STATE', data: this.getMatchState() };
+    }
+
+    broadcastMatchState() {
+        this.broadcast(this.getMatchStateMessage());
+    }
+
+    // --- For subclasses ---
+
+    /**
+     * Zero every score (a new match is starting)
+     */
+    resetScores() {}
+
+    /**
+     * Who is winning right now
+     * @returns {String|null}
+     */
+    getLeaderId() {
+        return null;
+    }
+
+    getPlayerCount() {
+        return Object.keys(this.gameState.players).length;
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * GameModes.js
+ *
+ * The game modes a room can run. A room's mode is picked when it is created - from ?mode= on the
+ * connection (or the mode in JOIN_ROOM) that creates it, otherwise GAME_MODE (env var) - and
+ * stays for the room's lifetime.
+ */
+
+import { CaptureTheFlagMode } from './CaptureTheFlagMode.js';
+import { DeathmatchMode } from './DeathmatchMode.js';
+import { KingOfTheHillMode } from './KingOfTheHillMode.js';
+import { LastBlobStandingMode } from './LastBlobStandingMode.js';
+import { TeamDeathmatchMode } from './TeamDeathmatchMode.js';
+import { TeamKingOfTheHillMode } from './TeamKingOfTheHillMode.js';
+
+export const GAME_MODES = {
+    deathmatch: DeathmatchMode,
+    tdm: TeamDeathmatchMode,
+    ctf: CaptureTheFlagMode,
+    koth: KingOfTheHillMode,
+    tkoth: TeamKingOfTheHillMode,
+    lbs: LastBlobStandingMode
+};
+
+export const DEFAULT_GAME_MODE = GAME_MODES[process.env.GAME_MODE] ? process.env.GAME_MODE : 'deathmatch';
+
+/**
+ * Validate a client-supplied mode ID
+ * @param {*} modeId - Value from the URL or a JOIN_ROOM message
+ * @returns {String|null} The mode ID, or null if there is no such mode
+ */
+export function sanitizeGameMode(modeId) {
+    return typeof modeId === 'string' && Object.hasOwn(GAME_MODES, modeId) ? modeId : null;
+}
+
+/**
+ * Create the rules object for a room
+ * @param {String} modeId - Mode ID (already validated)
+ * @param {Object} gameState - Room game state
+ * @param {Object} hooks - Room hooks, see GameMode
+ * @returns {GameMode}
+ */
+export function createGameMode(modeId, gameState, hooks) {
+    const Mode = GAME_MODES[modeId] || GAME_MODES[DEFAULT_GAME_MODE];
+    return new Mode(gameState, hooks);
+}
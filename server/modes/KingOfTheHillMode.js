@@ -0,0 +1,75 @@
+/**
+ * KingOfTheHillMode.js
+ *
+ * Free-for-all king of the hill: every player captures zones for themselves (see ControlZones).
+ * Holding a zone uncontested earns control time; the first player to CONTROL_LIMIT_MS of control
+ * wins, or whoever has the most when time runs out. Kills are counted but don't score.
+ */
+
+import { DeathmatchMode } from './DeathmatchMode.js';
+import { MATCH_PHASES } from './GameMode.js';
+import { ControlZones } from './ControlZones.js';
+
+// Control time needed to win (CONTROL_LIMIT_MS env var)
+export const CONTROL_LIMIT_MS = Number(process.env.CONTROL_LIMIT_MS) || 120000;
+
+export class KingOfTheHillMode extends DeathmatchMode {
+    constructor(gameState, hooks) {
+        super(gameState, hooks);
+        this.fragLimit = null; // Kills never end a king of the hill match
+        this.controlLimitMs = CONTROL_LIMIT_MS;
+        this.controlZones = new ControlZones(gameState, playerId => playerId);
+    }
+
+    get id() {
+        return 'koth';
+    }
+
+    onPlayerLeft(playerId) {
+        this.controlZones.removeSide(playerId);
+        super.onPlayerLeft(playerId);
+    }
+
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        this.recordKill(victimId, killerId);
+        this.broadcastMatchState();
+    }
+
+    // Enemies wandering into the zone would decide who holds it
+    allowsEnemies() {
+        return false;
+    }
+
+    update(now) {
+        super.update(now);
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        if (this.controlZones.update(now)) {
+            this.broadcastMatchState();
+        }
+
+        const leaderId = this.getLeaderId();
+        if (leaderId && this.controlZones.getControl(leaderId) >= this.controlLimitMs) {
+            this.endMatch(leaderId, 'control limit');
+        }
+    }
+
+    startMatch(now) {
+        this.controlZones.reset();
+        super.startMatch(now);
+    }
+
+    getLeaderId() {
+        return this.controlZones.getLeader();
+    }
+
+    getMatchState() {
+        return {
+            ...super.getMatchState(),
+            controlLimit: this.controlLimitMs / 1000,
+            control: this.controlZones.getControlSeconds()
+        };
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * LastBlobStandingMode.js
+ *
+ * Elimination: everyone starts the match with one life and nobody respawns until the next one.
+ * The safe zone starts out covering the whole arena and closes in stages (SAFE_ZONE_STAGES) -
+ * each stage waits, then shrinks onto a smaller circle somewhere inside the current one. Players
+ * outside the circle lose health every tick, faster in later stages. The last player alive wins;
+ * if the last few go down in the same tick it's a draw. Players who join mid-match sit it out.
+ *
+ * The zone lives in MATCH_STATE (one message per stage, see src/utils/SafeZone.js for how the
+ * circle is worked out from it), together with who is still alive.
+ */
+
+import { DeathmatchMode } from './DeathmatchMode.js';
+import { MATCH_PHASES } from './GameMode.js';
+import { getSafeZoneCircle, isInsideCircle } from '../../src/utils/SafeZone.js';
+import { GAME_CONFIG } from '../../src/utils/constants.js';
+
+// Multiplier for every stage's wait and shrink time, e.g. 0.1 for quick test matches (SAFE_ZONE_TIME_SCALE env var)
+export const SAFE_ZONE_TIME_SCALE = Number(process.env.SAFE_ZONE_TIME_SCALE) || 1;
+
+// Each stage: wait, then shrink to radius; outside the circle costs damagePerSecond for the whole stage
+export const SAFE_ZONE_STAGES = [
+    { waitMs: 30000, shrinkMs: 30000, radius: 35, damagePerSecond: 2 },
+    { waitMs: 20000, shrinkMs: 20000, radius: 18, damagePerSecond: 5 },
+    { waitMs: 15000, shrinkMs: 15000, radius: 8, damagePerSecond: 10 },
+    { waitMs: 10000, shrinkMs: 10000, radius: 0, damagePerSecond: 20 }
+];
+
+// The first circle reaches the corners of the arena
+const START_RADIUS = Math.ceil(GAME_CONFIG.arenaSize / 2 * Math.SQRT2);
+const MAX_STEP_MS = 250; // Cap on the time one update can account for (e.g. after a stall)
+
+export class LastBlobStandingMode extends DeathmatchMode {
+    constructor(gameState, hooks) {
+        super(gameState, hooks);
+        this.fragLimit = null; // Kills are counted but surviving is what wins
+        this.alive = new Set(); // Players still in this match
+        this.safeZone = null; // Current stage, sent in MATCH_STATE (null outside a match)
+        this.zoneDamage = {}; // Map of player IDs to zone damage owed but not yet applied (under 1 point)
+        this.lastZoneTime = null;
+        this.resolvingZoneDamage = false; // Deaths in the zone pass are judged together once it's done
+    }
+
+    get id() {
+        return 'lbs';
+    }
+
+    onPlayerJoined(playerId) {
+        super.onPlayerJoined(playerId);
+
+        // Too late for this match - out until the next one
+        if (this.phase === MATCH_PHASES.PLAYING) {
+            this.killPlayer(playerId);
+        }
+    }
+
+    onPlayerLeft(playerId) {
+        delete this.zoneDamage[playerId];
+        const wasAlive = this.alive.delete(playerId);
+        super.onPlayerLeft(playerId);
+        if (wasAlive) this.checkForSurvivor();
+    }
+
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== MATCH_PHASES.PLAYING || !this.alive.has(victimId)) return;
+
+        this.recordKill(victimId, killerId);
+        this.alive.delete(victimId);
+        delete this.zoneDamage[victimId];
+        console.log(`[LBS] ${victimId} is out, ${this.alive.size} left`);
+        this.broadcastMatchState();
+
+        if (!this.resolvingZoneDamage) this.checkForSurvivor();
+    }
+
+    // Respawns are for warmup only
+    canRespawn(playerId) {
+        return this.phase === MATCH_PHASES.WAITING;
+    }
+
+    // Only players (and the zone) may eliminate anyone
+    allowsEnemies() {
+        return false;
+    }
+
+    update(now) {
+        super.update(now);
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        if (now >= this.safeZone.shrinkEndsAt && this.safeZone.stage < SAFE_ZONE_STAGES.length - 1) {
+            this.startStage(this.safeZone.stage + 1, this.safeZone.to, now);
+            this.broadcastMatchState();
+        }
+
+        this.applyZoneDamage(now);
+    }
+
+    startMatch(now) {
+        // Coming out of warmup nobody has been reset yet - everyone starts the match fresh
+        if (this.phase === MATCH_PHASES.WAITING) this.resetMatch();
+
+        this.alive = new Set(Object.keys(this.gameState.players));
+        this.zoneDamage = {};
+        this.lastZoneTime = null;
+        this.startStage(0, { x: 0, z: 0, radius: START_RADIUS }, now);
+        super.startMatch(now);
+    }
+
+    /**
+     * Begin a safe zone stage: its target circle is a random circle of the stage's radius that lies
+     * inside the current one and on the arena
+     * @param {Number} index - Stage index in SAFE_ZONE_STAGES
+     * @param {Object} from - Circle the stage starts from ({ x, z, radius })
+     * @param {Number} now - Current server time (ms)
+     */
+    startStage(index, from, now) {
+        const { waitMs, shrinkMs, radius, damagePerSecond } = SAFE_ZONE_STAGES[index];
+
+        const angle = Math.random() * Math.PI * 2;
+        const offset = Math.random() * Math.max(0, from.radius - radius);
+        // Pulling the center back onto the arena only moves it closer to from's center, so it stays inside
+        const limit = Math.max(0, GAME_CONFIG.arenaSize / 2 - radius);
+        const to = {
+            x: roundCoordinate(clamp(from.x + Math.cos(angle) * offset, -limit, limit)),
+            z: roundCoordinate(clamp(from.z + Math.sin(angle) * offset, -limit, limit)),
+            radius
+        };
+
+        const shrinkStartsAt = now + waitMs * SAFE_ZONE_TIME_SCALE;
+        this.safeZone = {
+            stage: index,
+            from,
+            to,
+            shrinkStartsAt,
+            shrinkEndsAt: shrinkStartsAt + shrinkMs * SAFE_ZONE_TIME_SCALE,
+            damagePerSecond
+        };
+        console.log(`[LBS] Zone stage ${index + 1}: closing to r=${radius} at (${to.x}, ${to.z})`);
+    }
+
+    // Hurt everyone outside the circle for the time since the last tick. Health only goes down in
+    // whole points, so fractions are carried over to the next tick.
+    applyZoneDamage(now) {
+        const stepMs = this.lastZoneTime === null ? 0 : Math.min(now - this.lastZoneTime, MAX_STEP_MS);
+        this.lastZoneTime = now;
+
+        const circle = getSafeZoneCircle(this.safeZone, now);
+        this.resolvingZoneDamage = true;
+        for (const playerId of [...this.alive]) {
+            const player = this.gameState.players[playerId];
+            if (!player || player.isDead || isInsideCircle(circle, player.position)) {
+                delete this.zoneDamage[playerId];
+                continue;
+            }
+
+            const owed = (this.zoneDamage[playerId] || 0) + this.safeZone.damagePerSecond * stepMs / 1000;
+            const amount = Math.floor(owed);
+            this.zoneDamage[playerId] = owed - amount;
+            if (amount > 0) this.damagePlayer(playerId, amount, 'zone');
+        }
+        this.resolvingZoneDamage = false;
+
+        this.checkForSurvivor();
+    }
+
+    // End the match once at most one player is left
+    checkForSurvivor() {
+        if (this.phase !== MATCH_PHASES.PLAYING || this.alive.size > 1) return;
+
+        const [survivorId = null] = this.alive;
+        this.endMatch(survivorId, survivorId ? 'last blob standing' : 'no survivors');
+    }
+
+    /**
+     * Survivor with the most kills; nobody leads until a survivor has scored
+     * @returns {String|null}
+     */
+    getLeaderId() {
+        let leaderId = null;
+        for (const playerId of this.alive) {
+            const kills = this.scores[playerId]?.kills || 0;
+            if (kills > 0 && (!leaderId || kills > this.scores[leaderId].kills)) {
+                leaderId = playerId;
+            }
+        }
+        return leaderId;
+    }
+
+    getMatchState() {
+        return {
+            ...super.getMatchState(),
+            respawns: false,
+            alive: [...this.alive],
+            safeZone: this.phase === MATCH_PHASES.WAITING ? null : this.safeZone
+        };
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function roundCoordinate(value) {
+    return Math.round(value * 100) / 100;
+}
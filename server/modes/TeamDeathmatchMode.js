@@ -0,0 +1,163 @@
+/**
+ * TeamDeathmatchMode.js
+ *
+ * Two teams, red and blue. Players are put on the smaller team when they join, and when someone
+ * leaves and the teams end up more than one player apart, the newest player on the bigger team is
+ * moved across (and respawned). Every kill of an opponent scores for the killer's team; the first
+ * team to TEAM_FRAG_LIMIT wins, or the team ahead when time runs out.
+ *
+ * Friendly fire (FRIENDLY_FIRE env var) is the share of damage teammates do to each other:
+ * 0 (default) lets shots pass through teammates, 1 is full damage.
+ */
+
+import { DeathmatchMode } from './DeathmatchMode.js';
+import { MATCH_PHASES } from './GameMode.js';
+
+export const TEAM_IDS = ['red', 'blue'];
+
+// Team kills needed to win (TEAM_FRAG_LIMIT env var)
+export const TEAM_FRAG_LIMIT = Number(process.env.TEAM_FRAG_LIMIT) || 50;
+export const FRIENDLY_FIRE = Math.min(Math.max(Number(process.env.FRIENDLY_FIRE) || 0, 0), 1);
+
+export class TeamDeathmatchMode extends DeathmatchMode {
+    constructor(gameState, hooks) {
+        super(gameState, hooks);
+        this.fragLimit = TEAM_FRAG_LIMIT;
+        this.friendlyFire = FRIENDLY_FIRE;
+        this.teams = {}; // Map of player IDs to team IDs, in join order
+        this.teamScores = {};
+        this.resetTeamScores();
+
+        for (const playerId in gameState.players) {
+            this.teams[playerId] = this.getSmallestTeam();
+        }
+    }
+
+    get id() {
+        return 'tdm';
+    }
+
+    onPlayerJoined(playerId) {
+        this.teams[playerId] = this.getSmallestTeam();
+        console.log(`[Match] ${playerId} joined team ${this.teams[playerId]}`);
+        super.onPlayerJoined(playerId);
+    }
+
+    onPlayerLeft(playerId) {
+        delete this.teams[playerId];
+        this.rebalance();
+        super.onPlayerLeft(playerId);
+    }
+
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        const scoringTeam = this.recordKill(victimId, killerId);
+        if (scoringTeam) this.teamScores[scoringTeam]++;
+        this.broadcastMatchState();
+
+        if (scoringTeam && this.teamScores[scoringTeam] >= this.fragLimit) {
+            this.endMatch(scoringTeam, 'frag limit');
+        }
+    }
+
+    /**
+     * Count a death, and a kill when it was an opponent's - team kills and suicides don't score
+     * @param {String} victimId - Player who died
+     * @param {String|null} killerId - Player credited with the kill
+     * @returns {String|null} The killer's team if the kill counts
+     */
+    recordKill(victimId, killerId) {
+        if (this.scores[victimId]) this.scores[victimId].deaths++;
+
+        const killerTeam = this.teams[killerId];
+        if (!killerTeam || killerId === victimId || killerTeam === this.teams[victimId]) return null;
+
+        if (this.scores[killerId]) this.scores[killerId].kills++;
+        return killerTeam;
+    }
+
+    getDamageScale(targetId, attackerId) {
+        return this.isOpponent(targetId, attackerId) ? 1 : this.friendlyFire;
+    }
+
+    // Teammates aren't opponents; anyone without a team yet is everyone's
+    isOpponent(playerId, otherId) {
+        const team = this.teams[playerId];
+        return !team || team !== this.teams[otherId];
+    }
+
+    // Team play is players only (capture the flag and team king of the hill included)
+    allowsEnemies() {
+        return false;
+    }
+
+    resetScores() {
+        super.resetScores();
+        this.resetTeamScores();
+    }
+
+    resetTeamScores() {
+        for (const teamId of TEAM_IDS) {
+            this.teamScores[teamId] = 0;
+        }
+    }
+
+    /**
+     * Team with the most kills; nobody leads on a tie
+     * @returns {String|null} Team ID
+     */
+    getLeaderId() {
+        const [first, second] = TEAM_IDS;
+        if (this.teamScores[first] === this.teamScores[second]) return null;
+        return this.teamScores[first] > this.teamScores[second] ? first : second;
+    }
+
+    getMatchState() {
+        return {
+            ...super.getMatchState(),
+            teams: this.teams,
+            teamScores: this.teamScores
+        };
+    }
+
+    // --- Team assignment ---
+
+    getTeamSizes() {
+        const sizes = Object.fromEntries(TEAM_IDS.map(teamId => [teamId, 0]));
+        for (const playerId in this.teams) {
+            sizes[this.teams[playerId]]++;
+        }
+        return sizes;
+    }
+
+    /**
+     * Team a new player should join: the one with fewer players, then the one with the lower score
+     * @returns {String} Team ID
+     */
+    getSmallestTeam() {
+        const sizes = this.getTeamSizes();
+        return TEAM_IDS.reduce((best, teamId) => {
+            if (sizes[teamId] !== sizes[best]) return sizes[teamId] < sizes[best] ? teamId : best;
+            return this.teamScores[teamId] < this.teamScores[best] ? teamId : best;
+        });
+    }
+
+    /**
+     * Move players from the bigger team until the teams are at most one player apart. The newest
+     * player is moved (they have the least invested in their team) and respawned on their new side.
+     */
+    rebalance() {
+        for (;;) {
+            const sizes = this.getTeamSizes();
+            const bigger = TEAM_IDS.reduce((a, b) => sizes[a] >= sizes[b] ? a : b);
+            const smaller = TEAM_IDS.reduce((a, b) => sizes[a] <= sizes[b] ? a : b);
+            if (sizes[bigger] - sizes[smaller] <= 1) return;
+
+            const playerId = Object.keys(this.teams).filter(id => this.teams[id] === bigger).pop();
+            this.teams[playerId] = smaller;
+            console.log(`[Match] Rebalanced ${playerId} from team ${bigger} to ${smaller}`);
+            this.resetPlayer(playerId);
+        }
+    }
+}
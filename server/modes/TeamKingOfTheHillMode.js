@@ -0,0 +1,60 @@
+/**
+ * TeamKingOfTheHillMode.js
+ *
+ * King of the hill for the red and blue teams (assigned and balanced as in team deathmatch): zones
+ * are captured and held per team, and the team scores are their control times in seconds. The first
+ * team to CONTROL_LIMIT_MS of control wins, or the team ahead when time runs out.
+ */
+
+import { TeamDeathmatchMode } from './TeamDeathmatchMode.js';
+import { MATCH_PHASES } from './GameMode.js';
+import { ControlZones } from './ControlZones.js';
+import { CONTROL_LIMIT_MS } from './KingOfTheHillMode.js';
+
+export class TeamKingOfTheHillMode extends TeamDeathmatchMode {
+    constructor(gameState, hooks) {
+        super(gameState, hooks);
+        this.fragLimit = null; // Kills never end a king of the hill match
+        this.controlLimitMs = CONTROL_LIMIT_MS;
+        this.controlZones = new ControlZones(gameState, playerId => this.teams[playerId] || null);
+    }
+
+    get id() {
+        return 'tkoth';
+    }
+
+    // Kills are tracked per player but only control time scores for the team
+    onPlayerKilled(victimId, killerId) {
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        this.recordKill(victimId, killerId);
+        this.broadcastMatchState();
+    }
+
+    update(now) {
+        super.update(now);
+        if (this.phase !== MATCH_PHASES.PLAYING) return;
+
+        if (this.controlZones.update(now)) {
+            Object.assign(this.teamScores, this.controlZones.getControlSeconds());
+            this.broadcastMatchState();
+        }
+
+        const leaderId = this.controlZones.getLeader();
+        if (leaderId && this.controlZones.getControl(leaderId) >= this.controlLimitMs) {
+            this.endMatch(leaderId, 'control limit');
+        }
+    }
+
+    startMatch(now) {
+        this.controlZones.reset();
+        super.startMatch(now);
+    }
+
+    getMatchState() {
+        return {
+            ...super.getMatchState(),
+            controlLimit: this.controlLimitMs / 1000
+        };
+    }
+}
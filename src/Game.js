@@ -1,15 +1,26 @@
 import * as THREE from 'three';
 import { PhysicsWorld } from './physics/PhysicsWorld.js';
 import { GameScene } from './rendering/Scene.js';
+import { SpectatorCamera } from './rendering/SpectatorCamera.js';
 import { InputHandler } from './input/InputHandler.js';
 import { Player } from './entities/Player.js';
 import { RemotePlayer } from './entities/RemotePlayer.js';
+import { Enemy } from './entities/Enemy.js';
+import { Flag } from './entities/Flag.js';
+import { ControlZone } from './entities/ControlZone.js';
+import { SafeZoneWall } from './entities/SafeZoneWall.js';
 import { Ground } from './entities/Ground.js';
+import { MatchHud } from './ui/MatchHud.js';
+import { FlagHud } from './ui/FlagHud.js';
+import { ZoneWarning } from './ui/ZoneWarning.js';
+import { Scoreboard } from './ui/Scoreboard.js';
 import { Projectile } from './entities/Projectile.js';
 import { log, error } from './debug.js';
 import { NetworkManager } from './utils/NetworkManager.js';
+import { INCOMPATIBLE_CLOSE_CODE } from './utils/Protocol.js';
 import { ColorManager } from './utils/ColorManager.js';
-import { GAME_CONFIG } from './utils/constants.js';
+import { GAME_CONFIG, TEAMS } from './utils/constants.js';
+import { isInsideCircle } from './utils/SafeZone.js';
 import { PredictionSystem } from './physics/PredictionSystem.js';
 
 export class Game {
@@ -19,10 +30,20 @@ export class Game {
         this.scene = new GameScene();
         this.input = new InputHandler();
         this.player = null;
+        this.spectatorCamera = null; // Set instead of a player when connecting as a spectator (?spectate), or while eliminated
         this.ground = null;
         this.projectiles = [];
         this.enemyProjectiles = [];
         this.enemies = [];
+        this.flags = {}; // Capture the flag flags from server snapshots, by flag ID
+        this.flagHud = null; // Markers pointing at the flags, created with the first flag
+        this.zones = {}; // King of the hill control zones from server snapshots, by zone ID
+        this.safeZoneWall = null; // Last blob standing safe zone, while MATCH_STATE has one
+        this.zoneWarning = null; // Vignette shown while the local player is outside the safe zone
+        this.eliminated = false; // Out of the current last blob standing match, watching the survivors
+        this.matchState = null; // Latest MATCH_STATE from the server
+        this.matchHud = null; // Created on the first MATCH_STATE
+        this.scoreboard = null; // Created on the first SCOREBOARD, shown while Tab is held
         this.previousTime = 0;
 
         // Performance tracking and game loop properties
@@ -40,6 +61,7 @@ export class Game {
         this.isMultiplayer = false; // Flag to enable multiplayer features - set to false by default
         this.lastNetworkUpdateTime = 0;
         this.networkUpdateInterval = 50; // Send updates every 50ms (20 times per second)
+        this.interpolationDelay = 100; // Remote players are drawn this far behind server time (ms), two snapshots at 20Hz
 
         // Initialize prediction system for client-side prediction and server reconciliation
         this.predictionSystem = new PredictionSystem(this);
@@ -270,25 +292,31 @@ export class Game {
             this.addInvisibleWalls();
             console.log('Invisible walls added');
 
-            console.log('Creating player');
-            // Use the network ID if available, otherwise create with default local ID
-            const playerId = this.networkManager.playerId || 'local-' + Math.random().toString(36).substring(2, 9);
-            // Get a unique color for this player
-            const playerColor = this.colorManager.getColorForId(playerId);
-            this.player = new Player(
-                this.scene.scene,
-                this.physics.physicsWorld,
-                { x: 0, y: 5, z: 0 },
-                playerId,
-                playerColor
-            );
-            this.physics.registerRigidBody(this.player.mesh, this.player.body);
-            console.log(`Player created with ID: ${playerId} and color: ${playerColor.toString(16)}`);
+            if (this.networkManager.spectator) {
+                // Spectators have no player - just a camera to watch with
+                console.log('Spectating: creating spectator camera instead of a player');
+                this.initSpectator();
+            } else {
+                console.log('Creating player');
+                // Use the network ID if available, otherwise create with default local ID
+                const playerId = this.networkManager.playerId || 'local-' + Math.random().toString(36).substring(2, 9);
+                // Get a unique color for this player
+                const playerColor = this.colorManager.getColorForId(playerId);
+                this.player = new Player(
+                    this.scene.scene,
+                    this.physics.physicsWorld,
+                    { x: 0, y: 5, z: 0 },
+                    playerId,
+                    playerColor
+                );
+                this.physics.registerRigidBody(this.player.mesh, this.player.body);
+                console.log(`Player created with ID: ${playerId} and color: ${playerColor.toString(16)}`);
 
-            // Set up input handlers
-            console.log('Setting up input handlers');
-            this.setupInputHandlers();
-            console.log('Input handlers set up');
+                // Set up input handlers
+                console.log('Setting up input handlers');
+                this.setupInputHandlers();
+                console.log('Input handlers set up');
+            }
 
             // Start the game loop before attempting to connect
             // This ensures the game is playable even if connection fails
@@ -353,11 +381,17 @@ export class Game {
         });
 
         // Handle disconnection
-        this.networkManager.on('disconnect', () => {
+        this.networkManager.on('disconnect', (event) => {
             console.log('Disconnected from game server');
             // Clear remote players on disconnect
             this.clearRemotePlayers();
 
+            // Refused by the server - the 'incompatible' handler explains why
+            if (event?.code === INCOMPATIBLE_CLOSE_CODE) {
+                this.isMultiplayer = false;
+                return;
+            }
+
             // When disconnected after max retries, switch to single player mode
             if (!this.networkManager.autoReconnect) {
                 this.isMultiplayer = false;
@@ -372,6 +406,22 @@ export class Game {
             }
         });
 
+        // The server won't talk to this client (usually a stale cached bundle after a deploy)
+        this.networkManager.on('incompatible', (data) => {
+            console.warn(`Server refused this client: ${data.reason}`);
+            this.showConnectionStatus(data.reason || 'Please refresh, the server was updated.');
+        });
+
+        // Compatible, but the server has a newer build than the one we're running
+        this.networkManager.on('welcome', (data) => {
+            if (data.outdated) {
+                this.showConnectionStatus('A new version is available - refresh to update.');
+                setTimeout(() => {
+                    document.getElementById('connection-status')?.remove();
+                }, 10000);
+            }
+        });
+
         // Handle receiving our player ID
         this.networkManager.on('playerConnected', (data) => {
             console.log(`Player connected: ${data.id}`);
@@ -393,18 +443,21 @@ export class Game {
                         console.log(`Updating local player color to ${playerColor.toString(16)} based on ID: ${data.id}`);
 
                         // Update player color and refresh the model
-                        this.player.playerColor = playerColor;
-                        if (this.player.mesh) {
-                            this.player.mesh.traverse((child) => {
-                                if (child.isMesh) {
-                                    // Skip eyes
-                                    if (!child.material.name || !child.material.name.toLowerCase().includes('eye')) {
-                                        child.material.color.setHex(playerColor);
-                                        child.material.needsUpdate = true;
-                                    }
-                                }
-                            });
-                        }
+                        this.player.setPlayerColor(playerColor);
+                    }
+                }
+
+                // MATCH_STATE can arrive before our ID - pick up our team now
+                this.applyTeams();
+
+                // Resumed after a dropped connection - the server kept our player, so take its state back
+                if (data.resumed && this.player) {
+                    console.log('Resumed previous session');
+                    this.player.health = data.health;
+                    this.player.isDead = data.isDead;
+                    this.player.updateHealthUI();
+                    if (data.position) {
+                        this.player.setPosition(data.position);
                     }
                 }
             }
@@ -425,6 +478,11 @@ export class Game {
             }
         });
 
+        // The server never simulated this shot of ours - take it out of the world now
+        this.networkManager.on('projectileRejected', (data) => {
+            this.removeProjectileById(data.id);
+        });
+
 
         // Updated handler to process FULL game state messages
         this.networkManager.on('gameStateUpdate', (message) => {
@@ -531,6 +589,41 @@ export class Game {
             }
         });
 
+        // Moved to another room (JOIN_ROOM) - nobody from the old room is visible any more
+        this.networkManager.on('roomJoined', (data) => {
+            console.log(`Joined room ${data.roomId}`);
+            this.clearRemotePlayers();
+
+            if (this.player) {
+                this.player.health = 100;
+                this.player.isDead = false;
+                if (data.position) {
+                    this.player.setPosition(data.position);
+                }
+                this.player.playAnimation('idle');
+            }
+        });
+
+        // Match phase, timer and scores for the room's game mode
+        this.networkManager.on('matchState', (state) => {
+            this.matchState = state;
+            if (!this.matchHud) {
+                this.matchHud = new MatchHud();
+            }
+            this.matchHud.update(state);
+            this.applyTeams();
+            this.applySafeZone();
+            this.applyElimination();
+        });
+
+        // Everyone's stats for the Tab scoreboard
+        this.networkManager.on('scoreboard', (data) => {
+            if (!this.scoreboard) {
+                this.scoreboard = new Scoreboard();
+            }
+            this.scoreboard.update(data.players);
+        });
+
         // --- Connect to server AFTER handlers are registered ---
         try {
             await this.networkManager.connect(); // Use await here
@@ -626,21 +719,38 @@ export class Game {
                     // IMPORTANT: Update player state EVEN IF just added
                     if (remotePlayer && playerData) {
                         // Update remote player
-                        this.updateRemotePlayerState(remotePlayer, playerData);
+                        this.updateRemotePlayerState(remotePlayer, playerData, gameState.timestamp);
                     }
                 }
             });
 
+            // Projectiles in flight (covers anything whose PROJECTILE_SPAWN we never saw)
+            if (gameState.projectiles) {
+                this.syncServerProjectiles(gameState.projectiles);
+            }
+
+            // Server-owned enemies in our area of interest
+            if (gameState.enemies) {
+                this.syncServerEnemies(gameState.enemies, gameState.timestamp);
+            }
+
+            // Capture the flag flags and king of the hill zones (empty in other modes)
+            if (gameState.flags) {
+                this.syncServerFlags(gameState.flags);
+            }
+            if (gameState.zones) {
+                this.syncServerZones(gameState.zones);
+            }
+
             // *** Add Logging before cleanup ***
             console.log(`[Game] Cleanup Check: Seen IDs: ${Array.from(seenPlayerIds).join(', ')}`);
             console.log(`[Game] Cleanup Check: Current Remote Players: ${Object.keys(this.remotePlayers).join(', ')}`);
             // *** End Logging ***
 
-            // Clean up disconnected players
+            // Full states only carry players in our area of interest, so a missing player may just be far away
             Object.keys(this.remotePlayers).forEach(id => {
                 if (!seenPlayerIds.has(id)) {
-                    console.warn(`[Game] Player ${id} not in latest state. Removing.`);
-                    this.removeRemotePlayer(id); // Use the proper removal function
+                    this.despawnRemotePlayer(id);
                 }
             });
         } catch (err) {
@@ -676,16 +786,23 @@ export class Game {
                             console.log(`[Game] handleGameStateDeltaUpdate: Player ${playerId} not found locally, adding.`);
                             remotePlayer = this.addRemotePlayer(playerId, delta.position);
                             if (remotePlayer) { // Ensure player was created successfully
-                                this.updateRemotePlayerState(remotePlayer, delta); // Apply remaining state
+                                this.updateRemotePlayerState(remotePlayer, delta, deltaData.timestamp); // Apply remaining state
                             }
                         } else {
                             // Player exists, apply partial updates
-                            this.updateRemotePlayerState(remotePlayer, delta);
+                            this.updateRemotePlayerState(remotePlayer, delta, deltaData.timestamp);
                         }
                     }
                 }
             }
 
+            // Players left out of the delta didn't change - they still need a snapshot at this time to interpolate to
+            Object.entries(this.remotePlayers).forEach(([playerId, remotePlayer]) => {
+                if (!deltaData.playerDeltas || !deltaData.playerDeltas[playerId]) {
+                    remotePlayer.addSnapshot(deltaData.timestamp, {});
+                }
+            });
+
             // --- Process Removed Players ---
             if (deltaData.removedPlayerIds && deltaData.removedPlayerIds.length > 0) {
                 // *** Add Logging before removal ***
@@ -700,7 +817,32 @@ export class Game {
                 });
             }
 
-            // TODO: Process Projectile Deltas later
+            // --- Process Players That Left Our Area Of Interest (still connected) ---
+            if (deltaData.despawnedPlayerIds && deltaData.despawnedPlayerIds.length > 0) {
+                deltaData.despawnedPlayerIds.forEach(playerId => {
+                    if (playerId !== this.networkManager.playerId) {
+                        this.despawnRemotePlayer(playerId);
+                    }
+                });
+            }
+
+            // --- Process Projectiles (reconstructed full list plus server-side removals) ---
+            if (deltaData.projectiles) {
+                this.syncServerProjectiles(deltaData.projectiles, deltaData.removedProjectileIds || []);
+            }
+
+            // --- Process Enemies (reconstructed full list) ---
+            if (deltaData.enemies) {
+                this.syncServerEnemies(deltaData.enemies, deltaData.timestamp);
+            }
+
+            // --- Process Flags and Zones (reconstructed full lists) ---
+            if (deltaData.flags) {
+                this.syncServerFlags(deltaData.flags);
+            }
+            if (deltaData.zones) {
+                this.syncServerZones(deltaData.zones);
+            }
 
         } catch (err) {
             console.error('Error handling game state delta update:', err);
@@ -718,7 +860,14 @@ export class Game {
         return playerData && this.isValidPosition(playerData.position);
     }
 
-    updateRemotePlayerState(remotePlayer, playerData) {
+    /**
+     * Apply a server update for a remote player. Movement and animation go into its snapshot
+     * buffer and are drawn once render time reaches them; flags and health apply straight away.
+     * @param {RemotePlayer} remotePlayer - Player to update
+     * @param {Object} playerData - Full state or delta for the player
+     * @param {Number} timestamp - Server time of the snapshot (ms)
+     */
+    updateRemotePlayerState(remotePlayer, playerData, timestamp) {
         if (!remotePlayer || !playerData) return;
 
         // *** Add Logging ***
@@ -727,17 +876,6 @@ export class Game {
         }
         // *** End Logging ***
 
-        // Update position and rotation if provided and valid
-        if (playerData.position && this.isValidPosition(playerData.position)) {
-            // *** Add Logging ***
-            // console.log(`[Game] Calling setPosition for ${remotePlayer.remoteId} with:`, JSON.stringify(playerData.position));
-            // *** End Logging ***
-            remotePlayer.setPosition(playerData.position);
-        }
-        if (playerData.rotation) { // Consider adding isValidRotation if needed
-            remotePlayer.setRotation(playerData.rotation);
-        }
-
         // --- 1. Update State Flags based on Server Data --- 
         let stateChanged = false;
 
@@ -766,6 +904,12 @@ export class Game {
             console.log(`[Client UpdateRemote] ${remotePlayer.remoteId} isJumping set to: ${remotePlayer.isJumping}`);
         }
 
+        // Their connection dropped - the server is holding the player in case they resume
+        if (playerData.isReconnecting !== undefined && remotePlayer.isReconnecting !== playerData.isReconnecting) {
+            remotePlayer.setReconnecting(playerData.isReconnecting);
+            stateChanged = true;
+        }
+
         // --- 2. Determine Target Animation based on Updated Flags --- 
         let targetAnimation = 'idle'; // Default to idle
 
@@ -787,11 +931,16 @@ export class Game {
         // because playerData.animation from the server should already be 'jump' if the server thinks the player is jumping.
         // If server sends 'idle' or 'walkForward' via playerData.animation, we trust that.
 
-        // --- 3. Play Animation if Changed --- 
-        // Play the target animation if it's different from the current one, unless dead (handled above)
-        if (!remotePlayer.isDead && remotePlayer.currentAnimation !== targetAnimation) {
-            remotePlayer.playAnimation(targetAnimation);
-        }
+        // --- 3. Buffer the Snapshot --- 
+        // Position, rotation and animation are drawn when render time reaches this snapshot (see RemotePlayer.update)
+        const snapshotAnimation = (playerData.animation || playerData.isAttacking !== undefined) ? targetAnimation : undefined;
+        remotePlayer.addSnapshot(timestamp ?? this.networkManager.getServerTime(), {
+            position: this.isValidPosition(playerData.position) ? playerData.position : undefined,
+            rotation: playerData.rotation, // Consider adding isValidRotation if needed
+            animation: snapshotAnimation,
+            velocity: playerData.velocity, // Dead reckoning when snapshots run late
+            grounded: playerData.grounded
+        });
 
         // --- 4. Update Other Properties --- 
         // Update health (if provided) - Do this AFTER state changes like die/respawn
@@ -812,133 +961,96 @@ export class Game {
     }; // Added semicolon
 
     cleanupDisconnectedPlayers(seenPlayerIds) {
+        // Snapshots are filtered by area of interest - players missing from one are out of range, not disconnected
         for (const id in this.remotePlayers) {
             if (!seenPlayerIds.has(id)) {
-                // Remove player from scene
-                const player = this.remotePlayers[id];
-                if (player.nameTag) {
-                    player.nameTag.remove();
-                }
-                this.scene.scene.remove(player);
-                delete this.remotePlayers[id];
-                console.log(`Removed disconnected player: ${id}`);
+                this.despawnRemotePlayer(id);
             }
         }
     }
 
     /**
      * Synchronize projectiles from server
-     * @param {Array} serverProjectiles - Projectiles from server state
+     * @param {Array} serverProjectiles - Every projectile the server says we should know about, as
+     *                                    trajectory records { id, ownerId, origin, velocity, launchTime }
+     * @param {Array} removedProjectileIds - Projectiles the server destroyed since the last snapshot
      */
-    syncServerProjectiles(serverProjectiles) {
+    syncServerProjectiles(serverProjectiles, removedProjectileIds = []) {
         try {
             // Skip if running single-player
             if (!this.isMultiplayer) return;
 
             const localPlayerId = this.networkManager.playerId;
+            const serverTime = this.networkManager.getServerTime();
             const confirmedProjectileIds = new Set();
 
+            // Drop our copies of projectiles the server destroyed (hit something, expired)
+            for (const projectileId of removedProjectileIds) {
+                this.removeProjectileById(projectileId);
+            }
+
             // Process each server projectile
             for (const serverProjectile of serverProjectiles) {
                 if (!serverProjectile.id) continue;
 
                 confirmedProjectileIds.add(serverProjectile.id);
 
-                // Find existing projectile
-                let projectile = this.projectiles.find(p => p.id === serverProjectile.id);
+                // Projectiles fly in straight lines - work out where this one is now
+                const elapsed = Math.max(0, (serverTime - serverProjectile.launchTime) / 1000);
+                const position = {
+                    x: serverProjectile.origin.x + serverProjectile.velocity.x * elapsed,
+                    y: serverProjectile.origin.y + serverProjectile.velocity.y * elapsed,
+                    z: serverProjectile.origin.z + serverProjectile.velocity.z * elapsed
+                };
 
-                if (!serverProjectile.active) {
-                    // If server says projectile is inactive, remove it
-                    if (projectile) {
-                        if (projectile.mesh) {
-                            this.scene.scene.remove(projectile.mesh);
-                            if (projectile.mesh.geometry) projectile.mesh.geometry.dispose();
-                            if (projectile.mesh.material) projectile.mesh.material.dispose();
-                        }
-                        this.projectiles = this.projectiles.filter(p => p.id !== serverProjectile.id);
-                    }
-                    continue;
-                }
+                // Our own shots are always created locally when fired, so only other players' are handled here
+                if (serverProjectile.ownerId === localPlayerId) continue;
 
+                const projectile = this.projectiles.find(p => p.id === serverProjectile.id);
                 if (!projectile) {
-                    // Create new projectile if it doesn't exist
-                    if (serverProjectile.ownerId !== localPlayerId) {
-                        projectile = {
-                            ...serverProjectile,
-                            mesh: null,
-                            update: function (deltaTime) {
-                                if (!this.active) return false;
-
-                                // Update position using velocity
-                                this.position.x += this.velocity.x * deltaTime;
-                                this.position.y += this.velocity.y * deltaTime;
-                                this.position.z += this.velocity.z * deltaTime;
-
-                                // Update mesh position
-                                if (this.mesh) {
-                                    this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-                                }
-
-                                return true;
-                            }
-                        };
-
-                        // Create visual representation
-                        const geometry = new THREE.SphereGeometry(0.08, 16, 16);
-                        const material = new THREE.MeshStandardMaterial({
-                            color: this.remotePlayers[serverProjectile.ownerId]?.playerColor || 0xff0000,
-                            roughness: 0.3,
-                            metalness: 0.7,
-                            transparent: true,
-                            opacity: 0.8
-                        });
-
-                        const mesh = new THREE.Mesh(geometry, material);
-                        mesh.position.set(
-                            serverProjectile.position.x,
-                            serverProjectile.position.y,
-                            serverProjectile.position.z
-                        );
-                        this.scene.scene.add(mesh);
-                        projectile.mesh = mesh;
-
-                        this.projectiles.push(projectile);
-                    }
-                } else {
-                    // Update existing projectile
-                    projectile.position = serverProjectile.position;
-                    projectile.velocity = serverProjectile.velocity;
-                    projectile.active = serverProjectile.active;
-
-                    // Update mesh position
+                    // We missed the PROJECTILE_SPAWN event (joined mid-fight, or it was out of range)
+                    this.handleRemoteProjectileSpawn({ ...serverProjectile, position });
+                } else if (projectile.velocity.x !== serverProjectile.velocity.x ||
+                    projectile.velocity.y !== serverProjectile.velocity.y ||
+                    projectile.velocity.z !== serverProjectile.velocity.z) {
+                    // Trajectory changed on the server - snap to it
+                    projectile.position.set(position.x, position.y, position.z);
+                    projectile.velocity.set(serverProjectile.velocity.x, serverProjectile.velocity.y, serverProjectile.velocity.z);
                     if (projectile.mesh) {
-                        projectile.mesh.position.set(
-                            serverProjectile.position.x,
-                            serverProjectile.position.y,
-                            serverProjectile.position.z
-                        );
+                        projectile.mesh.position.copy(projectile.position);
                     }
                 }
             }
 
-            // Remove unconfirmed projectiles after reconciliation window
-            const reconciliationTime = Date.now() - 200;
-            this.projectiles = this.projectiles.filter(projectile => {
+            // Remove projectiles the server doesn't know about once it has had time to hear of them
+            const reconciliationTime = Date.now() - Math.max(200, (this.networkManager.lastPing || 0) + 100);
+            for (const projectile of [...this.projectiles]) {
                 if (projectile.creationTime < reconciliationTime && !confirmedProjectileIds.has(projectile.id)) {
-                    if (projectile.mesh) {
-                        this.scene.scene.remove(projectile.mesh);
-                        if (projectile.mesh.geometry) projectile.mesh.geometry.dispose();
-                        if (projectile.mesh.material) projectile.mesh.material.dispose();
-                    }
-                    return false;
+                    this.removeProjectileById(projectile.id);
                 }
-                return true;
-            });
+            }
         } catch (err) {
             console.error('Error syncing server projectiles:', err);
         }
     }
 
+    /**
+     * Remove a projectile and its mesh
+     * @param {String} projectileId - Projectile ID
+     */
+    removeProjectileById(projectileId) {
+        const projectile = this.projectiles.find(p => p.id === projectileId);
+        if (!projectile) return;
+
+        projectile.active = false;
+        if (projectile.mesh) {
+            this.scene.scene.remove(projectile.mesh);
+            if (projectile.mesh.geometry) projectile.mesh.geometry.dispose();
+            if (projectile.mesh.material) projectile.mesh.material.dispose();
+        }
+        this.projectiles = this.projectiles.filter(p => p.id !== projectileId);
+    }
+
     /**
      * Visualize a remote projectile
      * @param {Object} projectile - Server projectile data
@@ -979,54 +1091,137 @@ export class Game {
     }
 
     /**
-     * Synchronize enemies from server
-     * @param {Array} serverEnemies - Enemies from server state
+     * Synchronize enemies from server. The list is complete, so anything we have that isn't in it
+     * was removed by the server or left our area of interest.
+     * @param {Array} serverEnemies - Enemy states from the snapshot
+     * @param {Number} timestamp - Server time of the snapshot (ms)
      */
-    syncServerEnemies(serverEnemies) {
-        // Enemies disabled for multiplayer-only mode
-        return;
-
-        /*
-        // In multiplayer mode, we use server-provided enemies
-        if (!this.isMultiplayer) return;
-    
+    syncServerEnemies(serverEnemies, timestamp) {
         try {
-            // For simplicity in this implementation, we just handle basic enemy visualization
-            // A full implementation would track enemies by ID, interpolate positions, etc.
-    
-            // For now, we just update existing enemies or create new ones if needed
+            const seenEnemyIds = new Set();
+
             for (const serverEnemy of serverEnemies) {
-                // Find if we have this enemy locally
-                const existingEnemy = this.enemies.find(e => e.id === serverEnemy.id);
-    
-                if (existingEnemy) {
-                    // Update existing enemy
-                    existingEnemy.setPosition(serverEnemy.position);
-    
-                    if (serverEnemy.rotation) {
-                        existingEnemy.setRotation(serverEnemy.rotation.y);
-                    }
-    
-                    // Update health and state
-                    if (typeof serverEnemy.health === 'number') {
-                        existingEnemy.health = serverEnemy.health;
-                    }
-    
-                    if (serverEnemy.isDead) {
-                        existingEnemy.die();
-                    }
-    
-                    if (serverEnemy.isAttacking) {
-                        existingEnemy.attack();
-                    }
+                if (!serverEnemy || !this.isValidPosition(serverEnemy.position)) continue;
+                seenEnemyIds.add(serverEnemy.id);
+
+                let enemy = this.enemies.find(e => e.id === serverEnemy.id);
+                if (!enemy) {
+                    enemy = new Enemy(this.scene.scene, null, serverEnemy.position, this.colorManager.getColorForId(serverEnemy.id), {
+                        id: serverEnemy.id,
+                        serverControlled: true
+                    });
+                    this.enemies.push(enemy);
+                }
+                enemy.applyServerState(timestamp, serverEnemy);
+            }
+
+            for (let i = this.enemies.length - 1; i >= 0; i--) {
+                if (!seenEnemyIds.has(this.enemies[i].id)) {
+                    this.enemies[i].remove();
+                    this.enemies.splice(i, 1);
                 }
-                // We will rely on the server to manage enemy creation/destruction
-                // The local adjustBotCount method handles this separately
             }
         } catch (err) {
             console.error('Error syncing server enemies:', err);
         }
-        */
+    }
+
+    /**
+     * Create, update and remove flags to match the server's list, and show who carries them
+     * @param {Array} serverFlags - Flag records from the latest snapshot
+     */
+    syncServerFlags(serverFlags) {
+        try {
+            const carriedBy = {}; // Carrier player ID -> team of the flag they carry
+
+            for (const serverFlag of serverFlags) {
+                const flag = this.flags[serverFlag.id] || (this.flags[serverFlag.id] = new Flag(this.scene.scene, serverFlag));
+                flag.applyServerState(serverFlag);
+                if (flag.carrierId) {
+                    carriedBy[flag.carrierId] = flag.team;
+                }
+            }
+
+            for (const id in this.flags) {
+                if (!serverFlags.some(serverFlag => serverFlag.id === id)) {
+                    this.flags[id].remove();
+                    delete this.flags[id];
+                }
+            }
+
+            for (const id in this.remotePlayers) {
+                this.remotePlayers[id].setCarriedFlag(carriedBy[id] || null);
+            }
+
+            if (!this.flagHud && serverFlags.length > 0) {
+                this.flagHud = new FlagHud();
+            } else if (this.flagHud && serverFlags.length === 0) {
+                this.flagHud.remove();
+                this.flagHud = null;
+            }
+        } catch (err) {
+            console.error('Error syncing server flags:', err);
+        }
+    }
+
+    /**
+     * Create, update and remove control zones to match the server's list
+     * @param {Array} serverZones - Zone records from the latest snapshot
+     */
+    syncServerZones(serverZones) {
+        try {
+            for (const serverZone of serverZones) {
+                if (!this.zones[serverZone.id]) {
+                    this.zones[serverZone.id] = new ControlZone(this.scene.scene, serverZone, (side) => this.getSideColor(side));
+                }
+                this.zones[serverZone.id].applyServerState(serverZone);
+            }
+
+            for (const id in this.zones) {
+                if (!serverZones.some(serverZone => serverZone.id === id)) {
+                    this.zones[id].remove();
+                    delete this.zones[id];
+                }
+            }
+        } catch (err) {
+            console.error('Error syncing server zones:', err);
+        }
+    }
+
+    /**
+     * Color of a side in a mode - a team's color, or a player's own color in free-for-all
+     * @param {String} side - Team ID or player ID
+     * @returns {Number} Hex color
+     */
+    getSideColor(side) {
+        return TEAMS[side]?.color ?? this.colorManager.getColorForId(side);
+    }
+
+    /**
+     * Animate the flags and point the HUD markers at wherever each flag is now
+     * @param {Number} deltaTime - Seconds since the last frame
+     */
+    updateFlags(deltaTime) {
+        if (!this.flagHud) return;
+
+        const localId = this.networkManager?.playerId;
+        const localPosition = this.player ? new THREE.Vector3().copy(this.player.getPosition()) : null;
+        let carriedTeam = null;
+
+        const flagPositions = Object.values(this.flags).map((flag) => {
+            flag.update(deltaTime);
+
+            let position = flag.position;
+            if (flag.carrierId && flag.carrierId === localId && localPosition) {
+                position = localPosition;
+                carriedTeam = flag.team;
+            } else if (flag.carrierId && this.remotePlayers[flag.carrierId]) {
+                position = this.remotePlayers[flag.carrierId].position;
+            }
+            return { id: flag.id, team: flag.team, state: flag.state, position };
+        });
+
+        this.flagHud.update(flagPositions, this.scene.camera, localPosition || this.scene.camera.position, carriedTeam);
     }
 
     /**
@@ -1102,6 +1297,10 @@ export class Game {
             }
 
             this.remotePlayers[id] = new RemotePlayer(this.scene, id, offsetPosition, playerColor);
+            const team = this.matchState?.teams?.[id];
+            if (team) {
+                this.remotePlayers[id].setTeam(team);
+            }
 
             // Add name tag after a short delay to ensure DOM is ready
             setTimeout(() => {
@@ -1118,6 +1317,60 @@ export class Game {
         }
     }
 
+    /**
+     * Color players and label name tags by team. Outside team modes MATCH_STATE has no teams
+     * and everyone keeps (or gets back) their own color.
+     */
+    applyTeams() {
+        const teams = this.matchState?.teams || {};
+
+        const localId = this.networkManager?.playerId;
+        if (this.player && localId) {
+            const team = teams[localId] ?? null;
+            if (this.player.team !== team) {
+                this.player.setTeam(team);
+            }
+        }
+
+        for (const id in this.remotePlayers) {
+            const team = teams[id] ?? null;
+            if (this.remotePlayers[id].team !== team) {
+                this.remotePlayers[id].setTeam(team);
+            }
+        }
+    }
+
+    /**
+     * Show the last blob standing safe zone while MATCH_STATE has one
+     */
+    applySafeZone() {
+        const safeZone = this.matchState?.safeZone;
+        if (safeZone && !this.safeZoneWall) {
+            this.safeZoneWall = new SafeZoneWall(this.scene.scene);
+            this.zoneWarning = new ZoneWarning();
+        } else if (!safeZone && this.safeZoneWall) {
+            this.safeZoneWall.remove();
+            this.safeZoneWall = null;
+            this.zoneWarning.remove();
+            this.zoneWarning = null;
+        }
+    }
+
+    /**
+     * Move the safe zone wall to where the zone is now and warn the local player if they're outside it
+     * @param {Number} deltaTime - Seconds since the last frame
+     */
+    updateSafeZone(deltaTime) {
+        if (!this.safeZoneWall) return;
+
+        const circle = this.safeZoneWall.update(this.matchState.safeZone, this.networkManager.getServerTime(), deltaTime);
+        const outside = Boolean(
+            this.player && !this.player.isDead && !this.eliminated && this.matchState.phase === 'playing' &&
+            !isInsideCircle(circle, this.player.getPosition())
+        );
+        this.zoneWarning.update(outside, deltaTime);
+    }
+
     /**
      * Add a name tag above a player
      */
@@ -1126,6 +1379,7 @@ export class Game {
         const nameTag = document.createElement('div');
         nameTag.className = 'player-nametag';
         nameTag.textContent = `Player ${name.substring(0, 4)}`;
+        nameTag.dataset.name = nameTag.textContent; // Status suffixes (e.g. reconnecting) are appended to this
         nameTag.style.position = 'absolute';
         nameTag.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
         nameTag.style.color = 'white';
@@ -1143,6 +1397,12 @@ export class Game {
 
         // Store a reference to the name tag in the player object
         player.nameTag = nameTag;
+        if (player.isReconnecting) {
+            player.setReconnecting(true); // Status arrived before the tag was created
+        }
+        if (player.team) {
+            player.setTeam(player.team); // Add the team prefix
+        }
 
         // Update the name tag position in the update loop
         const updateNameTag = () => {
@@ -1183,8 +1443,10 @@ export class Game {
 
     /**
      * Remove a remote player from the game
+     * @param {String} id - Remote player ID
+     * @param {Object} options - { keepColor: keep the color assignment (player is only despawned) }
      */
-    removeRemotePlayer(id) {
+    removeRemotePlayer(id, { keepColor = false } = {}) {
         console.log(`[Game] Removing remote player: ${id}`);
 
         if (this.remotePlayers[id]) {
@@ -1201,7 +1463,9 @@ export class Game {
             remotePlayer.remove();
 
             // Release the color so it can be reused
-            this.colorManager.releaseColor(id);
+            if (!keepColor) {
+                this.colorManager.releaseColor(id);
+            }
 
             // Remove from our tracking
             delete this.remotePlayers[id];
@@ -1210,6 +1474,17 @@ export class Game {
         }
     }
 
+    /**
+     * Drop a remote player that moved out of our area of interest. Unlike removeRemotePlayer this keeps
+     * their color, so they look the same when the server spawns them again on re-entry.
+     */
+    despawnRemotePlayer(id) {
+        if (!this.remotePlayers[id]) return;
+
+        console.log(`[Game] Player ${id} left area of interest, despawning`);
+        this.removeRemotePlayer(id, { keepColor: true });
+    }
+
     /**
      * Clear all remote players
      */
@@ -1239,7 +1514,9 @@ export class Game {
             health: this.player.health,
             isAttacking: this.player.isAttacking,
             isDead: this.player.isDead,
-            animation: this.player.currentAnimation
+            animation: this.player.currentAnimation,
+            // Inputs recorded by the prediction system since the last update - the server simulates these
+            inputs: this.predictionSystem ? this.predictionSystem.takeUnsentInputs() : []
         };
 
         this.networkManager.updatePlayerState(position, rotation, playerState);
@@ -1312,6 +1589,111 @@ export class Game {
         */
     }
 
+    /**
+     * Set up spectating: free-fly / follow camera, its controls and HUD (no player, health bar or crosshair)
+     */
+    initSpectator() {
+        this.spectatorCamera = new SpectatorCamera(this.scene, this.input);
+
+        document.getElementById('hud-container')?.remove();
+        document.getElementById('crosshair')?.remove();
+
+        this.setupSpectatorControls();
+    }
+
+    /**
+     * Spectator HUD line and camera keys, made the first time a spectator camera is needed (spectator
+     * connections, or a player eliminated from a match). The keys do nothing without a spectator camera.
+     */
+    setupSpectatorControls() {
+        if (document.getElementById('spectator-hud')) return;
+
+        const spectatorHud = document.createElement('div');
+        spectatorHud.id = 'spectator-hud';
+        spectatorHud.style.position = 'fixed';
+        spectatorHud.style.bottom = '20px';
+        spectatorHud.style.left = '50%';
+        spectatorHud.style.transform = 'translateX(-50%)';
+        spectatorHud.style.padding = '6px 12px';
+        spectatorHud.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        spectatorHud.style.color = '#fff';
+        spectatorHud.style.fontFamily = 'Arial, sans-serif';
+        spectatorHud.style.fontSize = '14px';
+        spectatorHud.style.borderRadius = '5px';
+        spectatorHud.style.pointerEvents = 'none';
+        spectatorHud.style.zIndex = '1000';
+        document.body.appendChild(spectatorHud);
+
+        this.input.onKeyDown((event) => {
+            if (event.repeat || !this.spectatorCamera) return;
+            const key = event.key.toLowerCase();
+
+            if (key === 'c') {
+                this.spectatorCamera.toggleMode(this.getFollowablePlayers());
+            } else if (key === 'e') {
+                this.spectatorCamera.cycleTarget(this.getFollowablePlayers(), 1);
+            } else if (key === 'q') {
+                this.spectatorCamera.cycleTarget(this.getFollowablePlayers(), -1);
+            }
+        });
+    }
+
+    // Move the spectator camera and keep its HUD line current
+    updateSpectator(deltaTime) {
+        const players = this.getFollowablePlayers();
+        this.spectatorCamera.update(deltaTime, players);
+
+        const spectatorHud = document.getElementById('spectator-hud');
+        const status = `${this.eliminated ? 'Eliminated - ' : ''}${this.spectatorCamera.getStatusText(players)}`;
+        if (spectatorHud && spectatorHud.textContent !== status) {
+            spectatorHud.textContent = status;
+        }
+    }
+
+    /**
+     * Remote players the spectator camera can follow: everyone, except that elimination modes
+     * only offer the players still in the match
+     * @returns {Object} Map of player IDs to RemotePlayers
+     */
+    getFollowablePlayers() {
+        const alive = this.matchState?.alive;
+        if (!alive || this.matchState.phase === 'waiting') return this.remotePlayers;
+
+        const players = {};
+        for (const id of alive) {
+            if (this.remotePlayers[id]) players[id] = this.remotePlayers[id];
+        }
+        return players;
+    }
+
+    /**
+     * Elimination modes: once the local player is out of the match, watch the survivors with the
+     * spectator follow camera; back to our own player when the next match brings us back
+     */
+    applyElimination() {
+        if (!this.player) return; // Spectator connections are always spectating
+
+        const { alive, phase, respawns } = this.matchState || {};
+        this.player.autoRespawn = respawns !== false;
+
+        const eliminated = Boolean(alive && phase !== 'waiting' && !alive.includes(this.networkManager.playerId));
+        if (eliminated === this.eliminated) return;
+        this.eliminated = eliminated;
+
+        if (eliminated) {
+            this.spectatorCamera = new SpectatorCamera(this.scene, this.input);
+            this.spectatorCamera.cycleTarget(this.getFollowablePlayers(), 1);
+            this.setupSpectatorControls();
+        } else {
+            this.spectatorCamera = null;
+        }
+
+        const spectatorHud = document.getElementById('spectator-hud');
+        if (spectatorHud) {
+            spectatorHud.style.display = eliminated ? 'block' : 'none';
+        }
+    }
+
     handleJump() {
         if (!this.player) return;
 
@@ -1494,6 +1876,7 @@ export class Game {
             },
             ownerId: this.networkManager.playerId || 'local',
             creationTime: now,
+            viewTime: this.getRemoteViewTime(),
             active: true
         };
 
@@ -1549,6 +1932,16 @@ export class Game {
         this.addMuzzleFlash(spawnPos, shootDirection);
     }
 
+    /**
+     * The server time remote players are currently drawn at (they're interpolated between
+     * snapshots interpolationDelay behind). Sent with shots so the server can rewind targets
+     * for lag compensation.
+     * @returns {Number} Server time in milliseconds
+     */
+    getRemoteViewTime() {
+        return this.networkManager.getServerTime() - this.interpolationDelay;
+    }
+
     addMuzzleFlash(position, direction) {
         // Create a point light for muzzle flash
         const light = new THREE.PointLight(0x00ffff, 5, 3);
@@ -1784,11 +2177,14 @@ export class Game {
     }
 
     updateEnemies(deltaTime) {
+        // Server-controlled enemies are drawn at the same delayed time as remote players
+        const renderTime = this.isMultiplayer && this.networkManager ? this.getRemoteViewTime() : undefined;
+
         // Update each enemy
         for (let i = this.enemies.length - 1; i >= 0; i--) {
             try {
                 if (this.enemies[i]) {
-                    this.enemies[i].update(deltaTime);
+                    this.enemies[i].update(deltaTime, renderTime);
                 }
             } catch (error) {
                 error(`Error updating enemy at index ${i}:`, error);
@@ -1806,6 +2202,7 @@ export class Game {
         // Log network stats periodically
         const stats = {
             ping: this.networkManager.lastPing,
+            ...this.networkManager.getRttStats(),
             players: Object.keys(this.remotePlayers).length,
             projectiles: this.projectiles.length,
             fps: Math.round(1 / this.deltaTime)
@@ -1899,7 +2296,7 @@ export class Game {
     }
 
     addInvisibleWalls() {
-        const mapSize = 100; // Size of the playable area
+        const mapSize = GAME_CONFIG.arenaSize; // Size of the playable area
         const wallHeight = 20; // Height of invisible walls
         const wallThickness = 2;
 
@@ -1993,17 +2390,35 @@ export class Game {
             // Update enemies if needed
             this.updateEnemies(fixedDeltaTime);
 
+            // Capture the flag flags and their HUD markers, king of the hill zones, the last blob standing safe zone
+            this.updateFlags(fixedDeltaTime);
+            Object.values(this.zones).forEach(zone => zone.update(fixedDeltaTime));
+            this.updateSafeZone(fixedDeltaTime);
+
             // Update remote players
             this.updateRemotePlayers(fixedDeltaTime);
 
             // Update collision detection
             this.checkProjectileRemotePlayerCollisions();
 
+            // Spectators drive the camera themselves (there's no player for the scene to follow)
+            if (this.spectatorCamera) {
+                this.updateSpectator(fixedDeltaTime);
+            }
+
             // Update scene - camera follows player, etc.
             if (this.scene) {
                 this.scene.update();
             }
 
+            if (this.matchHud) {
+                this.matchHud.render(this.networkManager.getServerTime(), this.networkManager.playerId);
+            }
+
+            if (this.scoreboard) {
+                this.scoreboard.render(this.input.isKeyPressed('tab'), this.networkManager.playerId, this.matchState?.teams);
+            }
+
             // Track FPS
             this.frameCount++;
             if (now - this.lastFpsUpdate > 1000) {
@@ -2020,10 +2435,11 @@ export class Game {
      * Update remote players
      */
     updateRemotePlayers(deltaTime) {
+        const renderTime = this.isMultiplayer && this.networkManager ? this.getRemoteViewTime() : undefined;
         Object.values(this.remotePlayers).forEach(player => {
             try {
                 if (player && typeof player.update === 'function') {
-                    player.update(deltaTime);
+                    player.update(deltaTime, renderTime);
                 }
             } catch (err) {
                 error(`Error updating remote player ${player.remoteId}:`, err);
@@ -2036,6 +2452,9 @@ export class Game {
      * @param {Object} projectileData - Data about the spawned projectile
      */
     handleRemoteProjectileSpawn(projectileData) {
+        // Snapshots and the PROJECTILE_SPAWN event can both announce the same projectile
+        if (this.projectiles.some(p => p.id === projectileData.id)) return;
+
         // Create projectile with the received data
         const projectile = {
             id: projectileData.id,
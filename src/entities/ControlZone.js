@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+
+const NEUTRAL_COLOR = 0xffffff;
+const CONTESTED_COLOR = 0xffd32a;
+const FILL_OPACITY = 0.12;
+const RING_WIDTH = 0.4;
+const CONTESTED_PULSE_SPEED = 8; // Radians per second
+
+/**
+ * ControlZone - A king of the hill capture zone: a translucent box tinted with its owner's color and
+ * a ring on top that fills up as a side captures it. Moved from server snapshots.
+ */
+export class ControlZone {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the zone to
+     * @param {Object} state - Zone record from a snapshot ({ id, center, size, ownerId, capturingId, progress, contested })
+     * @param {Function} getSideColor - (sideId) => hex color of a player or team
+     */
+    constructor(scene, state, getSideColor) {
+        this.scene = scene;
+        this.id = state.id;
+        this.getSideColor = getSideColor;
+        this.contested = false;
+        this.pulsePhase = 0;
+        this.progress = -1; // Forces the first ring build
+
+        this.group = new THREE.Group();
+        this.group.position.set(state.center.x, state.center.y, state.center.z);
+
+        // The capture volume: a faint fill plus solid edges
+        const boxGeometry = new THREE.BoxGeometry(state.size.x, state.size.y, state.size.z);
+        this.fill = new THREE.Mesh(boxGeometry, new THREE.MeshBasicMaterial({
+            color: NEUTRAL_COLOR,
+            transparent: true,
+            opacity: FILL_OPACITY,
+            depthWrite: false
+        }));
+        this.edges = new THREE.LineSegments(
+            new THREE.EdgesGeometry(boxGeometry),
+            new THREE.LineBasicMaterial({ color: NEUTRAL_COLOR })
+        );
+        this.group.add(this.fill, this.edges);
+
+        // Progress ring lying on the top face, over a dark track
+        this.ringRadius = Math.min(state.size.x, state.size.z) / 2 - RING_WIDTH;
+        const ringY = state.size.y / 2 + 0.05;
+        this.track = new THREE.Mesh(
+            new THREE.RingGeometry(this.ringRadius - RING_WIDTH, this.ringRadius, 48),
+            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.4, side: THREE.DoubleSide })
+        );
+        this.ring = new THREE.Mesh(
+            new THREE.BufferGeometry(),
+            new THREE.MeshBasicMaterial({ color: NEUTRAL_COLOR, side: THREE.DoubleSide })
+        );
+        for (const mesh of [this.track, this.ring]) {
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.y = ringY;
+            this.group.add(mesh);
+        }
+
+        this.scene.add(this.group);
+        this.applyServerState(state);
+    }
+
+    /**
+     * Take the latest record from a snapshot
+     * @param {Object} state - Zone record
+     */
+    applyServerState(state) {
+        this.contested = state.contested;
+
+        const ownerColor = state.ownerId ? this.getSideColor(state.ownerId) : NEUTRAL_COLOR;
+        this.fill.material.color.setHex(ownerColor);
+        this.edges.material.color.setHex(ownerColor);
+
+        // A capture in progress shows the capturer's color; otherwise a full ring for the owner
+        const progress = state.capturingId ? state.progress : (state.ownerId ? 1 : 0);
+        this.ring.material.color.setHex(state.capturingId ? this.getSideColor(state.capturingId) : ownerColor);
+        if (progress !== this.progress) {
+            this.progress = progress;
+            this.ring.geometry.dispose();
+            this.ring.geometry = progress > 0
+                ? new THREE.RingGeometry(this.ringRadius - RING_WIDTH, this.ringRadius, 48, 1, Math.PI / 2, progress * Math.PI * 2)
+                : new THREE.BufferGeometry();
+        }
+    }
+
+    /**
+     * Pulse the edges while the zone is contested
+     * @param {Number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.contested) {
+            this.fill.material.opacity = FILL_OPACITY;
+            return;
+        }
+
+        this.pulsePhase += deltaTime * CONTESTED_PULSE_SPEED;
+        this.fill.material.opacity = FILL_OPACITY * (1.5 + Math.sin(this.pulsePhase));
+        this.edges.material.color.setHex(Math.sin(this.pulsePhase) > 0 ? CONTESTED_COLOR : this.fill.material.color.getHex());
+    }
+
+    remove() {
+        this.scene.remove(this.group);
+        this.group.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+}
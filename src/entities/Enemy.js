@@ -2,15 +2,28 @@ import * as THREE from 'three';
 import { log, error } from '../debug.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { ASSET_PATHS, GAME_CONFIG } from '../utils/constants.js';
+import { SnapshotBuffer } from '../utils/SnapshotBuffer.js';
 
 export class Enemy {
-    constructor(scene, physicsWorld, position = null, color = null) {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the model to
+     * @param {PhysicsWorld|null} physicsWorld - Physics world for local AI (unused when server controlled)
+     * @param {Object} position - Initial position
+     * @param {Number} color - Body color (derived from the position when null)
+     * @param {Object} options - { id, serverControlled } - server-controlled enemies have no local
+     *                           physics or AI and are moved from snapshots by applyServerState
+     */
+    constructor(scene, physicsWorld, position = null, color = null, options = {}) {
         // First, check if scene and physicsWorld are valid
-        if (!scene || !physicsWorld) {
+        if (!scene || (!physicsWorld && !options.serverControlled)) {
             console.error("Enemy constructor called with invalid scene or physicsWorld");
             return; // Early return to prevent further errors
         }
 
+        this.id = options.id || null;
+        this.serverControlled = Boolean(options.serverControlled);
+        this.snapshotBuffer = this.serverControlled ? new SnapshotBuffer() : null;
+
         this.scene = scene;
         this.physicsWorld = physicsWorld;
         this.mesh = null;
@@ -19,7 +32,6 @@ export class Enemy {
         this.isAttacking = false;
         this.isJumping = false;
         this.canJump = false;
-        this.healthBarContainer = null;
         this.healthBar = null;
         this.modelLoaded = false;
         this.animations = {};
@@ -54,6 +66,7 @@ export class Enemy {
         // Initialize other properties
         this.patrolTarget = new THREE.Vector3();
         this.health = 100;
+        this.maxHealth = 100;
         this.moveSpeed = 15;
         this.maxVelocity = 18;
         this.jumpForce = 10;
@@ -81,7 +94,7 @@ export class Enemy {
 
         // Start a timer to ensure enemy starts patrolling even without targets
         setTimeout(() => {
-            if (this.mesh && this.body && !this.isDead) {
+            if (this.mesh && this.body && !this.isDead && !this.serverControlled) {
                 console.log("Starting forced patrol behavior");
                 this.setRandomPatrolTarget();
             }
@@ -189,7 +202,8 @@ export class Enemy {
                     this.modelLoaded = true;
 
                     // CRITICAL: Create physics AFTER model is loaded and positioned
-                    if (!this._physicsCreated) {
+                    // (the server simulates server-controlled enemies, so they get none)
+                    if (!this._physicsCreated && !this.serverControlled) {
                         this.createPhysics();
                         this._physicsCreated = true;
                     }
@@ -198,8 +212,10 @@ export class Enemy {
                     this.setupAnimations(gltf);
 
                     // Initialize patrol target to start movement immediately
-                    this.setRandomPatrolTarget();
-                    console.log(`Initial patrol target set: x=${this.patrolTarget.x.toFixed(2)}, z=${this.patrolTarget.z.toFixed(2)}`);
+                    if (!this.serverControlled) {
+                        this.setRandomPatrolTarget();
+                        console.log(`Initial patrol target set: x=${this.patrolTarget.x.toFixed(2)}, z=${this.patrolTarget.z.toFixed(2)}`);
+                    }
 
                     console.log("Enemy model loaded successfully");
 
@@ -664,7 +680,17 @@ export class Enemy {
         }
     }
 
-    update(deltaTime) {
+    /**
+     * Advance the enemy by one frame
+     * @param {Number} deltaTime - Frame time in seconds
+     * @param {Number} renderTime - Server time being drawn, in ms (server-controlled enemies only)
+     */
+    update(deltaTime, renderTime) {
+        if (this.serverControlled) {
+            this.updateFromServer(deltaTime, renderTime);
+            return;
+        }
+
         if (!this.mesh || !this.body) {
             return;
         }
@@ -1141,10 +1167,7 @@ export class Enemy {
         }
 
         // Remove health bar
-        if (this.healthBarContainer) {
-            document.body.removeChild(this.healthBarContainer);
-            this.healthBarContainer = null;
-        }
+        this.removeHealthBar();
     }
 
     remove() {
@@ -1153,10 +1176,7 @@ export class Enemy {
             this.mesh = null;
         }
 
-        if (this.healthBarContainer) {
-            document.body.removeChild(this.healthBarContainer);
-            this.healthBarContainer = null;
-        }
+        this.removeHealthBar();
 
         if (this.body) {
             this.physicsWorld.removeRigidBody(this.body);
@@ -1164,6 +1184,63 @@ export class Enemy {
         }
     }
 
+    removeHealthBar() {
+        if (this.healthBar) {
+            this.healthBar.container.remove();
+            this.healthBar = null;
+        }
+    }
+
+    /**
+     * Queue a server snapshot of this enemy
+     * @param {Number} time - Server timestamp of the snapshot (ms)
+     * @param {Object} state - Enemy state from the snapshot ({ position, rotationY, health, maxHealth, isDead, animation })
+     */
+    applyServerState(time, state) {
+        this.snapshotBuffer.push(time, {
+            position: state.position,
+            rotationY: state.rotationY,
+            animation: state.animation
+        });
+
+        if (typeof state.maxHealth === 'number') this.maxHealth = state.maxHealth;
+        if (typeof state.health === 'number' && state.health !== this.health) {
+            this.health = state.health;
+            this.updateHealthBar();
+        }
+        this.isAttacking = Boolean(state.isAttacking);
+
+        if (state.isDead && !this.isDead) {
+            this.die();
+        }
+    }
+
+    /**
+     * Draw a server-controlled enemy where the server had it at renderTime
+     * @param {Number} deltaTime - Frame time in seconds
+     * @param {Number} renderTime - Server time being drawn (server time - interpolation delay), in ms
+     */
+    updateFromServer(deltaTime, renderTime) {
+        if (!this.mesh || !this.modelLoaded) return;
+
+        if (this.mixer) {
+            this.mixer.update(deltaTime);
+        }
+
+        const sample = renderTime !== undefined ? this.snapshotBuffer.sample(renderTime) : null;
+        if (sample && !this.isDead) {
+            this.snapshotBuffer.discardBefore(renderTime);
+            this.mesh.position.set(sample.position.x, sample.position.y, sample.position.z);
+            this.setRotation(sample.rotationY);
+
+            if (sample.animation && this.currentAnimation !== sample.animation) {
+                this.playAnimation(sample.animation);
+            }
+        }
+
+        this.updateHealthBar();
+    }
+
     // Add method to find better tactical position
     findBetterPosition() {
         // Skip if we're attacking
@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+import { TEAMS } from '../utils/constants.js';
+
+// Carried flags are drawn over the carrier (see RemotePlayer.setCarriedFlag), not here
+const POLE_HEIGHT = 3;
+const CLOTH_WIDTH = 1.2;
+const CLOTH_HEIGHT = 0.8;
+const BASE_RADIUS = 2; // Matches the server's touch radius
+const WAVE_SPEED = 3; // Radians per second
+
+/**
+ * Pole with a team-colored cloth. The pole's foot is at the group's origin.
+ * @param {Number} color - Hex color
+ * @param {Number} scale - 1 for a full-size flag
+ * @returns {THREE.Group}
+ */
+export function createFlagMesh(color, scale = 1) {
+    const group = new THREE.Group();
+
+    const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.05, 0.05, POLE_HEIGHT, 8),
+        new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.6, roughness: 0.4 })
+    );
+    pole.position.y = POLE_HEIGHT / 2;
+    pole.castShadow = true;
+    group.add(pole);
+
+    const cloth = new THREE.Mesh(
+        new THREE.PlaneGeometry(CLOTH_WIDTH, CLOTH_HEIGHT),
+        new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.3, side: THREE.DoubleSide })
+    );
+    cloth.position.set(CLOTH_WIDTH / 2, POLE_HEIGHT - CLOTH_HEIGHT / 2, 0);
+    cloth.castShadow = true;
+    cloth.name = 'cloth';
+    group.add(cloth);
+
+    group.scale.setScalar(scale);
+    return group;
+}
+
+/**
+ * Flag - A capture the flag team flag and its base pad, moved from server snapshots
+ */
+export class Flag {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the flag to
+     * @param {Object} state - Flag record from a snapshot ({ id, team, base, state, carrierId, position })
+     */
+    constructor(scene, state) {
+        this.scene = scene;
+        this.id = state.id;
+        this.team = state.team;
+        this.color = TEAMS[state.team]?.color ?? 0xffffff;
+        this.state = state.state;
+        this.carrierId = null;
+        this.position = new THREE.Vector3(); // Where the flag is lying (unused while carried)
+        this.wavePhase = Math.random() * Math.PI * 2;
+
+        this.mesh = createFlagMesh(this.color);
+        this.scene.add(this.mesh);
+
+        // Glowing ring marking the base, where the flag returns to and captures are made
+        this.basePad = new THREE.Mesh(
+            new THREE.RingGeometry(BASE_RADIUS - 0.3, BASE_RADIUS, 32),
+            new THREE.MeshBasicMaterial({ color: this.color, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+        );
+        this.basePad.rotation.x = -Math.PI / 2;
+        this.scene.add(this.basePad);
+
+        this.applyServerState(state);
+    }
+
+    /**
+     * Take the latest record from a snapshot
+     * @param {Object} state - Flag record
+     */
+    applyServerState(state) {
+        this.state = state.state;
+        this.carrierId = state.carrierId || null;
+
+        this.basePad.position.set(state.base.x, state.base.y + 0.05, state.base.z);
+        if (state.position) {
+            this.position.set(state.position.x, state.position.y, state.position.z);
+            this.mesh.position.copy(this.position);
+        }
+        this.mesh.visible = !this.carrierId;
+    }
+
+    /**
+     * Wave the cloth
+     * @param {Number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.mesh.visible) return;
+
+        this.wavePhase += deltaTime * WAVE_SPEED;
+        const cloth = this.mesh.getObjectByName('cloth');
+        if (cloth) {
+            cloth.rotation.y = Math.sin(this.wavePhase) * 0.3;
+        }
+    }
+
+    remove() {
+        for (const object of [this.mesh, this.basePad]) {
+            this.scene.remove(object);
+            object.traverse((child) => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                }
+            });
+        }
+    }
+}
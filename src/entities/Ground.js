@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { GAME_CONFIG } from '../utils/constants.js';
+
 export class Ground {
     constructor(scene, physicsWorld) {
         this.scene = scene;
@@ -10,7 +12,7 @@ export class Ground {
 
     create() {
         // Create only the ground plane, no walls
-        const groundGeometry = new THREE.PlaneGeometry(100, 100);
+        const groundGeometry = new THREE.PlaneGeometry(GAME_CONFIG.arenaSize, GAME_CONFIG.arenaSize);
         const groundMaterial = new THREE.MeshStandardMaterial({
             color: 0x7CFC00,
             roughness: 0.8,
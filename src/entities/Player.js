@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { log, error } from '../debug.js';
-import { ASSET_PATHS, GAME_CONFIG } from '../utils/constants.js';
+import { ASSET_PATHS, GAME_CONFIG, TEAMS } from '../utils/constants.js';
 
 export class Player {
     constructor(scene, physicsWorld, position = GAME_CONFIG.playerStartPosition, playerId = null, playerColor = null) {
@@ -31,6 +31,9 @@ export class Player {
 
         // Use the provided color or fallback to teal
         this.playerColor = playerColor || 0x00d2d3; // Bright teal as default
+        this.team = null; // Team ID in team modes
+        this.colorOverride = null; // Team color, used instead of playerColor while set
+        this.autoRespawn = true; // Off in elimination modes - the server brings us back for the next match
 
         // NEW Animation State Properties
         this.intendedAnimation = 'idle'; // What animation the input *wants*
@@ -85,21 +88,22 @@ export class Player {
                             child.receiveShadow = true;
 
                             // Apply player color if defined
-                            if (this.playerColor && !this.isRemote) {
+                            const color = this.colorOverride ?? this.playerColor;
+                            if (color && !this.isRemote) {
                                 // Clone the material to avoid affecting other instances
                                 if (Array.isArray(child.material)) {
                                     child.material = child.material.map(m => m.clone());
                                     child.material.forEach(m => {
                                         // Skip eyes
                                         if (!m.name || !m.name.toLowerCase().includes('eye')) {
-                                            m.color.setHex(this.playerColor);
+                                            m.color.setHex(color);
                                         }
                                     });
                                 } else {
                                     child.material = child.material.clone();
                                     // Skip eyes
                                     if (!child.material.name || !child.material.name.toLowerCase().includes('eye')) {
-                                        child.material.color.setHex(this.playerColor);
+                                        child.material.color.setHex(color);
                                     }
                                 }
                             }
@@ -157,6 +161,42 @@ export class Player {
         }
     }
 
+    /**
+     * Change the player's own color (e.g. once the server has assigned the real player ID)
+     * @param {Number} color - Hex color
+     */
+    setPlayerColor(color) {
+        this.playerColor = color;
+        this.applyColor();
+    }
+
+    /**
+     * Join a team (or leave team play with null) - the team color overrides the player's own
+     * @param {String|null} team - Team ID from MATCH_STATE
+     */
+    setTeam(team) {
+        this.team = team;
+        this.colorOverride = TEAMS[team]?.color ?? null;
+        this.applyColor();
+    }
+
+    // Recolor the loaded model (the eyes keep their own color)
+    applyColor() {
+        if (!this.modelLoaded || !this.mesh) return;
+
+        const color = this.colorOverride ?? this.playerColor;
+        this.mesh.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (!material.name?.toLowerCase().includes('eye')) {
+                    material.color.setHex(color);
+                    material.needsUpdate = true;
+                }
+            });
+        });
+    }
+
     // Separate method to set up the model once loaded
     setupModel(gltf) {
         try {
@@ -774,13 +814,14 @@ export class Player {
         deathMessage.style.fontFamily = 'Arial, sans-serif';
         deathMessage.style.fontWeight = 'bold';
         deathMessage.style.textShadow = '2px 2px 4px black';
-        deathMessage.textContent = 'YOU DIED';
+        deathMessage.textContent = this.autoRespawn ? 'YOU DIED' : 'ELIMINATED';
 
         document.body.appendChild(deathMessage);
 
-        // Respawn after 3 seconds
+        // Respawn after 3 seconds (unless we're out until the next match)
+        const respawns = this.autoRespawn;
         setTimeout(() => {
-            this.respawn();
+            if (respawns) this.respawn();
             document.body.removeChild(deathMessage);
         }, 3000);
     }
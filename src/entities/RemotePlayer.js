@@ -1,7 +1,17 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { log, error } from '../debug.js';
-import { ASSET_PATHS, GAME_CONFIG } from '../utils/constants.js';
+import { ASSET_PATHS, GAME_CONFIG, TEAMS } from '../utils/constants.js';
+import { SnapshotBuffer } from '../utils/SnapshotBuffer.js';
+import { createFlagMesh } from './Flag.js';
+
+// How quickly a dead reckoning miss is blended out once the real snapshot arrives (time constant, seconds)
+const ERROR_CORRECTION_TIME = 0.1;
+// Misses bigger than this are snapped rather than blended (units)
+const MAX_ERROR_CORRECTION = 3;
+// Small flag shown over the head of a capture the flag carrier
+const CARRIED_FLAG_SCALE = 0.4;
+const CARRIED_FLAG_HEIGHT = 1.2; // Above the player's origin (capsule center)
 
 export class RemotePlayer extends THREE.Object3D {
     constructor(scene, id, position = GAME_CONFIG.playerStartPosition, color = null) {
@@ -24,33 +34,31 @@ export class RemotePlayer extends THREE.Object3D {
         this.isDead = false;
         this.isAttacking = false;
         this.isJumping = false;
+        this.isReconnecting = false; // Owner's connection dropped and the server is waiting for them to resume
         this.health = 100;
 
         // Store initial position
         this.initialPosition = new THREE.Vector3(position.x, position.y, position.z);
 
-        // For position interpolation
-        this.targetPosition = new THREE.Vector3(position.x, position.y, position.z);
-        this.previousPosition = new THREE.Vector3(position.x, position.y, position.z);
-        this.interpolationFactor = 0;
-        this.interpolationSpeed = 10; // Increased from 5 to 10 for smoother movement
-
-        // For rotation interpolation
-        this.targetRotation = new THREE.Vector3(0, 0, 0);
-        this.previousRotation = new THREE.Vector3(0, 0, 0);
-        this.rotationInterpolationFactor = 0;
-        this.rotationInterpolationSpeed = 15; // Faster than position for responsive turning
+        // Server snapshots of this player - drawn at render time (server time - interpolation delay)
+        this.snapshotBuffer = new SnapshotBuffer();
+        this.rotationY = 0; // Facing, applied to the model once it has loaded
+        // Dead reckoning miss still being blended out - added to the sampled position
+        this.positionError = new THREE.Vector3();
+        this.wasExtrapolating = false;
+        this.newestSnapshotTime = null;
 
         // Movement state
         this.isMoving = false;
         this.lastPosition = new THREE.Vector3(position.x, position.y, position.z);
         this.movementThreshold = 0.01;
 
-        // Queue for storing position updates that arrive before model is loaded
-        this.positionQueue = [];
-
         // Store the player's color
         this.playerColor = color;
+        this.team = null; // Team ID in team modes
+        this.colorOverride = null; // Team color, used instead of playerColor while set
+        this.carriedFlag = null; // Team ID of the flag this player is carrying
+        this.carriedFlagMesh = null;
         this.needsSceneAdd = false; // Flag for delayed addition
 
         // Add to scene ONLY if the scene exists
@@ -69,50 +77,40 @@ export class RemotePlayer extends THREE.Object3D {
         this.createHealthBar();
     }
 
+    /**
+     * Move straight to a position (spawn, respawn) - buffered snapshots from before the jump are dropped
+     * @param {Object} position - { x, y, z }
+     */
     setPosition(position) {
         if (!position) {
             console.warn('RemotePlayer.setPosition: Invalid position provided');
             return;
         }
 
-        // Store position update if model isn't loaded yet
-        if (!this.modelLoaded || !this.model) {
-            this.positionQueue.push({
-                x: position.x,
-                y: position.y,
-                z: position.z
-            });
-            // console.log(`[RemotePlayer ${this.remoteId}] Model not loaded, queued position. Queue size: ${this.positionQueue.length}`); // Reduce noise
-            return;
-        }
+        this.snapshotBuffer.clear();
+        this.positionError.set(0, 0, 0);
+        this.position.set(position.x, position.y, position.z);
+    }
+
+    /**
+     * Buffer a server snapshot of this player
+     * @param {Number} time - Server timestamp of the snapshot (ms)
+     * @param {Object} state - { position, rotation, animation, velocity, grounded } - missing fields are unchanged
+     */
+    addSnapshot(time, state) {
+        const rotationY = typeof state.rotation === 'number' ? state.rotation : state.rotation?.y;
+        this.snapshotBuffer.push(time, {
+            position: state.position,
+            rotationY,
+            animation: state.animation,
+            velocity: state.velocity,
+            grounded: state.grounded
+        });
 
-        // *** Add Logging ***
-        if (Math.random() < 0.1) { // Log occasionally
-            console.log(`[RemotePlayer ${this.remoteId}] setPosition called. Mesh exists: ${!!this.mesh}. Pos:`, JSON.stringify(position));
-        }
-        // *** End Logging ***
-
-        // Update interpolation targets
-        this.previousPosition.copy(this.position);
-        this.targetPosition.set(position.x, position.y, position.z);
-        this.interpolationFactor = 0;
-
-        // // Detect movement for animation (based on target, not interpolated position) - REMOVED
-        // const dx = this.targetPosition.x - this.lastPosition.x;
-        // const dy = this.targetPosition.y - this.lastPosition.y; // Include Y for jumping detection
-        // const dz = this.targetPosition.z - this.lastPosition.z;
-        // const distanceSquared = dx * dx + dy * dy + dz * dz;
-        //
-        // const wasMoving = this.isMoving;
-        // this.isMoving = distanceSquared > this.movementThreshold;
-        //
-        // // Update animation based on state flags (isJumping, isAttacking, etc.) - REMOVED
-        // // This is handled in updateRemotePlayerState now, relying on server state.
-        // // if (this.isMoving !== wasMoving && !this.isAttacking && !this.isJumping && !this.isDead) {
-        // //     this.playAnimation(this.isMoving ? 'walkForward' : 'idle');
-        // // }
-
-        // this.lastPosition.copy(this.targetPosition); // REMOVED - lastPosition is not used elsewhere
+        // Nothing to interpolate from yet - show the player where the server says they are
+        if (this.snapshotBuffer.snapshots.length === 1 && state.position) {
+            this.position.set(state.position.x, state.position.y, state.position.z);
+        }
     }
 
     loadModel() {
@@ -142,18 +140,19 @@ export class RemotePlayer extends THREE.Object3D {
                             child.receiveShadow = true;
 
                             // Apply player color if provided
-                            if (this.playerColor && child.material) {
+                            const color = this.colorOverride ?? this.playerColor;
+                            if (color && child.material) {
                                 if (Array.isArray(child.material)) {
                                     child.material = child.material.map(m => m.clone());
                                     child.material.forEach(m => {
                                         if (!m.name?.toLowerCase().includes('eye')) {
-                                            m.color.setHex(this.playerColor);
+                                            m.color.setHex(color);
                                         }
                                     });
                                 } else {
                                     child.material = child.material.clone();
                                     if (!child.material.name?.toLowerCase().includes('eye')) {
-                                        child.material.color.setHex(this.playerColor);
+                                        child.material.color.setHex(color);
                                     }
                                 }
                             }
@@ -164,17 +163,15 @@ export class RemotePlayer extends THREE.Object3D {
                     this.add(model);
                     this.model = model;
                     this.modelLoaded = true;
+                    if (this.isReconnecting) {
+                        this.setReconnecting(true); // Status arrived while the model was loading
+                    }
 
                     // Set up animations
                     this.setupAnimations(gltf);
 
-                    // Process any queued position updates
-                    if (this.positionQueue.length > 0) {
-                        console.log(`RemotePlayer ${this.remoteId}: Processing ${this.positionQueue.length} queued positions after model load`);
-                        const latestPosition = this.positionQueue.pop();
-                        this.setPosition(latestPosition);
-                        this.positionQueue = []; // Clear the queue
-                    }
+                    // Face the way the last snapshot said
+                    this.model.rotation.y = this.rotationY;
 
                     log(`Remote player ${this.remoteId} model loaded and positioned successfully`); // Log success
                 },
@@ -205,14 +202,6 @@ URL attempted: ${modelPath}
                     }
                     this.model = placeholderMesh; // Use placeholder as the 'model' for positioning
                     this.modelLoaded = true; // Set to true so position updates apply to placeholder
-
-                    // Process queued positions for the placeholder
-                    if (this.positionQueue.length > 0) {
-                        console.log(`Processing ${this.positionQueue.length} queued positions for placeholder: ${this.remoteId}`);
-                        const latestPosition = this.positionQueue.pop();
-                        this.setPosition(latestPosition); // Apply position to parent RemotePlayer object
-                        this.positionQueue = [];
-                    }
                     // --- End Improved Error Handling ---
                 }
             );
@@ -346,23 +335,18 @@ URL attempted: ${modelPath}
         }
     }
 
+    /**
+     * Face a direction straight away (snapshots are applied through addSnapshot instead)
+     * @param {Number|Object} rotation - Y rotation, or { x, y, z }
+     */
     setRotation(rotation) {
-        if (!rotation || !this.modelLoaded || !this.model) return;
+        if (rotation === undefined || rotation === null) return;
 
         // Handle both number (just Y rotation) and full rotation object
-        let targetY;
-        if (typeof rotation === 'number') {
-            targetY = rotation;
-        } else {
-            targetY = rotation.y || 0;
+        this.rotationY = typeof rotation === 'number' ? rotation : (rotation.y || 0);
+        if (this.model) {
+            this.model.rotation.y = this.rotationY;
         }
-
-        // Store previous rotation
-        this.previousRotation.y = this.model.rotation.y;
-
-        // Set target rotation
-        this.targetRotation.y = targetY;
-        this.rotationInterpolationFactor = 0;
     }
 
     getPosition() {
@@ -383,7 +367,12 @@ URL attempted: ${modelPath}
         };
     }
 
-    update(deltaTime) {
+    /**
+     * Advance animations and move to where the server had this player at renderTime
+     * @param {Number} deltaTime - Frame time in seconds
+     * @param {Number} renderTime - Server time being drawn (server time - interpolation delay), in ms
+     */
+    update(deltaTime, renderTime) {
         if (!this.modelLoaded) return;
 
         // Update animation mixer
@@ -391,14 +380,17 @@ URL attempted: ${modelPath}
             this.mixer.update(deltaTime);
         }
 
-        // Interpolate position
-        if (this.interpolationFactor < 1) {
-            this.interpolationFactor += deltaTime * this.interpolationSpeed;
-            if (this.interpolationFactor > 1) this.interpolationFactor = 1;
+        // Interpolate between the snapshots either side of renderTime (dead reckoning briefly if we've run out)
+        const sample = renderTime !== undefined ? this.snapshotBuffer.sample(renderTime) : null;
+        if (sample) {
+            this.snapshotBuffer.discardBefore(renderTime);
+            this.applySampledPosition(sample, deltaTime);
+            this.setRotation(sample.rotationY);
 
-            const newPosition = new THREE.Vector3();
-            newPosition.lerpVectors(this.previousPosition, this.targetPosition, this.interpolationFactor);
-            this.position.copy(newPosition);
+            // Animation changes line up with the movement they belong to
+            if (sample.animation && !this.isDead && this.currentAnimation !== sample.animation) {
+                this.playAnimation(sample.animation);
+            }
         }
 
         // --- Delayed Scene Add --- 
@@ -416,33 +408,42 @@ URL attempted: ${modelPath}
         }
         // --- End Delayed Scene Add --- 
 
-        // Interpolate rotation
-        if (this.rotationInterpolationFactor < 1 && this.model) {
-            this.rotationInterpolationFactor += deltaTime * this.rotationInterpolationSpeed;
-            if (this.rotationInterpolationFactor > 1) this.rotationInterpolationFactor = 1;
-
-            // Interpolate rotation using shortest path
-            let fromAngle = this.previousRotation.y;
-            let toAngle = this.targetRotation.y;
-
-            // Normalize angles
-            while (fromAngle > Math.PI) fromAngle -= 2 * Math.PI;
-            while (fromAngle < -Math.PI) fromAngle += 2 * Math.PI;
-            while (toAngle > Math.PI) toAngle -= 2 * Math.PI;
-            while (toAngle < -Math.PI) toAngle += 2 * Math.PI;
-
-            // Calculate shortest rotation path
-            let diff = toAngle - fromAngle;
-            if (diff > Math.PI) diff -= 2 * Math.PI;
-            if (diff < -Math.PI) diff += 2 * Math.PI;
+        // Update visual elements
+        // this.updateVisualElements(); // This call was causing the error, handle updates within updateHealthBarPosition
+        this.updateHealthBarPosition(); // Follows the interpolated position
+    }
 
-            // Apply interpolated rotation
-            this.model.rotation.y = fromAngle + diff * this.rotationInterpolationFactor;
+    /**
+     * Move to a sampled position. If we were dead reckoning and a newer snapshot has turned up,
+     * the difference between where we drew the player and where they really were is blended out
+     * over a few frames instead of snapping.
+     * @param {Object} sample - From SnapshotBuffer.sample
+     * @param {Number} deltaTime - Frame time in seconds
+     */
+    applySampledPosition(sample, deltaTime) {
+        const snapshots = this.snapshotBuffer.snapshots;
+        const newestTime = snapshots[snapshots.length - 1].time;
+
+        if (this.wasExtrapolating && newestTime !== this.newestSnapshotTime) {
+            this.positionError.set(
+                this.position.x - sample.position.x,
+                this.position.y - sample.position.y,
+                this.position.z - sample.position.z
+            );
+            if (this.positionError.length() > MAX_ERROR_CORRECTION) {
+                this.positionError.set(0, 0, 0);
+            }
+        } else {
+            this.positionError.multiplyScalar(Math.exp(-deltaTime / ERROR_CORRECTION_TIME));
         }
 
-        // Update visual elements
-        // this.updateVisualElements(); // This call was causing the error, handle updates within updateHealthBarPosition
-        this.updateHealthBarPosition(); // Call the correct function to update DOM position
+        this.wasExtrapolating = sample.extrapolated;
+        this.newestSnapshotTime = newestTime;
+        this.position.set(
+            sample.position.x + this.positionError.x,
+            sample.position.y + this.positionError.y,
+            sample.position.z + this.positionError.z
+        );
     }
 
     updateVisualElements() {
@@ -515,6 +516,87 @@ URL attempted: ${modelPath}
         this.playAnimation(name);
     }
 
+    /**
+     * Join a team (or leave team play with null): tint the model with the team color and
+     * prefix the name tag with the team name
+     * @param {String|null} team - Team ID from MATCH_STATE
+     */
+    setTeam(team) {
+        this.team = team;
+        this.colorOverride = TEAMS[team]?.color ?? null;
+
+        if (this.nameTag) {
+            const playerName = this.nameTag.dataset.playerName || this.nameTag.dataset.name;
+            this.nameTag.dataset.playerName = playerName;
+            this.nameTag.dataset.name = TEAMS[team] ? `[${TEAMS[team].name}] ${playerName}` : playerName;
+            this.nameTag.style.borderBottom = TEAMS[team] ? `2px solid #${TEAMS[team].color.toString(16).padStart(6, '0')}` : '';
+            this.nameTag.textContent = this.isReconnecting ? `${this.nameTag.dataset.name} (reconnecting...)` : this.nameTag.dataset.name;
+        }
+
+        if (this.model) {
+            const color = this.colorOverride ?? this.playerColor;
+            this.model.traverse((child) => {
+                if (!child.isMesh || !child.material || !color) return;
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    if (!material.name?.toLowerCase().includes('eye')) {
+                        material.color.setHex(color);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Show (or hide, with null) the carrier indicator - a small flag above the player's head
+     * @param {String|null} team - Team ID of the carried flag
+     */
+    setCarriedFlag(team) {
+        if (team === this.carriedFlag) return;
+        this.carriedFlag = team;
+
+        if (this.carriedFlagMesh) {
+            this.carriedFlagMesh.removeFromParent(); // Not this.remove() - that tears the whole player down
+            this.carriedFlagMesh.traverse((child) => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                }
+            });
+            this.carriedFlagMesh = null;
+        }
+
+        if (team) {
+            this.carriedFlagMesh = createFlagMesh(TEAMS[team]?.color ?? 0xffffff, CARRIED_FLAG_SCALE);
+            this.carriedFlagMesh.position.y = CARRIED_FLAG_HEIGHT;
+            this.add(this.carriedFlagMesh);
+        }
+    }
+
+    /**
+     * Show or clear the "reconnecting" status on the name tag and fade the model while it is set
+     * @param {Boolean} isReconnecting - Whether the server is holding this player for a resume
+     */
+    setReconnecting(isReconnecting) {
+        this.isReconnecting = isReconnecting;
+
+        if (this.nameTag) {
+            const name = this.nameTag.dataset.name || this.nameTag.textContent;
+            this.nameTag.textContent = isReconnecting ? `${name} (reconnecting...)` : name;
+        }
+
+        if (this.model) {
+            this.model.traverse((child) => {
+                if (!child.isMesh || !child.material) return;
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    material.transparent = isReconnecting;
+                    material.opacity = isReconnecting ? 0.4 : 1;
+                });
+            });
+        }
+    }
+
     remove() {
         // Remove from scene
         this.scene.scene.remove(this);
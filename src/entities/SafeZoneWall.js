@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { getSafeZoneCircle } from '../utils/SafeZone.js';
+
+const WALL_HEIGHT = 20; // As tall as the invisible arena walls
+const WALL_COLOR = 0x48dbfb;
+const WALL_OPACITY = 0.25;
+const NEXT_COLOR = 0xffffff;
+const SEGMENTS = 96;
+const SHIMMER_SPEED = 2; // Radians per second
+
+/**
+ * SafeZoneWall - The last blob standing safe zone: a translucent wall around the current circle and
+ * a line on the ground where the zone is closing to. Placed every frame from the stage in
+ * MATCH_STATE, so it shrinks smoothly between messages.
+ */
+export class SafeZoneWall {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the wall to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.shimmerPhase = 0;
+
+        // Unit-radius shapes, scaled to the circle every frame
+        const wallGeometry = new THREE.CylinderGeometry(1, 1, WALL_HEIGHT, SEGMENTS, 1, true);
+        wallGeometry.translate(0, WALL_HEIGHT / 2, 0); // Stand it on the ground
+        this.wall = new THREE.Mesh(wallGeometry, new THREE.MeshBasicMaterial({
+            color: WALL_COLOR,
+            transparent: true,
+            opacity: WALL_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+
+        const points = [];
+        for (let i = 0; i < SEGMENTS; i++) {
+            const angle = i / SEGMENTS * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+        }
+        this.nextCircle = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: NEXT_COLOR })
+        );
+        this.nextCircle.position.y = 0.05; // Just above the ground
+
+        this.scene.add(this.wall, this.nextCircle);
+    }
+
+    /**
+     * Place the wall for this frame
+     * @param {Object} stage - Safe zone stage from MATCH_STATE
+     * @param {Number} serverTime - Current server time (ms)
+     * @param {Number} deltaTime - Seconds since the last frame
+     * @returns {Object} The circle right now ({ x, z, radius })
+     */
+    update(stage, serverTime, deltaTime) {
+        const circle = getSafeZoneCircle(stage, serverTime);
+
+        this.wall.visible = circle.radius > 0;
+        this.wall.position.set(circle.x, 0, circle.z);
+        this.wall.scale.set(Math.max(circle.radius, 0.01), 1, Math.max(circle.radius, 0.01));
+
+        this.shimmerPhase += deltaTime * SHIMMER_SPEED;
+        this.wall.material.opacity = WALL_OPACITY * (1 + 0.3 * Math.sin(this.shimmerPhase));
+
+        // Show where it's going until it gets there
+        this.nextCircle.visible = stage.to.radius > 0 && serverTime < stage.shrinkEndsAt;
+        this.nextCircle.position.x = stage.to.x;
+        this.nextCircle.position.z = stage.to.z;
+        this.nextCircle.scale.setScalar(Math.max(stage.to.radius, 0.01));
+
+        return circle;
+    }
+
+    remove() {
+        for (const object of [this.wall, this.nextCircle]) {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+}
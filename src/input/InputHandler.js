@@ -14,7 +14,7 @@ export class InputHandler {
 
     init() {
         // Prevent default behavior for game control keys
-        const gameKeys = ['w', 'a', 's', 'd', ' ', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'e', 'f', 'r']; // Added action keys
+        const gameKeys = ['w', 'a', 's', 'd', ' ', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'e', 'f', 'r', 'tab']; // Added action keys (Tab holds the scoreboard open)
 
         window.addEventListener('keydown', (event) => {
             const key = event.key.toLowerCase(); // Use lowercase consistently
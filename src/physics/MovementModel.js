@@ -0,0 +1,85 @@
+/**
+ * MovementModel.js
+ *
+ * Movement rules shared by client-side prediction (PredictionSystem) and the
+ * authoritative server simulation (server/ServerPhysics.js).
+ * Keep this file free of THREE.js / DOM / Ammo imports so the Bun server can load it directly.
+ */
+
+// Movement constants (must match between client and server or reconciliation will fight the player)
+export const MOVE_SPEED = 15;
+export const JUMP_IMPULSE = 7;
+export const VELOCITY_INTERPOLATION_FACTOR = 0.2;
+export const STOP_DAMPING_FACTOR = 0.9;
+export const STOP_THRESHOLD = 0.1;
+
+/**
+ * Convert WASD movement flags and a camera yaw into a normalized world-space direction
+ * @param {Object} movement - { forward, backward, left, right } booleans
+ * @param {Number} yaw - Camera yaw in radians (0 = looking down -Z)
+ * @returns {Object|null} Normalized { x, z } direction, or null when there is no movement
+ */
+export function getMoveDirection(movement, yaw = 0) {
+    if (!movement) return null;
+
+    let localX = 0;
+    let localZ = 0;
+    if (movement.forward) localZ -= 1;
+    if (movement.backward) localZ += 1;
+    if (movement.left) localX -= 1;
+    if (movement.right) localX += 1;
+
+    if (localX === 0 && localZ === 0) return null;
+
+    // Camera forward is (0, 0, -1) and right is (1, 0, 0) rotated about Y by yaw
+    const sinYaw = Math.sin(yaw);
+    const cosYaw = Math.cos(yaw);
+    const x = (-sinYaw * -localZ) + (cosYaw * localX);
+    const z = (-cosYaw * -localZ) + (-sinYaw * localX);
+
+    const length = Math.sqrt(x * x + z * z);
+    if (length === 0) return null;
+
+    return { x: x / length, z: z / length };
+}
+
+/**
+ * Compute the new horizontal velocity for one input step
+ * @param {Object} movement - { forward, backward, left, right } booleans
+ * @param {Number} yaw - Camera yaw in radians
+ * @param {Object} currentVelocity - Current { x, z } velocity
+ * @param {Number} speed - Top speed (server-driven enemies move slower than players)
+ * @returns {Object} { x, z, isMoving }
+ */
+export function computeHorizontalVelocity(movement, yaw, currentVelocity, speed = MOVE_SPEED) {
+    const direction = getMoveDirection(movement, yaw);
+
+    if (direction) {
+        // Smoothly interpolate towards target velocity
+        const targetVelX = direction.x * speed;
+        const targetVelZ = direction.z * speed;
+        return {
+            x: currentVelocity.x + (targetVelX - currentVelocity.x) * VELOCITY_INTERPOLATION_FACTOR,
+            z: currentVelocity.z + (targetVelZ - currentVelocity.z) * VELOCITY_INTERPOLATION_FACTOR,
+            isMoving: true
+        };
+    }
+
+    // No direction - gradually damp horizontal velocity, stopping completely when very small
+    const dampedX = currentVelocity.x * STOP_DAMPING_FACTOR;
+    const dampedZ = currentVelocity.z * STOP_DAMPING_FACTOR;
+    return {
+        x: Math.abs(dampedX) < STOP_THRESHOLD ? 0 : dampedX,
+        z: Math.abs(dampedZ) < STOP_THRESHOLD ? 0 : dampedZ,
+        isMoving: false
+    };
+}
+
+/**
+ * Derive a yaw angle from a camera forward vector
+ * @param {Object} forward - Camera world direction { x, y, z }
+ * @returns {Number} Yaw in radians
+ */
+export function yawFromDirection(forward) {
+    return Math.atan2(-forward.x, -forward.z);
+}
@@ -6,12 +6,14 @@
  */
 import * as THREE from 'three';
 import { log, error } from '../debug.js';
+import { computeHorizontalVelocity, yawFromDirection, MOVE_SPEED, JUMP_IMPULSE } from './MovementModel.js';
 
 export class PredictionSystem {
     constructor(game) {
         this.game = game;
         this.inputSequence = 0;
         this.pendingInputs = [];
+        this.lastSentSequence = 0; // Highest input sequence already sent to the server
         this.lastProcessedInput = -1;
 
         // Thresholds for position reconciliation
@@ -34,9 +36,9 @@ export class PredictionSystem {
         this.velocityInterpolationFactor = 0.2; // Adjust for desired responsiveness vs smoothness
         this.stopDampingFactor = 0.9; // How quickly the player stops (closer to 1 = slower stop)
 
-        // Movement constants
-        this.MOVE_SPEED = 15;
-        this.JUMP_FORCE = 10;
+        // Movement constants (shared with the server simulation via MovementModel.js)
+        this.MOVE_SPEED = MOVE_SPEED;
+        this.JUMP_FORCE = JUMP_IMPULSE;
 
         // Last input time tracking
         this.lastInputAppliedTime = 0;
@@ -61,6 +63,9 @@ export class PredictionSystem {
 
         this.inputSequence++;
 
+        // Capture the camera yaw so the server (and reconciliation replays) move in the same direction
+        input.yaw = this.getCameraYaw();
+
         // Track if this is a movement input
         const isMovementInput = input.movement && (
             input.movement.forward ||
@@ -93,6 +98,45 @@ export class PredictionSystem {
         return this.inputSequence;
     }
 
+    /**
+     * Get the current camera yaw used to turn WASD input into a world direction
+     * @returns {Number} Yaw in radians
+     */
+    getCameraYaw() {
+        const camera = this.game.scene?.camera;
+        if (!camera) return 0;
+
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        return yawFromDirection(forward);
+    }
+
+    /**
+     * Collect inputs that have not been sent to the server yet
+     * @returns {Array} Inputs in the wire format expected by the server
+     */
+    takeUnsentInputs() {
+        const unsent = this.pendingInputs
+            .filter(pending => pending.sequence > this.lastSentSequence)
+            .map(pending => ({
+                sequence: pending.sequence,
+                movement: {
+                    forward: Boolean(pending.input.movement?.forward),
+                    backward: Boolean(pending.input.movement?.backward),
+                    left: Boolean(pending.input.movement?.left),
+                    right: Boolean(pending.input.movement?.right)
+                },
+                yaw: pending.input.yaw,
+                jump: Boolean(pending.input.jump)
+            }));
+
+        if (unsent.length > 0) {
+            this.lastSentSequence = unsent[unsent.length - 1].sequence;
+        }
+
+        return unsent;
+    }
+
     /**
      * Apply an input to the local player - handles actual movement
      * @param {Object} input - The input to apply
@@ -113,77 +157,36 @@ export class PredictionSystem {
             }
 
             // Handle movement
-            if (input.movement) {
-                const direction = { x: 0, z: 0 };
-
-                if (input.movement.forward) direction.z -= 1;
-                if (input.movement.backward) direction.z += 1;
-                if (input.movement.left) direction.x -= 1;
-                if (input.movement.right) direction.x += 1;
-
-                // Get camera direction for movement relative to view
-                const camera = this.game.scene.camera;
-                if (!camera) return;
-
-                const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
-                forward.y = 0;
-                forward.normalize();
-
-                const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
-                right.y = 0;
-                right.normalize();
-
-                // Calculate movement direction
-                const finalDirection = new THREE.Vector3();
-                if (direction.x !== 0 || direction.z !== 0) {
-                    finalDirection.addScaledVector(forward, -direction.z);
-                    finalDirection.addScaledVector(right, direction.x);
-                    finalDirection.normalize();
-
-                    // Get current velocity
-                    const velocity = this.game.player.body.getLinearVelocity();
-                    const currentVelY = velocity.y();
-                    const currentVelX = velocity.x();
-                    const currentVelZ = velocity.z();
-
-                    // Calculate target velocity
-                    const targetVelX = finalDirection.x * this.MOVE_SPEED;
-                    const targetVelZ = finalDirection.z * this.MOVE_SPEED;
-
-                    // Smoothly interpolate towards target velocity
-                    const interpFactor = this.velocityInterpolationFactor;
-                    const newVelX = currentVelX + (targetVelX - currentVelX) * interpFactor;
-                    const newVelZ = currentVelZ + (targetVelZ - currentVelZ) * interpFactor;
-
-                    // Set interpolated velocity
-                    const newVelocity = new Ammo.btVector3(
-                        newVelX,
-                        currentVelY,
-                        newVelZ
-                    );
-                    this.game.player.body.setLinearVelocity(newVelocity);
-                    Ammo.destroy(newVelocity);
-
-                    // Update last input time
-                    this.lastInputAppliedTime = Date.now();
-                    this.noInputDuration = 0;
-                    this.velocityDampingActive = false;
-
-                    // -- Set Movement Intent on Player (gated by !isReconciliation) --
-                    if (!isReconciliation && this.game.player) {
-                        // Instead of calling updateMovementAnimation directly,
-                        // set the intent on the player object.
-                        this.game.player.setMovementIntent(input.movement);
-                    }
-                } else {
-                    // No local direction (WASD keys released *this frame*)
-                    // Don't stop movement if player is currently attacking
-                    if (!this.game.player.isAttacking) {
-                        this.stopMovement();
-                    }
+            const velocity = this.game.player.body.getLinearVelocity();
+            const horizontal = computeHorizontalVelocity(
+                input.movement,
+                typeof input.yaw === 'number' ? input.yaw : this.getCameraYaw(),
+                { x: velocity.x(), z: velocity.z() }
+            );
+
+            if (horizontal.isMoving) {
+                // Set interpolated velocity
+                const newVelocity = new Ammo.btVector3(
+                    horizontal.x,
+                    velocity.y(),
+                    horizontal.z
+                );
+                this.game.player.body.setLinearVelocity(newVelocity);
+                Ammo.destroy(newVelocity);
+
+                // Update last input time
+                this.lastInputAppliedTime = Date.now();
+                this.noInputDuration = 0;
+                this.velocityDampingActive = false;
+
+                // -- Set Movement Intent on Player (gated by !isReconciliation) --
+                if (!isReconciliation && this.game.player) {
+                    // Instead of calling updateMovementAnimation directly,
+                    // set the intent on the player object.
+                    this.game.player.setMovementIntent(input.movement);
                 }
             } else {
-                // No input.movement object provided at all?
+                // No local direction (WASD keys released *this frame*)
                 // Don't stop movement if player is currently attacking
                 if (!this.game.player.isAttacking) {
                     this.stopMovement();
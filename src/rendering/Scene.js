@@ -162,8 +162,8 @@ export class GameScene {
 
     update() {
         try {
-            // Get player position for camera if game instance exists
-            if (window.game && window.game.player) {
+            // Get player position for camera if game instance exists (a spectator camera drives it instead)
+            if (window.game && window.game.player && !window.game.spectatorCamera) {
                 try {
                     const playerPos = window.game.player.getPosition();
 
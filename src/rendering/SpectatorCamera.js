@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+export const SPECTATOR_MODES = {
+    FREE: 'free', // Fly around with WASD (Space up, Shift down) and mouse look
+    FOLLOW: 'follow' // Orbit camera behind one of the remote players
+};
+
+// Free-fly speed in units per second
+const FLY_SPEED = 15;
+// Where the free camera starts - above the arena, looking across it
+const START_POSITION = { x: 0, y: 15, z: 25 };
+
+/**
+ * Camera for spectator connections, which have no local player to follow.
+ * Mouse look comes from GameScene (pointer lock); following reuses its orbit camera.
+ */
+export class SpectatorCamera {
+    /**
+     * @param {GameScene} gameScene - Scene whose camera this drives
+     * @param {InputHandler} input - Keyboard state for free flight
+     */
+    constructor(gameScene, input) {
+        this.gameScene = gameScene;
+        this.input = input;
+        this.mode = SPECTATOR_MODES.FREE;
+        this.followId = null; // Remote player ID being followed
+        this.position = new THREE.Vector3(START_POSITION.x, START_POSITION.y, START_POSITION.z);
+    }
+
+    /**
+     * Switch between free flight and following a player
+     * @param {Object} remotePlayers - Game.remotePlayers
+     */
+    toggleMode(remotePlayers) {
+        if (this.mode === SPECTATOR_MODES.FREE) {
+            this.mode = SPECTATOR_MODES.FOLLOW;
+            if (!remotePlayers[this.followId]) this.cycleTarget(remotePlayers, 1);
+        } else {
+            // Carry on flying from where the follow camera was
+            this.position.copy(this.gameScene.camera.position);
+            this.mode = SPECTATOR_MODES.FREE;
+        }
+    }
+
+    /**
+     * Follow the next (step 1) or previous (step -1) remote player
+     * @param {Object} remotePlayers - Game.remotePlayers
+     * @param {Number} step - Direction to cycle in
+     */
+    cycleTarget(remotePlayers, step) {
+        const ids = Object.keys(remotePlayers).sort();
+        if (ids.length === 0) {
+            this.followId = null;
+            return;
+        }
+
+        const index = ids.indexOf(this.followId);
+        this.followId = index === -1
+            ? ids[step > 0 ? 0 : ids.length - 1]
+            : ids[(index + step + ids.length) % ids.length];
+        this.mode = SPECTATOR_MODES.FOLLOW;
+    }
+
+    /**
+     * Move the camera for this frame
+     * @param {Number} deltaTime - Frame time in seconds
+     * @param {Object} remotePlayers - Game.remotePlayers
+     */
+    update(deltaTime, remotePlayers) {
+        if (this.mode === SPECTATOR_MODES.FOLLOW) {
+            // The player we were following left or went out of range - pick someone else
+            if (!remotePlayers[this.followId]) this.cycleTarget(remotePlayers, 1);
+
+            const target = remotePlayers[this.followId];
+            if (target) {
+                this.gameScene.updateCamera(target.position);
+                return;
+            }
+            this.mode = SPECTATOR_MODES.FREE; // Nobody to follow
+        }
+
+        this.updateFreeFlight(deltaTime);
+    }
+
+    // Fly along the look direction with WASD, straight up and down with Space / Shift
+    updateFreeFlight(deltaTime) {
+        const look = new THREE.Euler(this.gameScene.targetRotationY, this.gameScene.targetRotationX, 0, 'YXZ');
+        const rotation = new THREE.Quaternion().setFromEuler(look);
+
+        const move = new THREE.Vector3();
+        if (this.input.isKeyPressed('w')) move.z -= 1;
+        if (this.input.isKeyPressed('s')) move.z += 1;
+        if (this.input.isKeyPressed('a')) move.x -= 1;
+        if (this.input.isKeyPressed('d')) move.x += 1;
+        move.applyQuaternion(rotation);
+        if (this.input.isKeyPressed(' ')) move.y += 1;
+        if (this.input.isKeyPressed('shift')) move.y -= 1;
+
+        if (move.lengthSq() > 0) {
+            this.position.addScaledVector(move.normalize(), FLY_SPEED * deltaTime);
+        }
+
+        const camera = this.gameScene.camera;
+        camera.position.copy(this.position);
+        camera.quaternion.copy(rotation);
+    }
+
+    /**
+     * Short description of what the camera is doing, for the spectator HUD
+     * @param {Object} remotePlayers - Game.remotePlayers
+     * @returns {String}
+     */
+    getStatusText(remotePlayers) {
+        if (this.mode === SPECTATOR_MODES.FOLLOW && remotePlayers[this.followId]) {
+            return `Spectating ${this.followId} - Q/E: previous/next player, C: free camera`;
+        }
+        return 'Spectating (free camera) - WASD, Space/Shift: fly, C or Q/E: follow a player';
+    }
+}
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { TEAMS } from '../utils/constants.js';
+
+const EDGE_MARGIN = 40; // Pixels kept between an off-screen marker and the window edge
+const MARKER_HEIGHT = 3.5; // World units above the flag's position the marker points at
+
+/**
+ * FlagHud - One marker per capture the flag flag. A flag on screen gets a marker above it; an
+ * off-screen one gets an arrow on the edge of the screen pointing towards it. Labels show the
+ * team, the flag's state and its distance. Also tells the local player when they're the carrier.
+ */
+export class FlagHud {
+    constructor() {
+        this.markers = {}; // Map of flag IDs to { element, arrow, label }
+        this.projected = new THREE.Vector3();
+
+        this.carrierNotice = document.createElement('div');
+        this.carrierNotice.id = 'flag-carrier-notice';
+        this.carrierNotice.style.position = 'fixed';
+        this.carrierNotice.style.bottom = '80px';
+        this.carrierNotice.style.left = '50%';
+        this.carrierNotice.style.transform = 'translateX(-50%)';
+        this.carrierNotice.style.color = '#fff';
+        this.carrierNotice.style.fontFamily = 'Arial, sans-serif';
+        this.carrierNotice.style.fontSize = '18px';
+        this.carrierNotice.style.fontWeight = 'bold';
+        this.carrierNotice.style.textShadow = '1px 1px 3px #000';
+        this.carrierNotice.style.pointerEvents = 'none';
+        this.carrierNotice.style.zIndex = '1000';
+        this.carrierNotice.style.display = 'none';
+        document.body.appendChild(this.carrierNotice);
+    }
+
+    createMarker(flag) {
+        const color = `#${(TEAMS[flag.team]?.color ?? 0xffffff).toString(16).padStart(6, '0')}`;
+
+        const element = document.createElement('div');
+        element.className = 'flag-marker';
+        element.style.position = 'fixed';
+        element.style.display = 'flex';
+        element.style.flexDirection = 'column';
+        element.style.alignItems = 'center';
+        element.style.transform = 'translate(-50%, -50%)';
+        element.style.pointerEvents = 'none';
+        element.style.zIndex = '1000';
+
+        // A triangle made from borders, pointing up before rotation
+        const arrow = document.createElement('div');
+        arrow.style.width = '0';
+        arrow.style.height = '0';
+        arrow.style.borderLeft = '10px solid transparent';
+        arrow.style.borderRight = '10px solid transparent';
+        arrow.style.borderBottom = `16px solid ${color}`;
+
+        const label = document.createElement('div');
+        label.style.color = color;
+        label.style.fontFamily = 'Arial, sans-serif';
+        label.style.fontSize = '12px';
+        label.style.fontWeight = 'bold';
+        label.style.textShadow = '1px 1px 2px #000';
+        label.style.whiteSpace = 'nowrap';
+
+        element.appendChild(arrow);
+        element.appendChild(label);
+        document.body.appendChild(element);
+
+        return { element, arrow, label };
+    }
+
+    /**
+     * Reposition the markers for this frame
+     * @param {Array} flags - [{ id, team, state, position: THREE.Vector3 }] where each flag is right now
+     * @param {THREE.Camera} camera - Camera the scene is drawn with
+     * @param {THREE.Vector3|null} viewerPosition - Local player position, for distances
+     * @param {String|null} carriedTeam - Team of the flag the local player carries, if any
+     */
+    update(flags, camera, viewerPosition, carriedTeam) {
+        const seen = new Set();
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        for (const flag of flags) {
+            seen.add(flag.id);
+            const marker = this.markers[flag.id] || (this.markers[flag.id] = this.createMarker(flag));
+
+            this.projected.set(flag.position.x, flag.position.y + MARKER_HEIGHT, flag.position.z).project(camera);
+            let { x, y } = this.projected;
+            const behind = this.projected.z > 1;
+            if (behind) {
+                // Behind the camera the projection is mirrored
+                x = -x;
+                y = -y;
+            }
+
+            const onScreen = !behind && Math.abs(x) <= 1 && Math.abs(y) <= 1;
+            let rotation = 180; // Pointing down at the flag
+            if (!onScreen) {
+                // Push the marker out to the screen edge along its direction from the center
+                const scale = 1 / Math.max(Math.abs(x), Math.abs(y), 1e-6);
+                x *= scale;
+                y *= scale;
+                rotation = 90 - Math.atan2(y * height, x * width) * 180 / Math.PI;
+            }
+
+            const screenX = Math.min(Math.max((x * 0.5 + 0.5) * width, EDGE_MARGIN), width - EDGE_MARGIN);
+            const screenY = Math.min(Math.max((-y * 0.5 + 0.5) * height, EDGE_MARGIN), height - EDGE_MARGIN);
+            marker.element.style.left = `${screenX}px`;
+            marker.element.style.top = `${screenY}px`;
+            marker.arrow.style.transform = `rotate(${rotation}deg)`;
+
+            const distance = viewerPosition ? ` ${Math.round(viewerPosition.distanceTo(flag.position))}m` : '';
+            const stateText = flag.state === 'home' ? '' : ` (${flag.state === 'carried' ? 'taken' : 'dropped'})`;
+            const text = `${TEAMS[flag.team]?.name || flag.team} flag${stateText}${distance}`;
+            if (marker.label.textContent !== text) {
+                marker.label.textContent = text;
+            }
+        }
+
+        for (const id in this.markers) {
+            if (!seen.has(id)) {
+                this.markers[id].element.remove();
+                delete this.markers[id];
+            }
+        }
+
+        const notice = carriedTeam ? `You have the ${TEAMS[carriedTeam]?.name || carriedTeam} flag - take it to your base!` : '';
+        if (this.carrierNotice.textContent !== notice) {
+            this.carrierNotice.textContent = notice;
+            this.carrierNotice.style.display = notice ? 'block' : 'none';
+        }
+    }
+
+    remove() {
+        for (const id in this.markers) {
+            this.markers[id].element.remove();
+        }
+        this.markers = {};
+        this.carrierNotice.remove();
+    }
+}
@@ -0,0 +1,147 @@
+import { TEAMS } from '../utils/constants.js';
+
+/**
+ * MatchHud - Match timer, leader (or team scores, or survivors and the safe zone) and the local
+ * player's score at the top of the screen, and the winner banner during the intermission. Driven by
+ * MATCH_STATE messages.
+ */
+export class MatchHud {
+    constructor() {
+        this.state = null;
+        this.lastText = null;
+        this.create();
+    }
+
+    create() {
+        this.container = document.createElement('div');
+        this.container.id = 'match-hud';
+        this.container.style.position = 'fixed';
+        this.container.style.top = '10px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.padding = '6px 14px';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.container.style.borderRadius = '5px';
+        this.container.style.color = '#fff';
+        this.container.style.fontFamily = 'Arial, sans-serif';
+        this.container.style.fontSize = '14px';
+        this.container.style.textAlign = 'center';
+        this.container.style.whiteSpace = 'pre-line';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '1000';
+
+        this.banner = document.createElement('div');
+        this.banner.id = 'match-banner';
+        this.banner.style.position = 'fixed';
+        this.banner.style.top = '30%';
+        this.banner.style.left = '50%';
+        this.banner.style.transform = 'translateX(-50%)';
+        this.banner.style.color = '#fff';
+        this.banner.style.fontFamily = 'Arial, sans-serif';
+        this.banner.style.fontSize = '36px';
+        this.banner.style.fontWeight = 'bold';
+        this.banner.style.textShadow = '2px 2px 4px #000';
+        this.banner.style.pointerEvents = 'none';
+        this.banner.style.zIndex = '1000';
+        this.banner.style.display = 'none';
+
+        document.body.appendChild(this.container);
+        document.body.appendChild(this.banner);
+    }
+
+    /**
+     * Take a new MATCH_STATE
+     * @param {Object} state - MATCH_STATE data
+     */
+    update(state) {
+        this.state = state;
+        this.lastText = null; // Redraw on the next render
+    }
+
+    /**
+     * Refresh the text (only touches the DOM when something visible changed)
+     * @param {Number} serverTime - Current server time (ms), for the countdown
+     * @param {String} localPlayerId - Our player ID, to show our own score and "You win!"
+     */
+    render(serverTime, localPlayerId) {
+        if (!this.state) return;
+
+        const { phase, endsAt, leaderId, winnerId, scores = {}, fragLimit, captureLimit, controlLimit, control, teams, teamScores, alive, safeZone } = this.state;
+        const secondsLeft = endsAt ? Math.max(0, Math.ceil((endsAt - serverTime) / 1000)) : null;
+        const nameOf = (playerId) => playerId === localPlayerId ? 'You' : playerId;
+        // In team modes winners and leaders are team IDs
+        const localTeam = teams?.[localPlayerId];
+
+        let text;
+        let banner = null;
+        if (phase === 'waiting') {
+            text = 'Warmup - waiting for more players';
+        } else if (phase === 'intermission') {
+            if (!winnerId) {
+                banner = 'Draw!';
+            } else if (teams) {
+                banner = winnerId === localTeam ? 'Your team wins!' : `${TEAMS[winnerId]?.name || winnerId} team wins!`;
+            } else {
+                banner = winnerId === localPlayerId ? 'You win!' : `${winnerId} wins!`;
+            }
+            text = `Next match in ${secondsLeft}s`;
+        } else {
+            const goal = captureLimit ? `first to ${captureLimit} captures` : controlLimit ? `first to ${formatTime(controlLimit)}` :
+                alive ? 'last blob standing wins' : `first to ${fragLimit}`;
+            const lines = [`${formatTime(secondsLeft)}  -  ${goal}`];
+            if (alive) {
+                // Last blob standing: survivors and what the safe zone is doing
+                lines.push(`${alive.length} left${alive.includes(localPlayerId) ? '' : ' - you are out until the next match'}`);
+                if (safeZone) lines.push(describeSafeZone(safeZone, serverTime));
+            } else if (teamScores) {
+                const formatScore = (score) => controlLimit ? formatTime(score) : score; // Seconds of control in king of the hill
+                lines.push(Object.keys(teamScores).map(teamId => `${TEAMS[teamId]?.name || teamId} ${formatScore(teamScores[teamId])}`).join('  :  '));
+            } else if (control) {
+                // King of the hill: scores are seconds of control
+                if (leaderId) lines.push(`Leader: ${nameOf(leaderId)} (${formatTime(control[leaderId] || 0)})`);
+                lines.push(`Your control: ${formatTime(control[localPlayerId] || 0)}`);
+            } else if (leaderId && scores[leaderId]) {
+                lines.push(`Leader: ${nameOf(leaderId)} (${scores[leaderId].kills})`);
+            }
+            if (localTeam) {
+                lines.push(`Your team: ${TEAMS[localTeam]?.name || localTeam}`);
+            }
+            if (scores[localPlayerId]) {
+                lines.push(`You: ${scores[localPlayerId].kills} kills, ${scores[localPlayerId].deaths} deaths`);
+            }
+            text = lines.join('\n');
+        }
+
+        const key = `${text}|${banner}`;
+        if (key === this.lastText) return;
+        this.lastText = key;
+
+        this.container.textContent = text;
+        this.banner.textContent = banner || '';
+        this.banner.style.display = banner ? 'block' : 'none';
+    }
+
+    /**
+     * Remove the HUD from the page
+     */
+    remove() {
+        this.container.remove();
+        this.banner.remove();
+    }
+}
+
+// One line on the safe zone's schedule: waiting to close, closing, or closed for good
+function describeSafeZone(safeZone, serverTime) {
+    if (serverTime < safeZone.shrinkStartsAt) {
+        return `Zone closes in ${formatTime(Math.ceil((safeZone.shrinkStartsAt - serverTime) / 1000))}`;
+    }
+    if (serverTime < safeZone.shrinkEndsAt) {
+        return `Zone closing! ${formatTime(Math.ceil((safeZone.shrinkEndsAt - serverTime) / 1000))}`;
+    }
+    return 'Zone closed';
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,109 @@
+import { TEAMS } from '../utils/constants.js';
+
+const COLUMNS = ['Player', 'Score', 'K', 'D', 'A', 'Damage', 'Accuracy', 'Ping'];
+
+/**
+ * Scoreboard - Table of every player's score, kills, deaths, assists, damage, accuracy and ping,
+ * shown while Tab is held. Rows come from SCOREBOARD messages, already sorted by the server; the
+ * local player's row is highlighted.
+ */
+export class Scoreboard {
+    constructor() {
+        this.rows = [];
+        this.visible = false;
+        this.lastText = null;
+        this.create();
+    }
+
+    create() {
+        this.container = document.createElement('div');
+        this.container.id = 'scoreboard';
+        this.container.style.position = 'fixed';
+        this.container.style.top = '50%';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translate(-50%, -50%)';
+        this.container.style.padding = '10px 16px';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+        this.container.style.borderRadius = '5px';
+        this.container.style.color = '#fff';
+        this.container.style.fontFamily = 'Arial, sans-serif';
+        this.container.style.fontSize = '14px';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '1001'; // Over the match HUD
+        this.container.style.display = 'none';
+
+        this.table = document.createElement('table');
+        this.table.style.borderCollapse = 'collapse';
+        this.container.appendChild(this.table);
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Take a new SCOREBOARD
+     * @param {Array} rows - SCOREBOARD players, best first
+     */
+    update(rows) {
+        this.rows = rows || [];
+        this.lastText = null; // Redraw on the next render
+    }
+
+    /**
+     * Show or hide the table and refresh it while it's showing (only touches the DOM when something changed)
+     * @param {Boolean} visible - Whether Tab is held
+     * @param {String} localPlayerId - Our player ID, to highlight our row
+     * @param {Object} teams - MATCH_STATE teams (player ID -> team ID) in team modes, to color names
+     */
+    render(visible, localPlayerId, teams) {
+        if (visible !== this.visible) {
+            this.visible = visible;
+            this.container.style.display = visible ? 'block' : 'none';
+        }
+        if (!visible) return;
+
+        const key = JSON.stringify([this.rows, localPlayerId, teams]);
+        if (key === this.lastText) return;
+        this.lastText = key;
+
+        this.table.replaceChildren(createRow(COLUMNS, 'th'));
+        for (const row of this.rows) {
+            const cells = createRow([
+                row.id === localPlayerId ? `${row.id} (you)` : row.id,
+                row.score,
+                row.kills,
+                row.deaths,
+                row.assists,
+                Math.round(row.damage),
+                row.accuracy === null ? '-' : `${Math.round(row.accuracy * 100)}%`,
+                row.ping === null ? '-' : `${row.ping} ms`
+            ], 'td');
+
+            const team = TEAMS[teams?.[row.id]];
+            if (team) cells.firstChild.style.color = `#${team.color.toString(16).padStart(6, '0')}`;
+            if (row.id === localPlayerId) {
+                cells.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+                cells.style.fontWeight = 'bold';
+            }
+            this.table.appendChild(cells);
+        }
+    }
+
+    /**
+     * Remove the scoreboard from the page
+     */
+    remove() {
+        this.container.remove();
+    }
+}
+
+function createRow(values, cellTag) {
+    const tr = document.createElement('tr');
+    values.forEach((value, index) => {
+        const cell = document.createElement(cellTag);
+        cell.textContent = String(value);
+        cell.style.padding = '3px 10px';
+        cell.style.textAlign = index === 0 ? 'left' : 'right';
+        tr.appendChild(cell);
+    });
+    return tr;
+}
@@ -0,0 +1,60 @@
+const PULSE_SPEED = 6; // Radians per second
+
+/**
+ * ZoneWarning - Red pulsing vignette around the screen edges and a warning line while the local
+ * player is outside the last blob standing safe zone.
+ */
+export class ZoneWarning {
+    constructor() {
+        this.pulsePhase = 0;
+        this.visible = false;
+
+        this.vignette = document.createElement('div');
+        this.vignette.id = 'zone-warning';
+        this.vignette.style.position = 'fixed';
+        this.vignette.style.top = '0';
+        this.vignette.style.left = '0';
+        this.vignette.style.width = '100%';
+        this.vignette.style.height = '100%';
+        this.vignette.style.background = 'radial-gradient(ellipse at center, rgba(255, 0, 0, 0) 50%, rgba(255, 0, 0, 0.6) 100%)';
+        this.vignette.style.pointerEvents = 'none';
+        this.vignette.style.zIndex = '999';
+        this.vignette.style.display = 'none';
+
+        const label = document.createElement('div');
+        label.textContent = 'Outside the safe zone - get back in!';
+        label.style.position = 'absolute';
+        label.style.bottom = '120px';
+        label.style.width = '100%';
+        label.style.textAlign = 'center';
+        label.style.color = '#fff';
+        label.style.fontFamily = 'Arial, sans-serif';
+        label.style.fontSize = '18px';
+        label.style.fontWeight = 'bold';
+        label.style.textShadow = '1px 1px 3px #000';
+        this.vignette.appendChild(label);
+
+        document.body.appendChild(this.vignette);
+    }
+
+    /**
+     * Show or hide the warning for this frame
+     * @param {Boolean} outside - Whether the local player is outside the safe zone
+     * @param {Number} deltaTime - Seconds since the last frame
+     */
+    update(outside, deltaTime) {
+        if (outside !== this.visible) {
+            this.visible = outside;
+            this.vignette.style.display = outside ? 'block' : 'none';
+            this.pulsePhase = 0;
+        }
+        if (!outside) return;
+
+        this.pulsePhase += deltaTime * PULSE_SPEED;
+        this.vignette.style.opacity = String(0.7 + 0.3 * Math.sin(this.pulsePhase));
+    }
+
+    remove() {
+        this.vignette.remove();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * ClockSync.js
+ * Estimates the offset between this client's clock and the server's from PING / PONG round trips.
+ * Samples are kept in a rolling window; ones with an unusually long round trip (a delayed packet
+ * gives a skewed offset) are left out, and the rest are averaged. Once synchronized the offset in
+ * use slews towards the new estimate instead of jumping, so server time never leaps around under
+ * interpolation and timers.
+ */
+
+// Pings sent back to back on connect to get a usable estimate straight away
+export const SYNC_BURST_SIZE = 5;
+export const SYNC_BURST_INTERVAL_MS = 100;
+
+const MAX_SAMPLES = 16;
+// How fast the offset in use may move towards the estimate (ms per ms of real time)
+const SLEW_RATE = 0.05;
+// Estimates farther off than this are applied at once (clock changed, server restarted...)
+const SNAP_THRESHOLD_MS = 1000;
+
+export class ClockSync {
+    constructor() {
+        this.samples = []; // { rtt, offset }, oldest first
+        this.targetOffset = 0; // Current estimate of server time - client time (ms)
+        this.offset = 0; // Offset in use, moving towards targetOffset
+        this.lastSlewTime = null;
+        this.synchronized = false;
+    }
+
+    /**
+     * Start over with a new connection (the offset in use is kept until the first sample arrives)
+     */
+    reset() {
+        this.samples = [];
+        this.synchronized = false;
+    }
+
+    /**
+     * Add a round trip
+     * @param {Number} sentAt - Client time the PING was sent (ms)
+     * @param {Number} serverTime - Server time the PING was answered (ms)
+     * @param {Number} receivedAt - Client time the PONG arrived (ms)
+     */
+    addSample(sentAt, serverTime, receivedAt) {
+        const rtt = receivedAt - sentAt;
+        if (rtt < 0) return; // Client clock went backwards mid-sample
+
+        // Assume the PONG took half the round trip to get back
+        this.samples.push({ rtt, offset: serverTime - (receivedAt - rtt / 2) });
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift();
+        }
+
+        this.targetOffset = this.estimateOffset();
+        if (!this.synchronized || Math.abs(this.targetOffset - this.getOffset(receivedAt)) > SNAP_THRESHOLD_MS) {
+            this.offset = this.targetOffset;
+            this.lastSlewTime = receivedAt;
+            this.synchronized = true;
+        }
+    }
+
+    /**
+     * Average offset of the samples whose round trip is within one standard deviation of the median
+     * @returns {Number}
+     * @private
+     */
+    estimateOffset() {
+        const rtts = this.samples.map(sample => sample.rtt).sort((a, b) => a - b);
+        const median = rtts[Math.floor(rtts.length / 2)];
+        const limit = median + this.getJitter();
+
+        const kept = this.samples.filter(sample => sample.rtt <= limit);
+        return kept.reduce((sum, sample) => sum + sample.offset, 0) / kept.length;
+    }
+
+    /**
+     * Offset to add to the client clock to get server time, slewed towards the latest estimate
+     * @param {Number} now - Current client time (ms)
+     * @returns {Number}
+     */
+    getOffset(now) {
+        if (this.lastSlewTime !== null) {
+            const maxStep = Math.max(0, now - this.lastSlewTime) * SLEW_RATE;
+            const diff = this.targetOffset - this.offset;
+            this.offset += Math.max(-maxStep, Math.min(maxStep, diff));
+        }
+        this.lastSlewTime = now;
+        return this.offset;
+    }
+
+    /**
+     * Mean round trip time over the window
+     * @returns {Number} ms (0 before the first sample)
+     */
+    getRttMean() {
+        if (this.samples.length === 0) return 0;
+        return this.samples.reduce((sum, sample) => sum + sample.rtt, 0) / this.samples.length;
+    }
+
+    /**
+     * Round trip jitter - the standard deviation of the round trip times in the window
+     * @returns {Number} ms (0 before the second sample)
+     */
+    getJitter() {
+        if (this.samples.length < 2) return 0;
+        const mean = this.getRttMean();
+        const variance = this.samples.reduce((sum, sample) => sum + (sample.rtt - mean) ** 2, 0) / this.samples.length;
+        return Math.sqrt(variance);
+    }
+}
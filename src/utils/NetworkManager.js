@@ -3,6 +3,16 @@
  * Manages WebSocket connections and communication with the game server
  */
 
+import { decodeSnapshot, ENCODING_BINARY, ENCODING_JSON } from './SnapshotCodec.js';
+import { PROTOCOL_VERSION, CAPABILITIES, INCOMPATIBLE_CLOSE_CODE, BUILD_HASH } from './Protocol.js';
+import { ClockSync, SYNC_BURST_SIZE, SYNC_BURST_INTERVAL_MS } from './ClockSync.js';
+
+// Optional protocol features this client supports (sent in HELLO)
+const CLIENT_CAPABILITIES = Object.values(CAPABILITIES);
+
+// How many reconstructed snapshots to keep as possible delta baselines (matches the server's history)
+const SNAPSHOT_BUFFER_SIZE = 64;
+
 export class NetworkManager {
     constructor() {
         this.socket = null;
@@ -13,6 +23,8 @@ export class NetworkManager {
         this.eventListeners = {
             'connect': [],
             'disconnect': [],
+            'welcome': [],
+            'incompatible': [],
             'playerConnected': [],
             'playerDisconnected': [],
             'gameStateUpdate': [],
@@ -20,15 +32,41 @@ export class NetworkManager {
             'playerDamage': [],
             'playerDeath': [],
             'playerRespawn': [],
-            'projectileSpawn': []
+            'projectileSpawn': [],
+            'projectileRejected': [],
+            'roomJoined': [],
+            'roomError': [],
+            'matchState': [],
+            'scoreboard': []
         };
-        this.serverTimeOffset = 0;
+        this.clockSync = new ClockSync(); // Server clock offset from PING / PONG round trips
+        this.syncBurstTimeouts = [];
+        this.lastPing = 0; // Most recent round trip time in ms
         this.RETRY_CONNECTION_DELAY = 3000; // Time in ms to wait before retrying connection
         this.reconnectAttempts = 0;
         this.MAX_RECONNECT_ATTEMPTS = 3; // Maximum number of reconnect attempts
         this.autoReconnect = true; // Whether to automatically reconnect
         this.pingInterval = null; // Keep track of ping interval
         this.PING_INTERVAL = 1000; // Send a ping every 1 second (was 3000)
+        // Snapshot encoding requested from the server. Add ?encoding=json to the page URL to get readable snapshots.
+        this.encoding = new URLSearchParams(window.location.search).get('encoding') === ENCODING_JSON
+            ? ENCODING_JSON
+            : ENCODING_BINARY;
+        // Room to play in. Add ?room=<id> to the page URL to join a specific one (the server defaults to the lobby).
+        this.roomId = new URLSearchParams(window.location.search).get('room');
+        // Game mode for the room if we're the one creating it. Add ?mode=<id> to the page URL (e.g. deathmatch).
+        this.mode = new URLSearchParams(window.location.search).get('mode');
+        // Watch without a player. Add ?spectate to the page URL (playtests, recordings, projectors).
+        this.spectator = new URLSearchParams(window.location.search).has('spectate');
+        // Token from the last PLAYER_CONNECTED / ROOM_JOINED - presented on reconnect to get the same player back
+        this.resumeToken = null;
+        // Reconstructed { players, projectiles } by snapshot sequence - server deltas are relative to one we acknowledged
+        this.snapshotStates = new Map();
+        this.latestSnapshotSequence = 0;
+        // Newest server simulation tick seen in a snapshot (ticks advance serverInfo.tickRate times a second)
+        this.latestServerTick = 0;
+        // What the server said about itself in WELCOME
+        this.serverInfo = null;
     }
 
     /**
@@ -53,6 +91,21 @@ export class NetworkManager {
             }
         }
 
+        // Negotiate the snapshot encoding at connect time
+        serverUrl += `${serverUrl.includes('?') ? '&' : '?'}encoding=${this.encoding}`;
+        if (this.roomId) {
+            serverUrl += `&room=${encodeURIComponent(this.roomId)}`;
+        }
+        if (this.mode) {
+            serverUrl += `&mode=${encodeURIComponent(this.mode)}`;
+        }
+        if (this.resumeToken) {
+            serverUrl += `&resume=${encodeURIComponent(this.resumeToken)}`;
+        }
+        if (this.spectator) {
+            serverUrl += '&role=spectator';
+        }
+
         console.log(`
 === WebSocket Connection Details ===
 URL: ${serverUrl}
@@ -63,6 +116,9 @@ Port: ${window.location.port || '(default)'}
 Origin: ${window.location.origin}
 Environment: ${window.location.hostname.includes('digitaloceanspaces.com') ||
                 window.location.hostname.includes('ondigitalocean.app') ? 'Production' : 'Development'}
+Snapshot Encoding: ${this.encoding}
+Room: ${this.roomId || '(default)'}
+Resuming Session: ${this.resumeToken ? 'yes' : 'no'}
 Previous Attempts: ${this.reconnectAttempts}
 =================================
         `);
@@ -94,9 +150,18 @@ Previous Attempts: ${this.reconnectAttempts}
                     }
                 }
 
+                // A new connection starts without any acknowledged snapshots
+                this.snapshotStates.clear();
+                this.latestSnapshotSequence = 0;
+                this.latestServerTick = 0;
+                // ...and resynchronizes its clock (possibly with a different server)
+                this._cancelClockSyncBurst();
+                this.clockSync.reset();
+
                 // Create a new WebSocket connection
                 console.log('Attempting WebSocket connection...');
                 this.socket = new WebSocket(serverUrl);
+                this.socket.binaryType = 'arraybuffer'; // Binary snapshots arrive as ArrayBuffers
 
                 // Add properties to track connection state
                 this.socket.connecting = true;
@@ -124,6 +189,8 @@ Previous Attempts: ${this.reconnectAttempts}
                     this.socket.connecting = false;
                     this.connected = true;
                     this.reconnectAttempts = 0; // Reset reconnect attempts on successful connection
+                    this.serverInfo = null;
+                    this._sendHello(); // Must be the first message on the connection
                     this.processMessageQueue();
                     this._emitEvent('connect');
                     clearTimeout(connectionTimeout);
@@ -204,9 +271,18 @@ Previous Attempts: ${this.reconnectAttempts}
                         this.pingInterval = null;
                     }
 
+                    // Refused at handshake - reconnecting won't help until the page is reloaded
+                    if (code === INCOMPATIBLE_CLOSE_CODE) {
+                        this.autoReconnect = false;
+                    }
+
                     this._emitEvent('disconnect', { code, reason, explanation });
                     clearTimeout(connectionTimeout);
 
+                    if (code === INCOMPATIBLE_CLOSE_CODE) {
+                        this._emitEvent('incompatible', { reason });
+                    }
+
                     // Only reconnect if autoReconnect is enabled and it wasn't a normal closure
                     if (this.autoReconnect && code !== 1000) {
                         this.reconnectAttempts++;
@@ -246,6 +322,43 @@ Previous Attempts: ${this.reconnectAttempts}
         });
     }
 
+    /**
+     * Introduce ourselves to the server - answered with WELCOME, or a close with INCOMPATIBLE_CLOSE_CODE
+     * @private
+     */
+    _sendHello() {
+        this.socket.send(JSON.stringify({
+            type: 'HELLO',
+            protocolVersion: PROTOCOL_VERSION,
+            buildHash: BUILD_HASH,
+            capabilities: CLIENT_CAPABILITIES,
+            timestamp: Date.now()
+        }));
+    }
+
+    /**
+     * Send a quick run of pings so the clock is synchronized before the heartbeat has collected enough samples
+     * @private
+     */
+    _startClockSyncBurst() {
+        this._cancelClockSyncBurst();
+        for (let i = 0; i < SYNC_BURST_SIZE; i++) {
+            this.syncBurstTimeouts.push(setTimeout(() => {
+                if (this.connected && this.socket && this.socket.readyState === 1) {
+                    this.send('PING', { timestamp: Date.now() });
+                }
+            }, i * SYNC_BURST_INTERVAL_MS));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _cancelClockSyncBurst() {
+        this.syncBurstTimeouts.forEach(clearTimeout);
+        this.syncBurstTimeouts = [];
+    }
+
     /**
      * Start sending periodic pings to keep the connection alive
      * @private
@@ -381,7 +494,7 @@ Previous Attempts: ${this.reconnectAttempts}
      * Update player state to send to the server
      * @param {Object} position - Player position
      * @param {Object} rotation - Player rotation
-     * @param {Object} playerState - Additional player state info
+     * @param {Object} playerState - Additional player state info (inputs carries unsent prediction inputs)
      */
     updatePlayerState(position, rotation, playerState = {}) {
         if (!this.connected || !this.playerId) {
@@ -396,9 +509,14 @@ Previous Attempts: ${this.reconnectAttempts}
         // Ensure playerState.animation reflects the *current* animation
         const currentAnimation = playerState.animation || 'idle';
 
+        // The server simulates movement from inputs; position is only sent for diagnostics
+        const inputs = playerState.inputs || [];
+
         this.send('PLAYER_UPDATE', {
             position,
             rotation,
+            inputs,
+            sequence: inputs.length > 0 ? inputs[inputs.length - 1].sequence : undefined,
             health: playerState.health,
             isAttacking: playerState.isAttacking,
             isDead: playerState.isDead,
@@ -452,20 +570,30 @@ Previous Attempts: ${this.reconnectAttempts}
     }
 
     /**
-     * Send player damage event to the server
+     * Send player damage claim to the server (the server only logs it and checks it against its own hits)
      * @param {String} targetId - ID of the player who was damaged
      * @param {Number} amount - Amount of damage dealt
+     * @param {String} projectileId - Projectile that caused the hit, if any
      */
-    sendDamage(targetId, amount) {
+    sendDamage(targetId, amount, projectileId = null) {
         this.send('PLAYER_DAMAGE', {
             targetId,
             amount,
+            projectileId,
             timestamp: Date.now()
         });
     }
 
     /**
-     * Send player death event to the server
+     * Report a locally detected projectile hit on a remote player
+     * @param {Object} hitData - { targetId, damage, projectileId }
+     */
+    sendHit(hitData) {
+        this.sendDamage(hitData.targetId, hitData.damage, hitData.projectileId);
+    }
+
+    /**
+     * Send player death claim to the server (health and death are decided server-side)
      */
     sendDeath() {
         this.send('PLAYER_DEATH', {
@@ -474,16 +602,23 @@ Previous Attempts: ${this.reconnectAttempts}
     }
 
     /**
-     * Send player respawn event to the server
-     * @param {Object} position - Respawn position
+     * Request a respawn from the server. The server picks the spawn point.
      */
-    sendRespawn(position) {
+    sendRespawn() {
         this.send('PLAYER_RESPAWN', {
-            position,
             timestamp: Date.now()
         });
     }
 
+    /**
+     * Ask the server to move us to another room. Answered with ROOM_JOINED or ROOM_ERROR.
+     * @param {String} roomId - Room ID (letters, digits, '-' and '_')
+     * @param {String} mode - Game mode, only used if the room doesn't exist yet (server default if omitted)
+     */
+    joinRoom(roomId, mode) {
+        this.send('JOIN_ROOM', mode ? { roomId, mode } : { roomId });
+    }
+
     /**
      * Send projectile spawn event to the server
      * @param {Object} projectileData - Data about the spawned projectile
@@ -504,6 +639,7 @@ Previous Attempts: ${this.reconnectAttempts}
                 z: projectileData.velocity.z
             },
             ownerId: projectileData.ownerId,
+            viewTime: projectileData.viewTime, // Server time of the world the shooter was looking at
             timestamp: Date.now()
         });
     }
@@ -550,12 +686,12 @@ Previous Attempts: ${this.reconnectAttempts}
 
     /**
      * Handle a message from the server
-     * @param {String} data - The message data
+     * @param {String|ArrayBuffer} data - The message data (JSON text, or a binary snapshot)
      * @private
      */
     _handleMessage(data) {
         try {
-            const message = JSON.parse(data);
+            const message = typeof data === 'string' ? JSON.parse(data) : decodeSnapshot(data);
 
             if (!message.type) {
                 console.error('Received message without type:', message);
@@ -563,22 +699,65 @@ Previous Attempts: ${this.reconnectAttempts}
             }
 
             // Reduce noisy logging for frequent messages
-            if (message.type !== 'GAME_STATE_DELTA' && message.type !== 'PONG' && message.type !== 'SERVER_PING') {
+            if (message.type !== 'GAME_STATE_DELTA' && message.type !== 'PONG' && message.type !== 'SERVER_PING' && message.type !== 'SCOREBOARD') {
                 console.log(`Received message: ${message.type}`);
             }
 
             switch (message.type) {
+                case 'WELCOME':
+                    if (message.data) {
+                        this.serverInfo = message.data;
+                        console.log(`Server protocol ${message.data.protocolVersion}, build ${message.data.buildHash} (ours: protocol ${PROTOCOL_VERSION}, build ${BUILD_HASH})`);
+                        this._startClockSyncBurst();
+                        this._emitEvent('welcome', {
+                            ...message.data,
+                            // Still compatible, but the server is handing out a newer bundle than ours
+                            outdated: message.data.buildHash !== BUILD_HASH && BUILD_HASH !== 'dev' && message.data.buildHash !== 'dev'
+                        });
+                    }
+                    break;
+
                 case 'PLAYER_CONNECTED':
                     if (message.data && message.data.id) {
-                        console.log(`Connected as player: ${message.data.id}`);
+                        console.log(`${message.data.resumed ? 'Resumed' : 'Connected'} as player: ${message.data.id} in room ${message.data.roomId}`);
                         this.playerId = message.data.id;
+                        this.roomId = message.data.roomId || this.roomId;
+                        this.resumeToken = message.data.resumeToken || null;
                         this._emitEvent('playerConnected', message.data);
                     }
                     break;
 
+                case 'ROOM_JOINED':
+                    // Moved to another room - its snapshots have nothing to do with the ones we acknowledged
+                    if (message.data && message.data.roomId) {
+                        console.log(`Joined room: ${message.data.roomId}`);
+                        this.roomId = message.data.roomId;
+                        this.resumeToken = message.data.resumeToken || null;
+                        this.snapshotStates.clear();
+                        this.latestSnapshotSequence = 0;
+                        this.latestServerTick = 0; // Every room counts its own ticks
+                        this._emitEvent('roomJoined', message.data);
+                    }
+                    break;
+
+                case 'ROOM_ERROR':
+                    if (message.data) {
+                        console.warn(`Could not join room ${message.data.roomId}: ${message.data.reason}`);
+                        this._emitEvent('roomError', message.data);
+                    }
+                    break;
+
                 case 'GAME_STATE':
                     // Process full game state update
                     if (message.data) {
+                        this.latestServerTick = Math.max(this.latestServerTick, message.data.tick || 0);
+                        this._storeSnapshot(message.data.sequence, {
+                            players: message.data.players,
+                            projectiles: Object.fromEntries((message.data.projectiles || []).map(p => [p.id, p])),
+                            enemies: Object.fromEntries((message.data.enemies || []).map(e => [e.id, e])),
+                            flags: Object.fromEntries((message.data.flags || []).map(f => [f.id, f])),
+                            zones: Object.fromEntries((message.data.zones || []).map(z => [z.id, z]))
+                        });
                         // Pass the full message including type for context
                         this._emitEvent('gameStateUpdate', message);
                     }
@@ -588,8 +767,12 @@ Previous Attempts: ${this.reconnectAttempts}
                     // Process delta game state update
                     if (message.data) {
                         // console.log('Received game state delta update with player data:', Object.keys(message.data.playerDeltas || {}).length); // Reduce noise
-                        // Emit only the data part for delta updates
-                        this._emitEvent('gameStateDeltaUpdate', message.data);
+                        const deltaData = this._resolveDelta(message.data);
+                        if (deltaData) {
+                            this.latestServerTick = Math.max(this.latestServerTick, deltaData.tick || 0);
+                            // Emit only the data part for delta updates
+                            this._emitEvent('gameStateDeltaUpdate', deltaData);
+                        }
                     }
                     break;
 
@@ -601,6 +784,14 @@ Previous Attempts: ${this.reconnectAttempts}
                     }
                     break;
 
+                case 'PROJECTILE_REJECTED':
+                    // The server turned one of our shots down (e.g. fired from too far from where it has us)
+                    if (message.data) {
+                        console.log(`Projectile ${message.data.id} rejected: ${message.data.reason}`);
+                        this._emitEvent('projectileRejected', message.data);
+                    }
+                    break;
+
                 case 'PLAYER_DAMAGE':
                     // Handle damage event from server
                     if (message.data) {
@@ -625,17 +816,28 @@ Previous Attempts: ${this.reconnectAttempts}
                     }
                     break;
 
+                case 'MATCH_STATE':
+                    // Scores, match phase and timer for the room's game mode
+                    if (message.data) {
+                        this._emitEvent('matchState', message.data);
+                    }
+                    break;
+
+                case 'SCOREBOARD':
+                    // Kills, deaths, assists, damage, accuracy and ping for everyone in the room
+                    if (message.data) {
+                        this._emitEvent('scoreboard', message.data);
+                    }
+                    break;
+
                 case 'PONG':
-                    // Update server time offset for syncing
+                    // Another clock sync sample
                     if (message.timestamp && message.serverTime) {
                         const now = Date.now();
-                        const roundTripTime = now - message.timestamp;
-                        const serverTime = message.serverTime;
+                        this.lastPing = now - message.timestamp;
+                        this.clockSync.addSample(message.timestamp, message.serverTime, now);
 
-                        // Calculate time offset between client and server
-                        this.serverTimeOffset = serverTime - (now - roundTripTime / 2);
-
-                        // console.log(`Ping response received. Round trip time: ${roundTripTime}ms, Server time offset: ${this.serverTimeOffset}ms`); // Reduce noise
+                        // console.log(`Ping response received. Round trip time: ${this.lastPing}ms, Server time offset: ${this.clockSync.targetOffset}ms`); // Reduce noise
                     }
                     break;
 
@@ -654,6 +856,128 @@ Previous Attempts: ${this.reconnectAttempts}
         }
     }
 
+    /**
+     * Remember a reconstructed snapshot and acknowledge it so the server can diff against it
+     * @param {Number} sequence - Snapshot sequence from the server
+     * @param {Object} state - Complete { players, projectiles, enemies, flags, zones } maps at that sequence
+     * @private
+     */
+    _storeSnapshot(sequence, state) {
+        if (!sequence || sequence <= this.latestSnapshotSequence) return;
+
+        this.snapshotStates.set(sequence, JSON.parse(JSON.stringify({
+            players: state.players || {},
+            projectiles: state.projectiles || {},
+            enemies: state.enemies || {},
+            flags: state.flags || {},
+            zones: state.zones || {}
+        })));
+        this.latestSnapshotSequence = sequence;
+
+        while (this.snapshotStates.size > SNAPSHOT_BUFFER_SIZE) {
+            this.snapshotStates.delete(this.snapshotStates.keys().next().value);
+        }
+
+        this.send('SNAPSHOT_ACK', { sequence });
+    }
+
+    /**
+     * Rebuild the full state from a delta and the baseline it was computed against, then turn it
+     * into a delta against what the game last saw (the baseline may be older than our latest snapshot)
+     * @param {Object} deltaData - GAME_STATE_DELTA data
+     * @returns {Object|null} Delta data relative to the latest applied snapshot (plus the complete
+     *                        projectile, enemy, flag and zone lists), or null to skip it
+     * @private
+     */
+    _resolveDelta(deltaData) {
+        if (!deltaData.sequence) return deltaData; // Server without acknowledged baselines
+        if (deltaData.sequence <= this.latestSnapshotSequence) return null; // Stale
+
+        const baseline = this.snapshotStates.get(deltaData.baseSequence);
+        if (!baseline) {
+            // Not acked, so the server will fall back to an older baseline or a full state
+            console.warn(`[Network] Delta ${deltaData.sequence} references unknown baseline ${deltaData.baseSequence}, skipping`);
+            return null;
+        }
+
+        const { players, projectiles, enemies, flags, zones } = JSON.parse(JSON.stringify(baseline));
+        for (const playerId in deltaData.playerDeltas || {}) {
+            players[playerId] = { ...players[playerId], ...deltaData.playerDeltas[playerId] };
+        }
+        const removedIds = new Set(deltaData.removedPlayerIds || []);
+        for (const playerId of [...removedIds, ...(deltaData.despawnedPlayerIds || [])]) {
+            delete players[playerId];
+        }
+
+        // Projectile records are whole trajectories - spawns and updates simply replace
+        for (const projectile of deltaData.projectileDeltas || []) {
+            projectiles[projectile.id] = projectile;
+        }
+        for (const projectileId of deltaData.removedProjectileIds || []) {
+            delete projectiles[projectileId];
+        }
+
+        // Enemy records are whole too
+        for (const enemy of deltaData.enemyDeltas || []) {
+            enemies[enemy.id] = enemy;
+        }
+        for (const enemyId of deltaData.removedEnemyIds || []) {
+            delete enemies[enemyId];
+        }
+
+        // And flag records (both keys are left out when no flag changed)
+        for (const flag of deltaData.flagDeltas || []) {
+            flags[flag.id] = flag;
+        }
+        for (const flagId of deltaData.removedFlagIds || []) {
+            delete flags[flagId];
+        }
+
+        // And zone records (likewise only present when a zone changed)
+        for (const zone of deltaData.zoneDeltas || []) {
+            zones[zone.id] = zone;
+        }
+        for (const zoneId of deltaData.removedZoneIds || []) {
+            delete zones[zoneId];
+        }
+
+        const latestState = this.snapshotStates.get(this.latestSnapshotSequence) || { players: {}, projectiles: {} };
+        const latest = latestState.players;
+        const playerDeltas = {};
+        const removedPlayerIds = [];
+        const despawnedPlayerIds = [];
+        for (const playerId in players) {
+            if (JSON.stringify(players[playerId]) !== JSON.stringify(latest[playerId])) {
+                playerDeltas[playerId] = players[playerId];
+            }
+        }
+        for (const playerId in latest) {
+            if (players[playerId]) continue;
+            // Only an explicit removal means the player left - anything else just went out of range
+            if (removedIds.has(playerId)) {
+                removedPlayerIds.push(playerId);
+            } else {
+                despawnedPlayerIds.push(playerId);
+            }
+        }
+
+        const removedProjectileIds = Object.keys(latestState.projectiles).filter(id => !projectiles[id]);
+
+        this._storeSnapshot(deltaData.sequence, { players, projectiles, enemies, flags, zones });
+
+        return {
+            ...deltaData,
+            playerDeltas,
+            removedPlayerIds,
+            despawnedPlayerIds,
+            projectiles: Object.values(projectiles), // Every projectile we should know about right now
+            removedProjectileIds,
+            enemies: Object.values(enemies), // Every enemy we should know about right now
+            flags: Object.values(flags), // And every flag
+            zones: Object.values(zones) // And every zone
+        };
+    }
+
     /**
      * Disconnect from the server
      */
@@ -668,6 +992,18 @@ Previous Attempts: ${this.reconnectAttempts}
      * @returns {Number} Server time in milliseconds
      */
     getServerTime() {
-        return Date.now() + this.serverTimeOffset;
+        const now = Date.now();
+        return now + this.clockSync.getOffset(now);
+    }
+
+    /**
+     * Round trip statistics over the clock sync window
+     * @returns {Object} { rttMean, jitter } in milliseconds
+     */
+    getRttStats() {
+        return {
+            rttMean: this.clockSync.getRttMean(),
+            jitter: this.clockSync.getJitter()
+        };
     }
 }
\ No newline at end of file
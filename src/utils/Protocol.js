@@ -0,0 +1,30 @@
+/**
+ * Protocol.js
+ * Version and capability names for the HELLO / WELCOME handshake.
+ * Shared by the server and NetworkManager - keep it free of DOM/THREE.js imports.
+ *
+ * The client sends HELLO { protocolVersion, buildHash, capabilities } as its first message; the
+ * server answers WELCOME { protocolVersion, buildHash, capabilities, tickRate } or closes the connection with
+ * INCOMPATIBLE_CLOSE_CODE and a reason that can be shown to the player.
+ *
+ * Bump PROTOCOL_VERSION when a message type or field changes in a way the other side can't ignore,
+ * and raise MIN_PROTOCOL_VERSION when the server stops supporting older clients.
+ */
+
+export const PROTOCOL_VERSION = 3; // 3: player velocity and grounded flag in snapshots (snapshot codec v7)
+export const MIN_PROTOCOL_VERSION = 3;
+
+// Optional features either side may support - each lists the ones it has in its HELLO / WELCOME
+export const CAPABILITIES = {
+    BINARY_SNAPSHOTS: 'binarySnapshots', // SnapshotCodec encoding (/ws?encoding=binary)
+    SNAPSHOT_ACK: 'snapshotAck', // Deltas against acknowledged baselines
+    ROOMS: 'rooms', // JOIN_ROOM / ROOM_JOINED / ROOM_ERROR
+    RESUME: 'resume', // Resume tokens (/ws?resume=<token>)
+    PROJECTILE_TRAJECTORIES: 'projectileTrajectories' // Projectiles as origin + velocity + launch time
+};
+
+// Close code for refused handshakes (4000-4999 is reserved for applications)
+export const INCOMPATIBLE_CLOSE_CODE = 4000;
+
+// Hash of the client bundle, injected by build.js ('dev' when running unbundled)
+export const BUILD_HASH = typeof __BUILD_HASH__ !== 'undefined' ? __BUILD_HASH__ : 'dev';
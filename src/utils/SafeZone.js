@@ -0,0 +1,41 @@
+/**
+ * SafeZone.js
+ *
+ * The last blob standing safe zone: a circle on the ground that shrinks in stages. The server
+ * (server/modes/LastBlobStandingMode.js) owns the schedule and sends the current stage in
+ * MATCH_STATE; both sides work out the circle at any moment from that stage, so clients see it
+ * close smoothly without the server sending it every tick.
+ * Keep this file free of THREE.js / DOM imports so the Bun server can load it directly.
+ */
+
+/**
+ * Where the safe zone is at a given moment of a stage: the stage's starting circle until the
+ * shrink starts, then moving linearly onto its target circle
+ * @param {Object} stage - { from: { x, z, radius }, to: { x, z, radius }, shrinkStartsAt, shrinkEndsAt }
+ * @param {Number} time - Server time (ms)
+ * @returns {Object} { x, z, radius }
+ */
+export function getSafeZoneCircle(stage, time) {
+    const duration = stage.shrinkEndsAt - stage.shrinkStartsAt;
+    const t = duration > 0
+        ? Math.min(Math.max((time - stage.shrinkStartsAt) / duration, 0), 1)
+        : (time >= stage.shrinkEndsAt ? 1 : 0);
+
+    return {
+        x: stage.from.x + (stage.to.x - stage.from.x) * t,
+        z: stage.from.z + (stage.to.z - stage.from.z) * t,
+        radius: stage.from.radius + (stage.to.radius - stage.from.radius) * t
+    };
+}
+
+/**
+ * Whether a position is inside a circle (height doesn't matter - the zone is a column)
+ * @param {Object} circle - { x, z, radius }
+ * @param {Object} position - { x, y, z }
+ * @returns {Boolean}
+ */
+export function isInsideCircle(circle, position) {
+    const dx = position.x - circle.x;
+    const dz = position.z - circle.z;
+    return dx * dx + dz * dz <= circle.radius * circle.radius;
+}
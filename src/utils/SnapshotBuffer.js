@@ -0,0 +1,154 @@
+/**
+ * SnapshotBuffer.js
+ * Time-ordered server snapshots of one remote entity, keyed by server timestamp.
+ * Entities are drawn a little in the past (server time - interpolation delay) so there are
+ * usually two snapshots to interpolate between and packet jitter doesn't show up as stutter.
+ * When the buffer runs dry the entity is dead reckoned from its last velocity, for a short while only.
+ */
+
+export const MAX_EXTRAPOLATION_MS = 250;
+
+const MAX_SNAPSHOTS = 32;
+// Moving farther than this between two snapshots is a teleport (e.g. respawn) - snap instead of sliding
+const TELEPORT_DISTANCE = 5;
+
+export class SnapshotBuffer {
+    constructor() {
+        this.snapshots = []; // { time, position: {x, y, z}, rotationY, animation, velocity, grounded }, oldest first
+    }
+
+    /**
+     * Add a snapshot. Fields it doesn't have (deltas only carry changes) are taken from the
+     * snapshot before it.
+     * @param {Number} time - Server timestamp of the snapshot (ms)
+     * @param {Object} state - { position, rotationY, animation, velocity, grounded }, any of which may be missing
+     */
+    push(time, state) {
+        let index = this.snapshots.length;
+        while (index > 0 && this.snapshots[index - 1].time > time) index--;
+
+        const previous = this.snapshots[index - 1];
+        if (!state.position && !previous) return; // Nothing to place it with yet
+
+        const snapshot = {
+            time,
+            position: state.position ? { x: state.position.x, y: state.position.y, z: state.position.z } : previous.position,
+            rotationY: state.rotationY ?? previous?.rotationY ?? 0,
+            animation: state.animation ?? previous?.animation ?? null,
+            velocity: state.velocity ? { x: state.velocity.x, y: state.velocity.y, z: state.velocity.z } : (previous?.velocity ?? null),
+            grounded: state.grounded ?? previous?.grounded ?? true
+        };
+
+        if (previous && previous.time === time) {
+            this.snapshots[index - 1] = snapshot; // Same snapshot seen twice
+        } else {
+            this.snapshots.splice(index, 0, snapshot);
+        }
+
+        if (this.snapshots.length > MAX_SNAPSHOTS) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Forget everything (the entity teleported, or we stopped seeing it)
+     */
+    clear() {
+        this.snapshots = [];
+    }
+
+    /**
+     * Drop snapshots that can no longer be interpolated from (keeps the one at or before time)
+     * @param {Number} time - Current render time (server ms)
+     */
+    discardBefore(time) {
+        while (this.snapshots.length > 2 && this.snapshots[1].time <= time) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Where the entity was at a given server time
+     * @param {Number} time - Render time (server ms)
+     * @returns {Object|null} { position, rotationY, animation, extrapolated }, or null with no snapshots
+     */
+    sample(time) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+
+        const first = snapshots[0];
+        if (time <= first.time) {
+            return { position: { ...first.position }, rotationY: first.rotationY, animation: first.animation, extrapolated: false };
+        }
+
+        for (let i = 0; i < snapshots.length - 1; i++) {
+            const from = snapshots[i];
+            const to = snapshots[i + 1];
+            if (time >= to.time) continue;
+
+            if (distance(from.position, to.position) > TELEPORT_DISTANCE) {
+                return { position: { ...from.position }, rotationY: from.rotationY, animation: from.animation, extrapolated: false };
+            }
+
+            const t = (time - from.time) / (to.time - from.time);
+            return {
+                position: lerpPosition(from.position, to.position, t),
+                rotationY: lerpAngle(from.rotationY, to.rotationY, t),
+                animation: from.animation, // Discrete - changes when the snapshot that changed it is reached
+                extrapolated: false
+            };
+        }
+
+        // Ran dry - dead reckon along the last velocity for a little while, then hold
+        const last = snapshots[snapshots.length - 1];
+        const velocity = last.velocity || this.velocityBetweenLast();
+        const position = { ...last.position };
+        if (velocity) {
+            const ahead = Math.min(time - last.time, MAX_EXTRAPOLATION_MS) / 1000;
+            position.x += velocity.x * ahead;
+            position.y += last.grounded ? 0 : velocity.y * ahead; // Standing on something - don't sink into it
+            position.z += velocity.z * ahead;
+        }
+        return { position, rotationY: last.rotationY, animation: last.animation, extrapolated: true };
+    }
+
+    /**
+     * Velocity between the last two snapshots, for entities whose snapshots don't carry one
+     * @returns {Object|null} Units per second
+     * @private
+     */
+    velocityBetweenLast() {
+        const last = this.snapshots[this.snapshots.length - 1];
+        const before = this.snapshots[this.snapshots.length - 2];
+        if (!before || last.time <= before.time || distance(before.position, last.position) > TELEPORT_DISTANCE) {
+            return null;
+        }
+
+        const seconds = (last.time - before.time) / 1000;
+        return {
+            x: (last.position.x - before.position.x) / seconds,
+            y: (last.position.y - before.position.y) / seconds,
+            z: (last.position.z - before.position.z) / seconds
+        };
+    }
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function lerpPosition(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+// Interpolate along the shortest way round
+function lerpAngle(a, b, t) {
+    let diff = (b - a) % (2 * Math.PI);
+    if (diff > Math.PI) diff -= 2 * Math.PI;
+    if (diff < -Math.PI) diff += 2 * Math.PI;
+    return a + diff * t;
+}
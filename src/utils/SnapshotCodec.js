@@ -0,0 +1,389 @@
+/**
+ * SnapshotCodec.js
+ * Compact binary encoding for GAME_STATE and GAME_STATE_DELTA messages.
+ * Shared by the server (encode) and NetworkManager (decode) - keep it free of DOM/THREE.js imports.
+ *
+ * Layout (little endian):
+ *   u8  version
+ *   u8  message kind (GAME_STATE / GAME_STATE_DELTA)
+ *   f64 timestamp
+ *   u32 sequence, u32 baseSequence (0 for full states)
+ *   u32 tick (server simulation tick the snapshot was taken after)
+ *   u16 player count, then per player:
+ *       string id, u16 field mask, then only the fields present in the mask
+ *       (position, rotation, velocity as 3x i16; health u8; flags u8; animation u8 [+ string]; last input u32)
+ *   u16 removed player count, then string ids (deltas only - players who left the game)
+ *   u16 despawned player count, then string ids (deltas only - players who left this client's area of interest)
+ *   u16 projectile record count, then per record:
+ *       string id, string ownerId, origin (3x i16), velocity (3x i16), f64 launchTime
+ *   u16 removed projectile count, then string ids (deltas only)
+ *   u32-length string of JSON for any remaining data keys (e.g. enemies), empty when there are none
+ * Strings are a u16 byte length followed by UTF-8 bytes unless noted.
+ */
+
+export const ENCODING_JSON = 'json';
+export const ENCODING_BINARY = 'binary';
+
+const CODEC_VERSION = 7;
+
+const MESSAGE_KINDS = {
+    GAME_STATE: 1,
+    GAME_STATE_DELTA: 2
+};
+const MESSAGE_TYPES = {
+    1: 'GAME_STATE',
+    2: 'GAME_STATE_DELTA'
+};
+
+// Which optional player fields follow the id
+const FIELD_POSITION = 1 << 0;
+const FIELD_ROTATION = 1 << 1;
+const FIELD_HEALTH = 1 << 2;
+const FIELD_IS_DEAD = 1 << 3;
+const FIELD_IS_ATTACKING = 1 << 4;
+const FIELD_IS_JUMPING = 1 << 5;
+const FIELD_ANIMATION = 1 << 6;
+const FIELD_LAST_INPUT = 1 << 7;
+const FIELD_IS_RECONNECTING = 1 << 8;
+const FIELD_VELOCITY = 1 << 9;
+const FIELD_GROUNDED = 1 << 10;
+
+// Flag fields share one packed byte (sent when any of them is present)
+const FLAG_FIELDS = FIELD_IS_DEAD | FIELD_IS_ATTACKING | FIELD_IS_JUMPING | FIELD_IS_RECONNECTING | FIELD_GROUNDED;
+const FLAG_IS_DEAD = 1 << 0;
+const FLAG_IS_ATTACKING = 1 << 1;
+const FLAG_IS_JUMPING = 1 << 2;
+const FLAG_IS_RECONNECTING = 1 << 3;
+const FLAG_GROUNDED = 1 << 4;
+
+// Positions are sent as int16 centimetres (±327 units, well beyond the 100x100 arena)
+const POSITION_SCALE = 100;
+// Projectile and player velocities are sent as int16 hundredths of a unit per second (±327 u/s)
+const VELOCITY_SCALE = 100;
+// Angles are wrapped to [-PI, PI] and spread over the int16 range
+const ROTATION_SCALE = 32767 / Math.PI;
+
+// Animation names the player models use. Anything else is sent as a string after ANIMATION_CUSTOM.
+const ANIMATIONS = ['idle', 'walkForward', 'walkBackward', 'strafeLeft', 'strafeRight', 'jump', 'attack', 'death'];
+const ANIMATION_CUSTOM = 255;
+
+// Data keys with a dedicated binary representation - everything else goes in the JSON trailer
+const ENCODED_DATA_KEYS = [
+    'players', 'playerDeltas', 'removedPlayerIds', 'despawnedPlayerIds',
+    'projectiles', 'projectileDeltas', 'removedProjectileIds',
+    'sequence', 'baseSequence', 'tick', 'timestamp'
+];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Growable little-endian byte writer
+ */
+class ByteWriter {
+    constructor(initialSize = 512) {
+        this.buffer = new ArrayBuffer(initialSize);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+
+        const grown = new ArrayBuffer(size);
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    i16(value) { this.ensure(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    f64(value) { this.ensure(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+    string(value, wide = false) {
+        const bytes = textEncoder.encode(value);
+        if (wide) this.u32(bytes.length); else this.u16(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    toBytes() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+/**
+ * Little-endian byte reader matching ByteWriter
+ */
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    u16() { const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+    i16() { const value = this.view.getInt16(this.offset, true); this.offset += 2; return value; }
+    u32() { const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+    f64() { const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+
+    string(wide = false) {
+        const length = wide ? this.u32() : this.u16();
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+function clampInt16(value) {
+    return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function writeVector(writer, vector, scale, transform = v => v) {
+    writer.i16(clampInt16(transform(vector.x || 0) * scale));
+    writer.i16(clampInt16(transform(vector.y || 0) * scale));
+    writer.i16(clampInt16(transform(vector.z || 0) * scale));
+}
+
+function readVector(reader, scale) {
+    return {
+        x: reader.i16() / scale,
+        y: reader.i16() / scale,
+        z: reader.i16() / scale
+    };
+}
+
+function writePlayer(writer, id, player) {
+    let mask = 0;
+    if (player.position) mask |= FIELD_POSITION;
+    if (player.rotation) mask |= FIELD_ROTATION;
+    if (typeof player.health === 'number') mask |= FIELD_HEALTH;
+    if (player.isDead !== undefined) mask |= FIELD_IS_DEAD;
+    if (player.isAttacking !== undefined) mask |= FIELD_IS_ATTACKING;
+    if (player.isJumping !== undefined) mask |= FIELD_IS_JUMPING;
+    if (player.animation) mask |= FIELD_ANIMATION;
+    if (player.lastProcessedInput !== undefined) mask |= FIELD_LAST_INPUT;
+    if (player.isReconnecting !== undefined) mask |= FIELD_IS_RECONNECTING;
+    if (player.velocity) mask |= FIELD_VELOCITY;
+    if (player.grounded !== undefined) mask |= FIELD_GROUNDED;
+
+    writer.string(id);
+    writer.u16(mask);
+
+    if (mask & FIELD_POSITION) writeVector(writer, player.position, POSITION_SCALE);
+    if (mask & FIELD_ROTATION) writeVector(writer, player.rotation, ROTATION_SCALE, wrapAngle);
+    if (mask & FIELD_VELOCITY) writeVector(writer, player.velocity, VELOCITY_SCALE);
+    if (mask & FIELD_HEALTH) writer.u8(Math.max(0, Math.min(255, Math.round(player.health))));
+
+    if (mask & FLAG_FIELDS) {
+        let flags = 0;
+        if (player.isDead) flags |= FLAG_IS_DEAD;
+        if (player.isAttacking) flags |= FLAG_IS_ATTACKING;
+        if (player.isJumping) flags |= FLAG_IS_JUMPING;
+        if (player.isReconnecting) flags |= FLAG_IS_RECONNECTING;
+        if (player.grounded) flags |= FLAG_GROUNDED;
+        writer.u8(flags);
+    }
+
+    if (mask & FIELD_ANIMATION) {
+        const index = ANIMATIONS.indexOf(player.animation);
+        if (index >= 0) {
+            writer.u8(index);
+        } else {
+            writer.u8(ANIMATION_CUSTOM);
+            writer.string(player.animation);
+        }
+    }
+
+    if (mask & FIELD_LAST_INPUT) writer.u32(player.lastProcessedInput >>> 0);
+}
+
+function readPlayer(reader) {
+    const id = reader.string();
+    const mask = reader.u16();
+    const player = { id };
+
+    if (mask & FIELD_POSITION) player.position = readVector(reader, POSITION_SCALE);
+    if (mask & FIELD_ROTATION) player.rotation = readVector(reader, ROTATION_SCALE);
+    if (mask & FIELD_VELOCITY) player.velocity = readVector(reader, VELOCITY_SCALE);
+    if (mask & FIELD_HEALTH) player.health = reader.u8();
+
+    if (mask & FLAG_FIELDS) {
+        const flags = reader.u8();
+        if (mask & FIELD_IS_DEAD) player.isDead = Boolean(flags & FLAG_IS_DEAD);
+        if (mask & FIELD_IS_ATTACKING) player.isAttacking = Boolean(flags & FLAG_IS_ATTACKING);
+        if (mask & FIELD_IS_JUMPING) player.isJumping = Boolean(flags & FLAG_IS_JUMPING);
+        if (mask & FIELD_IS_RECONNECTING) player.isReconnecting = Boolean(flags & FLAG_IS_RECONNECTING);
+        if (mask & FIELD_GROUNDED) player.grounded = Boolean(flags & FLAG_GROUNDED);
+    }
+
+    if (mask & FIELD_ANIMATION) {
+        const index = reader.u8();
+        player.animation = index === ANIMATION_CUSTOM ? reader.string() : ANIMATIONS[index];
+    }
+
+    if (mask & FIELD_LAST_INPUT) player.lastProcessedInput = reader.u32();
+
+    return player;
+}
+
+function writeProjectile(writer, projectile) {
+    writer.string(projectile.id);
+    writer.string(projectile.ownerId || '');
+    writeVector(writer, projectile.origin, POSITION_SCALE);
+    writeVector(writer, projectile.velocity, VELOCITY_SCALE);
+    writer.f64(projectile.launchTime || 0);
+}
+
+function readProjectile(reader) {
+    return {
+        id: reader.string(),
+        ownerId: reader.string(),
+        origin: readVector(reader, POSITION_SCALE),
+        velocity: readVector(reader, VELOCITY_SCALE),
+        launchTime: reader.f64()
+    };
+}
+
+function writeIdList(writer, ids) {
+    writer.u16(ids.length);
+    for (const id of ids) {
+        writer.string(id);
+    }
+}
+
+function readIdList(reader) {
+    const ids = [];
+    const count = reader.u16();
+    for (let i = 0; i < count; i++) {
+        ids.push(reader.string());
+    }
+    return ids;
+}
+
+/**
+ * Whether a message type has a binary snapshot encoding
+ * @param {String} type - Message type
+ * @returns {Boolean}
+ */
+export function isSnapshotType(type) {
+    return Object.prototype.hasOwnProperty.call(MESSAGE_KINDS, type);
+}
+
+/**
+ * Encode a GAME_STATE or GAME_STATE_DELTA message
+ * @param {Object} message - { type, data } as built by broadcastGameState
+ * @returns {Uint8Array} Encoded snapshot
+ */
+export function encodeSnapshot(message) {
+    const kind = MESSAGE_KINDS[message.type];
+    if (!kind) {
+        throw new Error(`Cannot binary-encode message type ${message.type}`);
+    }
+
+    const data = message.data || {};
+    const players = (kind === MESSAGE_KINDS.GAME_STATE ? data.players : data.playerDeltas) || {};
+    const projectiles = (kind === MESSAGE_KINDS.GAME_STATE ? data.projectiles : data.projectileDeltas) || [];
+
+    const writer = new ByteWriter();
+    writer.u8(CODEC_VERSION);
+    writer.u8(kind);
+    writer.f64(data.timestamp || 0);
+    writer.u32(data.sequence || 0);
+    writer.u32(data.baseSequence || 0);
+    writer.u32(data.tick || 0);
+
+    const playerIds = Object.keys(players);
+    writer.u16(playerIds.length);
+    for (const id of playerIds) {
+        writePlayer(writer, id, players[id]);
+    }
+
+    writeIdList(writer, data.removedPlayerIds || []);
+    writeIdList(writer, data.despawnedPlayerIds || []);
+
+    writer.u16(projectiles.length);
+    for (const projectile of projectiles) {
+        writeProjectile(writer, projectile);
+    }
+    writeIdList(writer, data.removedProjectileIds || []);
+
+    // Anything without a dedicated encoding rides along as JSON
+    const extras = {};
+    let hasExtras = false;
+    for (const key in data) {
+        if (!ENCODED_DATA_KEYS.includes(key) && data[key] !== undefined) {
+            extras[key] = data[key];
+            hasExtras = true;
+        }
+    }
+    writer.string(hasExtras ? JSON.stringify(extras) : '', true);
+
+    return writer.toBytes();
+}
+
+/**
+ * Decode a binary snapshot back into the same shape as the JSON message
+ * @param {ArrayBuffer|Uint8Array} buffer - Encoded snapshot
+ * @returns {Object} { type, data }
+ */
+export function decodeSnapshot(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const reader = new ByteReader(bytes);
+
+    const version = reader.u8();
+    if (version !== CODEC_VERSION) {
+        throw new Error(`Unsupported snapshot version ${version}`);
+    }
+
+    const type = MESSAGE_TYPES[reader.u8()];
+    if (!type) {
+        throw new Error('Unknown snapshot message kind');
+    }
+
+    const timestamp = reader.f64();
+    const sequence = reader.u32();
+    const baseSequence = reader.u32();
+    const tick = reader.u32();
+
+    const players = {};
+    const playerCount = reader.u16();
+    for (let i = 0; i < playerCount; i++) {
+        const player = readPlayer(reader);
+        players[player.id] = player;
+    }
+
+    const removedPlayerIds = readIdList(reader);
+    const despawnedPlayerIds = readIdList(reader);
+
+    const projectiles = [];
+    const projectileCount = reader.u16();
+    for (let i = 0; i < projectileCount; i++) {
+        projectiles.push(readProjectile(reader));
+    }
+    const removedProjectileIds = readIdList(reader);
+
+    const extrasJson = reader.string(true);
+    const extras = extrasJson ? JSON.parse(extrasJson) : {};
+
+    const data = type === 'GAME_STATE'
+        ? { players, projectiles, ...extras, sequence, tick, timestamp }
+        : {
+            playerDeltas: players, removedPlayerIds, despawnedPlayerIds,
+            projectileDeltas: projectiles, removedProjectileIds,
+            ...extras, sequence, baseSequence, tick, timestamp
+        };
+
+    return { type, data };
+}
@@ -25,6 +25,7 @@ export const ASSET_PATHS = {
 // Game configuration
 export const GAME_CONFIG = {
     playerStartPosition: { x: 0, y: 5, z: 0 },
+    arenaSize: 100, // Width and depth of the ground, centered on the origin and fenced in by Game.addInvisibleWalls
     enemySpawnHeight: 2,
     physics: {
         gravity: -20
@@ -53,4 +54,10 @@ export const PLAYER_COLORS = [
     0xeb4d4b, // Red
     0xf0932b, // Orange
     0xffbe76, // Sandy
-]; 
\ No newline at end of file
+];
+
+// Teams in team modes - the team color replaces each player's own color
+export const TEAMS = {
+    red: { name: 'Red', color: 0xe84118 },
+    blue: { name: 'Blue', color: 0x0097e6 }
+}; 
\ No newline at end of file